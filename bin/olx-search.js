@@ -10,8 +10,9 @@
 import { parseArgs } from "node:util";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { search, searchRaw, getCategories } from "../lib/index.js";
+import { search, searchIter, searchRaw, getCategories, getCategory, getCategoryTree, findCategories, refreshCategories, mergeCategories, loadCategories, saveCategories, setCategories, categoriesFile, getRegions, watch, createServer, createNotifier, parseSink, searchBatch, loadQueries, resultSheets, writeXlsx, writeOds, createCache, clearCache, defaultCacheDir, loadStore, saveStore, recordRun, getAdHistory, summarize } from "../lib/index.js";
 import { initLogger, log, closeLogger } from "../lib/logger.js";
+import { CONFIG_FILE, findConfigFile, loadConfig, saveConfig, getProfile } from "../lib/config.js";
 import fs from "node:fs";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -24,37 +25,153 @@ if (LOG_FLAG) {
 
 const CSV_ESCAPE_RE = /[,"\n\r]/;
 
+/** Options that only make sense on the command line and cannot be set in .olxsearchrc.json. */
+const CLI_ONLY_OPTIONS = ["help", "version", "profile", "log", "list-regions", "list-categories", "from", "notify-template"];
+
+/** Options of each mode, ignored when a default or profile sets them for another command. */
+const MODE_OPTIONS = { watch: ["notify", "notify-on"], serve: ["port", "host"] };
+
+/** Options serve mode uses; search options are given per request to the API instead. */
+const SERVE_OPTIONS = ["port", "host", "no-rate-limit", "cache-dir", "cache-ttl", "detail-cache-ttl", "no-cache", "log", "profile", "list-regions", "list-categories", "help", "version"];
+
+/** Options only watch mode uses. */
+const WATCH_OPTIONS = ["interval", "watch-file", "cycles", "notify", "notify-template", "notify-on"];
+
+/** Watch events waiting for notification before new ones are dropped. */
+const MAX_PENDING_NOTIFICATIONS = 100;
+
+/** Options saved as numbers by "profiles add". */
+const NUMERIC_OPTIONS = ["limit", "timeout", "concurrency", "retries", "retry-delay", "max-retry-after", "min-price", "max-price", "radius", "interval", "cycles", "cache-ttl", "detail-cache-ttl", "port"];
+
 const HELP = `
   \x1b[1molx-search\x1b[0m — Search OLX Brazil from the terminal.
 
   \x1b[1mUsage:\x1b[0m
     olx-search <query> [options]
+    olx-search search <query> [options]
+    olx-search --queries-file <path> [options]
+    olx-search watch <query> [options]
+    olx-search serve [--port <n>] [--host <addr>]
+    olx-search cache clear [--cache-dir <dir>]
+    olx-search categories refresh [--from <file>] [--cache-dir <dir>]
+    olx-search history <id> [--store <f>]
+    olx-search profiles list | show <name> | add <name> [query] [options] | remove <name>
 
   \x1b[1mArguments:\x1b[0m
-    query                  Search query (required)
+    query                  Search query (required). To search for a word that is also a command
+                           (watch, serve, cache, ...), use "olx-search search watch" or "olx-search -- watch"
 
   \x1b[1mOptions:\x1b[0m
-    -l, --limit <n>        Max results to return (default: 20)
-    -s, --sort <order>     Sort: "price_asc", "price_desc", "date", or "relevance"
+    -l, --limit <n>        Max results to return (default: 20, or all with --exhaustive)
+    -s, --sort <order>     Sort: "price_asc", "price_desc", "date", "relevance", "discount",
+                           "price_per_m2" (real estate), "distance" (with --near) or "uf"; comma-separate keys to break
+                           ties (e.g. "uf,price_asc")
     -a, --state <uf>       Filter by Brazilian state(s). Single UF or comma-separated (e.g. "sp", "rj,mg,sp")
-    -g, --category <slug>  Filter by category slug (e.g. "celulares", "informatica/notebooks")
-    -G, --list-categories  List all valid categories and exit
+        --region <name>    OLX region(s) by slug, name or DDD, comma-separated (e.g. "grande-campinas", "19")
+        --city <name>      City/cities by slug or name, comma-separated (e.g. "campinas", "São José dos Campos");
+                           with --region or --city, --state only narrows the lookup
+        --neighbourhood <n> Keep only ads in these neighbourhoods, comma-separated (e.g. "Cambuí,Centro")
+        --list-regions     List known regions and cities (of --state, if given) and exit
+        --near <cep|lat,lon> Keep only ads within --radius of a CEP or coordinates and add "distanceKm"
+                           (searches the origin's state unless --state/--region/--city is given).
+                           Write negative coordinates as --near=-22.91,-47.06
+        --radius <km>      Radius for --near in km (default: 30)
+    -g, --category <slug>  Filter by category slug or name (e.g. "celulares", "informatica/notebooks", "placas de video")
+    -G, --list-categories [term]
+                           Show the category tree and exit; with a term, only categories whose name or slug
+                           contains it (accent-insensitive), with their parents and subcategories
+    -m, --min-price <brl>  Minimum price in BRL, e.g. 1500 or 1.500 (ads without a price are excluded)
+    -M, --max-price <brl>  Maximum price in BRL, e.g. 3000 or 2.999,90 (ads without a price are excluded)
     -t, --timeout <ms>     HTTP timeout in ms (default: 15000)
     -n, --concurrency <n>  Max parallel detail requests (default: 5)
-    -S, --strict           Only show results where ALL search terms appear in the title, description or properties
+        --retries <n>      Retries for timeouts, 429 and 5xx responses (default: 2, 0 disables)
+        --retry-delay <ms> Base backoff delay between retries, doubled each attempt (default: 1000)
+        --max-retry-after <s> Longest Retry-After wait in seconds; longer ones fail the request (default: 120)
+    -S, --strict           Match the query client-side: all words must appear in the title, description or properties.
+                           Supports "phrases", OR, -negation, (groups), title:, desc: and prop:Ano=2020
+    -x, --exclude <term>   Drop ads containing this term as whole words before fetching details (repeatable, e.g. -x defeito -x "tela quebrada")
+        --where <expr>     Property condition, e.g. "Ano>=2018", "Condição=Novo", "Quilometragem<80000" (repeatable)
+        --seller <name>    Keep only ads of sellers whose name contains this (or with this seller id), read from
+                           the ad details (repeatable)
+        --only-professional
+                           Keep only professional (store) ads
+        --exclude-professional
+                           Drop professional (store) ads
     -d, --no-details       Skip detail enrichment requests (faster, returns only basic listing data)
     -R, --no-rate-limit    Disable built-in rate limiting (use at your own risk — may get your IP blocked)
+    -X, --exhaustive       Split queries larger than the platform's page cap into sub-queries (states, subcategories, price bands)
+    -k, --checkpoint <f>   Save crawl progress to a file and resume from it when re-run (removed once complete)
+        --store <f>        Record every result in a local history file (price per run, first/last seen, gone ads)
     -1, --save-on-first    Save the first HTTP response (JSON + HTML) to the project root
     -e, --save-on-error    Save any HTTP response that returns an error (JSON + HTML) to the project root
     -L, --log              Write a detailed debug log file to the project root
+        --profile <name>   Use a named profile of .olxsearchrc.json (see Profiles below)
+
+  \x1b[1mCache:\x1b[0m
+        --cache-dir <dir>  Response cache directory (default: ~/.cache/olx-search)
+        --cache-ttl <s>    Seconds to reuse cached search pages (default: 600)
+        --detail-cache-ttl <s>
+                           Seconds to reuse cached ad detail pages (default: 86400)
+        --no-cache         Always fetch from OLX and do not write the cache
 
   \x1b[1mOutput:\x1b[0m
-    -f, --format <type>    Output format: "json", "table", "jsonl", "csv" (default: json)
+    -f, --format <type>    Output format: "json", "table", "jsonl", "csv", "xlsx", "ods" (default: json).
+                           xlsx/ods have typed price, date and link cells, a column per ad property and a
+                           "Query" sheet; they are saved to a file unless stdout is redirected
     -p, --pretty           Pretty-print JSON output
     -r, --raw              Output the full raw pageProps object
-    -F, --fields <list>    Comma-separated fields to include (e.g. "title,price,permalink")
+    -F, --fields <list>    Comma-separated fields to include (e.g. "title,price,permalink,vehicle.year,pricePerM2")
     -w, --web              Open results as a web page in the browser
     -j, --save-json        Save results as a JSON file in the current directory
+        --stats            Print price statistics (median, percentiles, histogram, outliers) instead of the ads
+        --group-by <key>   Split --stats by "uf", "seller" or an ad property (e.g. "Ano"); "seller" implies --stats
+                           and lists each seller's ads
+
+  \x1b[1mBatch mode:\x1b[0m
+    -Q, --queries-file <path>
+                           Run every query of a file: one per line, or a JSON array of queries and
+                           { "query": ..., <search() options> } objects. Items are tagged with query.text;
+                           all queries share one rate limiter and failed queries do not stop the batch
+    -O, --output-dir <dir> Write one json/jsonl/csv file per query instead of the combined output
+
+  \x1b[1mWatch mode:\x1b[0m
+    -i, --interval <s>     Seconds between watch cycles (default: 300, minimum 60 with rate limiting)
+    -W, --watch-file <f>   State file of seen ads (default: olx-watch_<query>.json in the current directory)
+    -c, --cycles <n>       Stop after n cycles (default: run until interrupted)
+        --notify <sink>    Also send events to "webhook:<url>" (JSON POST), "command:<shell command>" (stdin)
+                           or "file:<path>" (appended); repeatable. Failed deliveries are retried twice
+        --notify-template <t>
+                           Message template for the --notify before it, e.g. "{{title}}: {{price|brl}} {{permalink}}"
+                           (fields of the event and item; |json quotes a value, |brl formats a price)
+        --notify-on <list> Events to send (default: "new,price_drop"; also "price_increase")
+
+  \x1b[1mServer mode:\x1b[0m
+    olx-search serve runs a local HTTP/JSON API: GET /search?q=<query>&..., /raw?q=<query>&...,
+    /categories[?term=<name>], /health and /stats. Parameters use the library option names
+    (e.g. /search?q=civic&state=sp&minPrice=50000&where=Ano>=2018). All clients share one queue
+    and one request rate limit. Cache options and --no-rate-limit apply; search options are
+    rejected, since each request sets its own.
+        --port <n>         Port to listen on (default: 8080)
+        --host <addr>      Address to bind (default: 127.0.0.1)
+
+  \x1b[1mCategories:\x1b[0m
+    olx-search categories refresh merges the category facets of the OLX listing page into the
+    category list (categories the page does not show are kept) and saves it as categories.json in
+    the cache directory, where later runs pick it up.
+        --from <file>      Read a saved page instead (HTML from --save-on-first, or --raw JSON output)
+    Delete categories.json to go back to the bundled list.
+
+  \x1b[1mProfiles:\x1b[0m
+    .olxsearchrc.json, found in the current directory, its parents or your home directory, holds
+    "defaults" applied to every run and named "profiles" chosen with --profile. Both map long option
+    names to values, plus "query": {"profiles": {"notebooks": {"query": "notebook", "state": "sp,rj",
+    "strict": true, "limit": 50, "format": "table"}}}. Options on the command line override them.
+    olx-search profiles add <name> [query] [options] saves the query and options given as a profile
+    (in the file found, or a new one in the current directory); list, show and remove manage them.
+
+  \x1b[1mHistory:\x1b[0m
+    olx-search history <id> prints the price timeline of one ad recorded with --store
+    (default store: olx-history.json). Use -f json for machine-readable output.
 
   \x1b[1mExamples:\x1b[0m
     olx-search "iPhone 15"
@@ -67,39 +184,108 @@ const HELP = `
     olx-search "bicicleta" --state sp -f table
     olx-search "notebook" --state sp,rj,mg --sort price_asc
     olx-search "celular" --category celulares --sort date
+    olx-search "rtx 3060" --category "placas de video" -f table
+    olx-search "notebook" --state sp,rj,mg --sort uf,discount
+    olx-search "bicicleta" --region grande-campinas -f table
+    olx-search "apartamento" --city campinas,valinhos --neighbourhood "Cambuí,Taquaral"
+    olx-search --list-regions --state sp
+    olx-search "geladeira" --near 13025-000 --radius 20 --sort distance -f table
+    olx-search "notebook" --min-price 1500 --max-price 3000
+    olx-search "apartamento 2 quartos" --category imoveis/venda --state sp --sort price_per_m2 -F title,price,pricePerM2,property.areaM2
     olx-search --list-categories
+    olx-search --list-categories eletronicos
+    olx-search categories refresh --from raw-state.json
     olx-search "Samsung S20" --strict -f table
+    olx-search "iPhone 13 128gb" --strict -l 200 --stats -f table
+    olx-search "civic" --category autos-e-pecas/carros-vans-e-utilitarios --stats --group-by Ano
     olx-search "iPhone 15" --strict --pretty -l 10
+    olx-search '(s20 OR s21) "128gb" -capinha' --strict -f table
+    olx-search 'civic prop:Ano=2020 -title:batido' --strict
+    olx-search "civic" --where "Ano>=2018" --where "Quilometragem<80.000" -f table
+    olx-search "iPhone 12" -x quebrado -x defeito -x pecas -x capinha -f table
+    olx-search "pneu aro 15" --state sp -l 100 --group-by seller -f table
+    olx-search "civic" --only-professional --seller "auto center" -f table
+
+    olx-search --queries-file shopping.txt -l 10 -F query.text,title,price,permalink -f csv
+    olx-search --queries-file shopping.json --output-dir results -f json
+
+    olx-search watch "iPhone 15" --state sp --interval 600
+    olx-search watch "iPhone 15" --notify webhook:http://localhost:9000/olx --notify file:olx-alerts.jsonl
+    olx-search watch "ps5" --notify "command:notify-send OLX" --notify-template "{{title}} {{price|brl}}"
+    olx-search serve --port 8080
+    olx-search "civic" --category autos-e-pecas/carros-vans-e-utilitarios --store civic.json
+    olx-search history 1234567890 --store civic.json
+
+    olx-search profiles add notebooks-sudeste "notebook" --state sp,rj --category informatica/notebooks --strict -l 50 -f table
+    olx-search --profile notebooks-sudeste
+    olx-search --profile notebooks-sudeste "notebook gamer" -f csv
+    olx-search profiles list
 `;
 
+const OPTIONS = {
+  limit: { type: "string", short: "l" },
+  sort: { type: "string", short: "s" },
+  state: { type: "string", short: "a" },
+  region: { type: "string" },
+  city: { type: "string" },
+  neighbourhood: { type: "string" },
+  "list-regions": { type: "boolean", default: false },
+  near: { type: "string" },
+  radius: { type: "string" },
+  category: { type: "string", short: "g" },
+  "list-categories": { type: "boolean", short: "G", default: false },
+  "min-price": { type: "string", short: "m" },
+  "max-price": { type: "string", short: "M" },
+  timeout: { type: "string", short: "t" },
+  concurrency: { type: "string", short: "n" },
+  retries: { type: "string" },
+  "retry-delay": { type: "string" },
+  "max-retry-after": { type: "string" },
+  strict: { type: "boolean", short: "S", default: false },
+  exclude: { type: "string", short: "x", multiple: true },
+  where: { type: "string", multiple: true },
+  seller: { type: "string", multiple: true },
+  "only-professional": { type: "boolean", default: false },
+  "exclude-professional": { type: "boolean", default: false },
+  "no-details": { type: "boolean", short: "d", default: false },
+  "no-rate-limit": { type: "boolean", short: "R", default: false },
+  exhaustive: { type: "boolean", short: "X", default: false },
+  checkpoint: { type: "string", short: "k" },
+  store: { type: "string" },
+  "save-on-first": { type: "boolean", short: "1", default: false },
+  "save-on-error": { type: "boolean", short: "e", default: false },
+  log: { type: "boolean", short: "L", default: false },
+  format: { type: "string", short: "f" },
+  pretty: { type: "boolean", short: "p", default: false },
+  raw: { type: "boolean", short: "r", default: false },
+  fields: { type: "string", short: "F" },
+  "queries-file": { type: "string", short: "Q" },
+  "output-dir": { type: "string", short: "O" },
+  web: { type: "boolean", short: "w", default: false },
+  "save-json": { type: "boolean", short: "j", default: false },
+  stats: { type: "boolean", default: false },
+  "group-by": { type: "string" },
+  interval: { type: "string", short: "i" },
+  "watch-file": { type: "string", short: "W" },
+  cycles: { type: "string", short: "c" },
+  notify: { type: "string", multiple: true },
+  "notify-template": { type: "string", multiple: true },
+  "notify-on": { type: "string" },
+  "cache-dir": { type: "string" },
+  from: { type: "string" },
+  port: { type: "string" },
+  host: { type: "string" },
+  "cache-ttl": { type: "string" },
+  "detail-cache-ttl": { type: "string" },
+  "no-cache": { type: "boolean", default: false },
+  profile: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+  version: { type: "boolean", short: "v", default: false },
+};
+
 let parsed;
 try {
-  parsed = parseArgs({
-    allowPositionals: true,
-    options: {
-      limit: { type: "string", short: "l" },
-      sort: { type: "string", short: "s" },
-      state: { type: "string", short: "a" },
-      category: { type: "string", short: "g" },
-      "list-categories": { type: "boolean", short: "G", default: false },
-      timeout: { type: "string", short: "t" },
-      concurrency: { type: "string", short: "n" },
-      strict: { type: "boolean", short: "S", default: false },
-      "no-details": { type: "boolean", short: "d", default: false },
-      "no-rate-limit": { type: "boolean", short: "R", default: false },
-      "save-on-first": { type: "boolean", short: "1", default: false },
-      "save-on-error": { type: "boolean", short: "e", default: false },
-      log: { type: "boolean", short: "L", default: false },
-      format: { type: "string", short: "f" },
-      pretty: { type: "boolean", short: "p", default: false },
-      raw: { type: "boolean", short: "r", default: false },
-      fields: { type: "string", short: "F" },
-      web: { type: "boolean", short: "w", default: false },
-      "save-json": { type: "boolean", short: "j", default: false },
-      help: { type: "boolean", short: "h", default: false },
-      version: { type: "boolean", short: "v", default: false },
-    },
-  });
+  parsed = parseArgs({ allowPositionals: true, tokens: true, options: OPTIONS });
 } catch (e) {
   error(`${e.message}\n  Run "olx-search --help" for usage info.`);
 }
@@ -111,17 +297,137 @@ if (opts.help) {
   process.exit(0);
 }
 
+// "search" names the default command, and words after "--" are never commands, so
+// "olx-search search watch" and "olx-search -- watch" both look for "watch".
+const terminator = parsed.tokens.find((token) => token.kind === "option-terminator");
+const literalQuery = positionals[0] === "search" || (terminator != null && parsed.tokens.find((token) => token.kind === "positional")?.index > terminator.index);
+if (positionals[0] === "search") positionals.shift();
+const subcommand = literalQuery ? null : (positionals[0] ?? null);
+
+const command = ["watch", "serve", "profiles"].includes(subcommand) ? subcommand : "search";
+
+let configFile = null;
+let config = null;
+try {
+  configFile = findConfigFile();
+  config = configFile ? loadConfig(configFile) : { defaults: {}, profiles: {} };
+} catch (e) {
+  error(e.message);
+}
+
+if (command === "profiles") {
+  const [, action, name] = positionals;
+  if (opts.profile) {
+    error("--profile cannot be used with profiles commands.");
+  }
+  if (action === "list" && positionals.length === 2) {
+    listProfiles();
+    process.exit(0);
+  }
+  if (action === "show" && positionals.length === 3) {
+    console.log(JSON.stringify(profileOrExit(name), null, 2));
+    process.exit(0);
+  }
+  if (action === "remove" && positionals.length === 3) {
+    profileOrExit(name);
+    delete config.profiles[name];
+    saveConfig(configFile, config);
+    process.stderr.write(`\x1b[32mRemoved:\x1b[0m profile "${name}" from ${configFile}\n`);
+    process.exit(0);
+  }
+  if (action !== "add" || !name) {
+    error(`Unknown profiles command "${positionals.slice(1).join(" ")}". Supported: profiles list, profiles show <name>, profiles add <name> [query] [options], profiles remove <name>`);
+  }
+  if (!/^[\w.-]+$/.test(name)) {
+    error(`Invalid profile name "${name}". Use letters, digits, ".", "-" and "_".`);
+  }
+}
+
+// Options given on the command line win over the profile, which wins over the defaults.
+const givenOptions = new Set(parsed.tokens.filter((token) => token.kind === "option").map((token) => token.name));
+let profileQuery = null;
+let profileSinks = null;
+if (command !== "profiles") {
+  let profile = null;
+  try {
+    profile = opts.profile ? getProfile(config, opts.profile) : null;
+  } catch (e) {
+    error(`${e.message}${configFile ? ` (in ${configFile})` : ` No ${CONFIG_FILE} found in this directory, its parents or your home directory.`}`);
+  }
+  applySettings(config.defaults, `"defaults" of ${configFile}`, { commands: false });
+  if (profile) applySettings(profile, `profile "${opts.profile}" of ${configFile}`);
+}
+
+if (command === "serve") {
+  const unused = [...givenOptions].find((key) => !SERVE_OPTIONS.includes(key));
+  if (unused) error(`--${unused} is only used by ${WATCH_OPTIONS.includes(unused) ? "watch" : "search"}. In serve mode, pass search options as /search parameters.`);
+}
+
+const cacheDir = opts["cache-dir"] ? path.resolve(opts["cache-dir"]) : defaultCacheDir();
+
+try {
+  const refreshed = loadCategories(categoriesFile(cacheDir));
+  if (refreshed) setCategories(refreshed);
+} catch (e) {
+  process.stderr.write(`\x1b[33mWarning:\x1b[0m ignoring ${categoriesFile(cacheDir)}: ${e.message}\n`);
+}
+
+if (opts["list-regions"]) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const states = opts.state ? opts.state.split(",").map((s) => s.trim()) : [undefined];
+  let regions;
+  try {
+    regions = states.flatMap((uf) => getRegions(uf));
+  } catch (e) {
+    error(e.message);
+  }
+  const missing = states.filter((uf) => uf && getRegions(uf).length === 0);
+  console.log(bold("\nRegi\u00f5es conhecidas:\n"));
+  for (const region of regions) {
+    console.log(`  ${bold(`${region.uf.toUpperCase()}  DDD ${region.ddd}  ${region.slug}`)}  ${dim(region.name)}`);
+    console.log(dim(`      ${region.cities.map((city) => city.slug).join(", ")}`));
+  }
+  if (missing.length > 0) console.log(dim(`  ${missing.map((uf) => uf.toUpperCase()).join(", ")}: sem regi\u00f5es na tabela embutida; use --state ${missing[0].toLowerCase()} para o estado inteiro`));
+  console.log(dim(`\n  Total: ${regions.length} regi\u00f5es`));
+  console.log(dim(`  Uso: olx-search "query" --region grande-campinas | --city campinas`));
+  console.log();
+  process.exit(0);
+}
+
 if (opts["list-categories"]) {
   const dim = (s) => `\x1b[2m${s}\x1b[0m`;
   const bold = (s) => `\x1b[1m${s}\x1b[0m`;
-  const cats = getCategories();
-  console.log(bold("\nCategorias dispon\u00edveis na OLX Brasil:\n"));
-  console.log(`  ${bold("Slug".padEnd(57))} ${bold("Nome")}`);
-  console.log(dim(`  ${"\u2500".repeat(56)} ${"\u2500".repeat(45)}`));
-  for (const cat of cats) {
-    console.log(`  ${cat.slug.padEnd(57)} ${cat.name}`);
-  }
-  console.log(dim(`\n  Total: ${cats.length} categorias`));
+  const term = positionals.join(" ").trim();
+  const matches = term ? findCategories(term) : null;
+  if (matches && matches.length === 0) error(`No category matches "${term}". Run "olx-search --list-categories" to see them all.`);
+
+  // A match is shown with its ancestors, for context, and all its subcategories.
+  const matched = new Set(matches?.map((node) => node.slug));
+  const shown = new Set();
+  const showSubtree = (node) => {
+    shown.add(node.slug);
+    node.children.forEach(showSubtree);
+  };
+  for (const node of matches ?? []) {
+    showSubtree(node);
+    for (let parent = getCategory(node.parent); parent; parent = getCategory(parent.parent)) shown.add(parent.slug);
+  }
+
+  let count = 0;
+  const render = (node, prefix, connector) => {
+    const label = matched.has(node.slug) ? bold(node.name) : node.name;
+    console.log(`  ${dim(prefix + connector)}${label} ${dim(node.slug)}`);
+    count++;
+    const children = matches ? node.children.filter((child) => shown.has(child.slug)) : node.children;
+    const childPrefix = prefix + (connector === "\u251c\u2500 " ? "\u2502  " : connector ? "   " : "");
+    children.forEach((child, i) => render(child, childPrefix, i === children.length - 1 ? "\u2514\u2500 " : "\u251c\u2500 "));
+  };
+  console.log(bold(`\nCategorias dispon\u00edveis na OLX Brasil${term ? ` (\u201c${term}\u201d)` : ""}:\n`));
+  for (const root of getCategoryTree()) {
+    if (!matches || shown.has(root.slug)) render(root, "", "");
+  }
+  console.log(dim(`\n  Total: ${count} categorias${matches ? ` (${matches.length} encontradas)` : ""}`));
   console.log(dim(`  Uso: olx-search "query" --category celulares`));
   console.log();
   process.exit(0);
@@ -137,14 +443,79 @@ if (opts.version) {
   process.exit(0);
 }
 
-const query = positionals.join(" ").trim();
-if (!query) {
+if (subcommand === "cache") {
+  if (positionals[1] !== "clear" || positionals.length > 2) {
+    error(`Unknown cache command "${positionals.slice(1).join(" ")}". Supported: cache clear`);
+  }
+  try {
+    const removed = await clearCache(cacheDir);
+    process.stderr.write(`\x1b[32mCleared:\x1b[0m ${removed} cached response${removed === 1 ? "" : "s"} from ${cacheDir}\n`);
+  } catch (e) {
+    error(`Could not clear cache "${cacheDir}": ${e.message}`);
+  }
+  process.exit(0);
+}
+
+if (subcommand === "categories") {
+  if (positionals[1] !== "refresh" || positionals.length > 2) {
+    error(`Unknown categories command "${positionals.slice(1).join(" ")}". Supported: categories refresh`);
+  }
+  let page;
+  if (opts.from) {
+    try {
+      page = fs.readFileSync(opts.from, "utf8");
+    } catch (e) {
+      error(`Could not read "${opts.from}": ${e.message}`);
+    }
+  }
+  const file = categoriesFile(cacheDir);
+  const current = getCategories();
+  const before = new Set(current.map((cat) => cat.slug));
+  try {
+    const found = await refreshCategories({ page, timeout: opts.timeout ? parseInt(opts.timeout, 10) : undefined });
+    const entries = mergeCategories(current, found);
+    saveCategories(file, entries, opts.from ? path.resolve(opts.from) : "https://www.olx.com.br/brasil");
+    const listed = new Set(found.map((cat) => cat.slug));
+    const added = found.filter((cat) => !before.has(cat.slug)).length;
+    const kept = current.filter((cat) => !listed.has(cat.slug)).length;
+    process.stderr.write(`\x1b[32mRefreshed:\x1b[0m ${found.length} categories found, ${added} new; ${entries.length} saved to ${file}${kept > 0 ? ` (${kept} not on the page kept)` : ""}\n`);
+  } catch (e) {
+    error(`Could not refresh categories: ${e.message}`);
+  }
+  process.exit(0);
+}
+
+if (subcommand === "history") {
+  if (positionals.length !== 2) {
+    error("Usage: olx-search history <id> [--store <f>]");
+  }
+  showHistory(positionals[1], opts.store || "olx-history.json");
+  process.exit(0);
+}
+
+const queryArgs = positionals.slice(command === "search" ? 0 : command === "profiles" ? 3 : 1);
+const query = queryArgs.join(" ").trim() || (command === "serve" ? "" : profileQuery || "");
+if (command === "serve" && query) {
+  error("Usage: olx-search serve [--port <n>] [--host <addr>]");
+}
+if (!query && command !== "serve" && command !== "profiles" && !opts["queries-file"]) {
   error("No search query provided. Use --help for usage info.");
 }
 
 const limit = opts.limit ? parseInt(opts.limit, 10) : 20;
 const timeout = opts.timeout ? parseInt(opts.timeout, 10) : 15000;
 const concurrency = opts.concurrency ? parseInt(opts.concurrency, 10) : 5;
+const retries = opts.retries ? parseInt(opts.retries, 10) : 2;
+const retryDelay = opts["retry-delay"] ? parseInt(opts["retry-delay"], 10) : 1000;
+const maxRetryAfter = opts["max-retry-after"] ? parseInt(opts["max-retry-after"], 10) : 120;
+const minPrice = parsePriceOption("min-price");
+const maxPrice = parsePriceOption("max-price");
+const radius = opts.radius != null ? Number(opts.radius) : undefined;
+const interval = opts.interval ? parseInt(opts.interval, 10) : 300;
+const cycles = opts.cycles ? parseInt(opts.cycles, 10) : Infinity;
+const cacheTtl = opts["cache-ttl"] ? parseInt(opts["cache-ttl"], 10) : 600;
+const detailCacheTtl = opts["detail-cache-ttl"] ? parseInt(opts["detail-cache-ttl"], 10) : 86400;
+const port = opts.port ? Number(opts.port) : 8080;
 const format = (opts.format || "json").toLowerCase();
 const fields = opts.fields
   ? opts.fields
@@ -153,12 +524,43 @@ const fields = opts.fields
       .filter(Boolean)
   : null;
 
-if (!["json", "table", "jsonl", "csv"].includes(format)) {
-  error(`Unknown format "${format}". Supported: json, table, jsonl, csv`);
+if (!["json", "table", "jsonl", "csv", "xlsx", "ods"].includes(format)) {
+  error(`Unknown format "${format}". Supported: json, table, jsonl, csv, xlsx, ods`);
+}
+
+let batchQueries = null;
+if (opts["queries-file"] && command !== "profiles") {
+  if (queryArgs.length > 0) error("Give either a query or --queries-file, not both.");
+  if (command !== "search") error(`--queries-file cannot be used in ${command} mode.`);
+  const conflict = ["raw", "web", "stats", "group-by", "checkpoint"].find((name) => opts[name]);
+  if (conflict) error(`--queries-file cannot be used with --${conflict}.`);
+  try {
+    batchQueries = loadQueries(opts["queries-file"]);
+  } catch (e) {
+    error(e.message);
+  }
 }
 
-if (opts.sort && !["price_asc", "price_desc", "date", "relevance"].includes(opts.sort)) {
-  error(`Unknown --sort "${opts.sort}". Supported: price_asc, price_desc, date, relevance`);
+if (opts["output-dir"] && !opts["queries-file"]) {
+  error("--output-dir requires --queries-file.");
+}
+
+if (opts["output-dir"] && format === "table") {
+  error("--output-dir writes one file per query; use --format json, jsonl, csv, xlsx or ods.");
+}
+
+const SORT_KEYS = ["price_asc", "price_desc", "date", "relevance", "discount", "price_per_m2", "distance", "uf"];
+for (const key of opts.sort ? opts.sort.split(",").map((k) => k.trim()) : []) {
+  if (!SORT_KEYS.includes(key)) error(`Unknown --sort "${key}". Supported: ${SORT_KEYS.join(", ")}`);
+  if (key === "distance" && !opts.near) error(`--sort distance requires --near.`);
+}
+
+if (radius !== undefined && !opts.near) {
+  error(`--radius requires --near.`);
+}
+
+if (radius !== undefined && (!Number.isFinite(radius) || radius <= 0)) {
+  error(`Invalid --radius "${opts.radius}". It must be a positive number of kilometres.`);
 }
 
 if (!Number.isInteger(concurrency) || concurrency < 1) {
@@ -173,45 +575,230 @@ if (!Number.isInteger(timeout) || timeout < 1) {
   error(`Invalid --timeout "${opts.timeout}". It must be a positive integer.`);
 }
 
+if (!Number.isInteger(retries) || retries < 0) {
+  error(`Invalid --retries "${opts.retries}". It must be a non-negative integer.`);
+}
+
+if (!Number.isInteger(retryDelay) || retryDelay < 0) {
+  error(`Invalid --retry-delay "${opts["retry-delay"]}". It must be a non-negative integer.`);
+}
+
+if (!Number.isInteger(maxRetryAfter) || maxRetryAfter < 0) {
+  error(`Invalid --max-retry-after "${opts["max-retry-after"]}". It must be a non-negative integer.`);
+}
+
+if (!Number.isInteger(interval) || interval < 1) {
+  error(`Invalid --interval "${opts.interval}". It must be a positive integer.`);
+}
+
+if (opts.cycles && (!Number.isInteger(cycles) || cycles < 1)) {
+  error(`Invalid --cycles "${opts.cycles}". It must be a positive integer.`);
+}
+
+if ((opts.port || opts.host) && command !== "serve" && command !== "profiles") {
+  error("--port and --host are only used by serve.");
+}
+
+if (!Number.isInteger(port) || port < 1 || port > 65535) {
+  error(`Invalid --port "${opts.port}". It must be an integer between 1 and 65535.`);
+}
+
+if (!Number.isInteger(cacheTtl) || cacheTtl < 1) {
+  error(`Invalid --cache-ttl "${opts["cache-ttl"]}". It must be a positive integer.`);
+}
+
+if (!Number.isInteger(detailCacheTtl) || detailCacheTtl < 1) {
+  error(`Invalid --detail-cache-ttl "${opts["detail-cache-ttl"]}". It must be a positive integer.`);
+}
+
+// Grouping by seller is a listing of its own, so it does not need an explicit --stats.
+const groupBySeller = opts["group-by"]?.toLowerCase() === "seller";
+const stats = opts.stats || groupBySeller;
+
+if (opts["group-by"] && !stats) {
+  error("--group-by requires --stats.");
+}
+
+if (stats && (format === "xlsx" || format === "ods")) {
+  error(`--${groupBySeller ? "group-by seller" : "stats"} prints json, jsonl, csv or table output, not ${format}.`);
+}
+
+if (stats && (opts.web || command === "watch" || command === "serve")) {
+  error(`--${groupBySeller ? "group-by seller" : "stats"} cannot be used with ${opts.web ? "--web" : `${command} mode`}.`);
+}
+
+// Each --notify-template belongs to the --notify given before it.
+const notifySinks = [];
+for (const token of parsed.tokens) {
+  if (token.kind !== "option") continue;
+  try {
+    if (token.name === "notify") notifySinks.push(parseSink(token.value));
+  } catch (e) {
+    error(e.message);
+  }
+  if (token.name === "notify-template") {
+    const sink = notifySinks[notifySinks.length - 1];
+    if (!sink || sink.template != null) error("Each --notify-template must follow the --notify it applies to.");
+    sink.template = token.value;
+  }
+}
+if (notifySinks.length === 0 && profileSinks) notifySinks.push(...profileSinks);
+
+if ((notifySinks.length > 0 || opts["notify-on"]) && command !== "watch" && command !== "profiles") {
+  error("--notify and --notify-on are only used in watch mode.");
+}
+
+let notifier = null;
 try {
+  notifier = notifySinks.length > 0 ? createNotifier(notifySinks, { events: opts["notify-on"] ? opts["notify-on"].split(",").map((e) => e.trim()) : undefined }) : null;
+} catch (e) {
+  error(e.message);
+}
+
+if (opts.exhaustive && opts.checkpoint) {
+  error("--checkpoint cannot be used with --exhaustive.");
+}
+
+if (opts["only-professional"] && opts["exclude-professional"]) {
+  error("--only-professional and --exclude-professional cannot be used together.");
+}
+
+if ((opts.seller || groupBySeller) && opts["no-details"]) {
+  error(`${opts.seller ? "--seller" : "--group-by seller"} needs ad details (sellers are read from the ad page) and cannot be used with --no-details.`);
+}
+
+if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+  error(`Invalid price range: --min-price (${minPrice}) is greater than --max-price (${maxPrice}).`);
+}
+
+if (command === "profiles") {
+  saveProfile(positionals[2], query, notifySinks);
+  process.exit(0);
+}
+
+// Watch mode must see fresh listing pages every cycle, so only detail pages are cached there.
+const cache = opts["no-cache"] ? null : createCache({ dir: cacheDir, ttl: command === "watch" ? 0 : cacheTtl * 1000, detailTtl: detailCacheTtl * 1000 });
+
+try {
+  if (command === "serve") {
+    await runServe(cache);
+    closeLogger();
+    process.exit(0);
+  }
+
   if (opts.raw) {
     const raw = await searchRaw(query, {
       timeout,
       sort: opts.sort,
       state: opts.state,
+      region: opts.region,
+      city: opts.city,
       category: opts.category,
+      minPrice,
+      maxPrice,
+      cache,
+      retries,
+      retryDelay,
+      maxRetryAfter: maxRetryAfter * 1000,
     });
     console.log(JSON.stringify(raw, null, 2));
     process.exit(0);
   }
 
-  const result = await search(query, {
-    limit,
+  const searchOptions = {
+    // Without --limit, the library default applies (20, or everything with --exhaustive).
+    limit: opts.limit ? limit : undefined,
     timeout,
     sort: opts.sort,
     concurrency,
     state: opts.state,
+    region: opts.region,
+    city: opts.city,
+    neighbourhood: opts.neighbourhood,
+    near: opts.near,
+    radius,
     category: opts.category,
     strict: opts.strict,
+    exclude: opts.exclude,
+    where: opts.where,
+    seller: opts.seller,
+    professional: opts["only-professional"] ? true : opts["exclude-professional"] ? false : null,
+    minPrice,
+    maxPrice,
     noRateLimit: opts["no-rate-limit"],
     noDetails: opts["no-details"],
+    cache,
+    retries,
+    retryDelay,
+    maxRetryAfter: maxRetryAfter * 1000,
+    exhaustive: opts.exhaustive,
+    checkpoint: opts.checkpoint,
     onFirstResponse: opts["save-on-first"] ? makeSaveCallback("olx-first") : null,
     onErrorResponse: opts["save-on-error"] ? makeSaveCallback("olx-error") : null,
+  };
+
+  if (batchQueries) {
+    await runBatch(batchQueries, searchOptions);
+  } else if (command === "watch") {
+    await runWatch(query, searchOptions);
+  } else if (format === "jsonl" && !opts.web && !opts["save-json"] && !opts.checkpoint && !opts.exhaustive && !opts.store && !stats) {
+    await streamJsonl(query, searchOptions);
+  } else {
+    await runSearch(query, searchOptions);
+  }
+} catch (e) {
+  log("CLI", "Fatal error", e);
+  closeLogger();
+  error(e.message);
+}
+
+closeLogger();
+
+/**
+ * Runs the HTTP/JSON API until SIGINT or SIGTERM, then stops accepting
+ * connections. Requests choose their own search options; only the cache and
+ * `--no-rate-limit` come from the command line.
+ *
+ * @param {import("../lib/cache.js").ResponseCache|null} cache - Shared response cache.
+ * @returns {Promise<void>}
+ */
+async function runServe(cache) {
+  const host = opts.host || "127.0.0.1";
+  const server = createServer({ cache, noRateLimit: opts["no-rate-limit"] });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
   });
+  process.stderr.write(`\x1b[32mListening:\x1b[0m http://${host}:${port} (GET /search, /raw, /categories, /health, /stats)\n`);
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  process.stderr.write(`\x1b[2mShutting down...\x1b[0m\n`);
+  server.close();
+  server.closeAllConnections();
+}
+
+/**
+ * Runs a regular search and prints the result in the requested format,
+ * followed by notes about platform caps on stderr.
+ *
+ * @param {string} query - The search query.
+ * @param {object} searchOptions - Options passed through to {@link search}.
+ * @returns {Promise<void>}
+ */
+async function runSearch(query, searchOptions) {
+  const result = await search(query, searchOptions);
 
   let items = result.items;
 
   if (fields) {
-    items = items.map((item) => {
-      const filtered = {};
-      for (const f of fields) {
-        if (f in item) filtered[f] = item[f];
-      }
-      return filtered;
-    });
+    items = items.map((item) => pickFields(item, fields));
   }
 
-  if (opts.web) {
+  if (stats) {
+    outputStats(summarize(result.items, { groupBy: opts["group-by"] }), result, format, opts.pretty);
+  } else if (opts.web) {
     await openInBrowser(result, items);
   } else {
     output(items, result, format, opts.pretty);
@@ -224,9 +811,29 @@ try {
     process.stderr.write(`\x1b[32mSaved:\x1b[0m ${fname}\n`);
   }
 
+  if (opts.store) {
+    const store = loadStore(opts.store);
+    const { seen, added, gone, complete } = recordRun(store, result);
+    saveStore(opts.store, store);
+    process.stderr.write(`\x1b[32mStored:\x1b[0m ${seen} ad${seen === 1 ? "" : "s"} in ${opts.store} (${added} new, ${complete ? `${gone} gone` : "gone check skipped: the run did not reach every result, raise --limit"})\n`);
+  }
+
+  if (result.query.near) {
+    const unplaced = result.items.filter((item) => item.distanceKm == null).length;
+    if (unplaced > 0) process.stderr.write(`\x1b[33mWarning:\x1b[0m ${unplaced} ad${unplaced === 1 ? " is" : "s are"} in a municipality missing from the bundled table, so ${unplaced === 1 ? "its" : "their"} distance is unknown (distanceKm: null). ${unplaced === 1 ? "It was" : "They were"} kept, whether inside --radius or not.\n`);
+  }
+
   const got = result.items.length;
   const platformMax = result.pagination.resultsLimit;
-  if (got < limit) {
+  if (result.coverage) {
+    const c = result.coverage;
+    const pct = (c.ratio * 100).toLocaleString("pt-BR", { maximumFractionDigits: 1 });
+    process.stderr.write(`\x1b[33mCoverage:\x1b[0m collected ${c.collected.toLocaleString("pt-BR")} of ${c.total.toLocaleString("pt-BR")} ads (${pct}%) over ${c.subQueries} sub-quer${c.subQueries === 1 ? "y" : "ies"}.`);
+    if (c.cappedSubQueries > 0) process.stderr.write(` ${c.cappedSubQueries} sub-quer${c.cappedSubQueries === 1 ? "y" : "ies"} still exceeded the platform limit.`);
+    if (c.failedSubQueries > 0) process.stderr.write(` ${c.failedSubQueries} sub-quer${c.failedSubQueries === 1 ? "y" : "ies"} failed (see --log).`);
+    if (c.truncated) process.stderr.write(" Stopped early: too many sub-queries.");
+    process.stderr.write("\n");
+  } else if (got < limit) {
     if (result.pagination.capped) {
       process.stderr.write(`\x1b[33mNote:\x1b[0m Returned ${got} of ${limit} requested.`);
       if (platformMax && limit > platformMax) {
@@ -245,48 +852,528 @@ try {
 
   if (result.stats) {
     const s = result.stats;
-    log("CLI", `Requests: ${s.requests} total (${s.pageRequests} page${s.pageRequests !== 1 ? "s" : ""} + ${s.detailRequests} detail${s.detailRequests !== 1 ? "s" : ""})`);
+    log("CLI", `Requests: ${s.requests} total (${s.pageRequests} page${s.pageRequests !== 1 ? "s" : ""} + ${s.detailRequests} detail${s.detailRequests !== 1 ? "s" : ""}), cache: ${s.cacheHits} hit${s.cacheHits !== 1 ? "s" : ""} / ${s.cacheMisses} miss${s.cacheMisses !== 1 ? "es" : ""}`);
   }
-} catch (e) {
-  log("CLI", "Fatal error", e);
-  closeLogger();
-  error(e.message);
 }
 
-closeLogger();
+/**
+ * Runs every query of --queries-file through {@link searchBatch} and prints
+ * the combined result, or writes one file per query to --output-dir. Progress
+ * and failed queries are reported on stderr; the exit code is 1 if any query
+ * failed.
+ *
+ * @param {import("../lib/batch.js").BatchQuery[]} queries - Queries from the file.
+ * @param {object} searchOptions - Options shared by every query.
+ * @returns {Promise<void>}
+ */
+async function runBatch(queries, searchOptions) {
+  const outputDir = opts["output-dir"];
+  if (outputDir) fs.mkdirSync(outputDir, { recursive: true });
+  const width = String(queries.length).length;
+
+  const batch = await searchBatch(queries, {
+    ...searchOptions,
+    onResult: (entry) => {
+      const label = `[${String(entry.index + 1).padStart(width)}/${queries.length}] "${entry.text}"`;
+      if (entry.error) {
+        process.stderr.write(`\x1b[31m${label} failed:\x1b[0m ${entry.error}\n`);
+        return;
+      }
+      const count = entry.result.items.length;
+      let saved = "";
+      if (outputDir) {
+        const file = path.join(outputDir, `${String(entry.index + 1).padStart(Math.max(width, 2), "0")}-${querySlug(entry.text)}.${format}`);
+        const items = fields ? entry.result.items.map((item) => pickFields(item, fields)) : entry.result.items;
+        fs.writeFileSync(file, formatItems(items, entry.result, format, opts.pretty), "utf-8");
+        saved = ` \u2192 ${file}`;
+      }
+      process.stderr.write(`\x1b[2m${label}: ${count} ad${count === 1 ? "" : "s"}${saved}\x1b[0m\n`);
+    },
+  });
+
+  const items = fields ? batch.items.map((item) => pickFields(item, fields)) : batch.items;
+  if (!outputDir && format === "table") {
+    let offset = 0;
+    for (const { text, result } of batch.entries) {
+      if (!result) continue;
+      console.log(`\x1b[1m\u2550\u2550\u2550 "${text}" \u2550\u2550\u2550\x1b[0m`);
+      outputTable(items.slice(offset, offset + result.items.length));
+      console.log();
+      offset += result.items.length;
+    }
+  } else if (!outputDir) {
+    output(items, { queries: batch.queries, stats: batch.stats }, format, opts.pretty);
+  }
+
+  if (opts["save-json"]) {
+    const ts = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").substring(0, 19);
+    const fname = `olx-results_${ts}.json`;
+    fs.writeFileSync(fname, JSON.stringify({ queries: batch.queries, stats: batch.stats, items }, null, 2), "utf-8");
+    process.stderr.write(`\x1b[32mSaved:\x1b[0m ${fname}\n`);
+  }
+
+  if (opts.store) {
+    const store = loadStore(opts.store);
+    let seen = 0;
+    for (const { result } of batch.entries) {
+      if (result) seen += recordRun(store, result).seen;
+    }
+    saveStore(opts.store, store);
+    process.stderr.write(`\x1b[32mStored:\x1b[0m ${seen} ad${seen === 1 ? "" : "s"} in ${opts.store}\n`);
+  }
+
+  const { succeeded, failed } = batch.stats;
+  const summary = `${succeeded} of ${queries.length} quer${queries.length === 1 ? "y" : "ies"} succeeded, ${batch.stats.items} ad${batch.stats.items === 1 ? "" : "s"}`;
+  process.stderr.write(failed > 0 ? `\x1b[33mBatch:\x1b[0m ${summary}; ${failed} failed.\n` : `\x1b[32mBatch:\x1b[0m ${summary}.\n`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Streams results as JSON lines through {@link searchIter}, printing each item
+ * as soon as it is parsed (or enriched, when details are enabled).
+ *
+ * @param {string} query - The search query.
+ * @param {object} searchOptions - Options passed through to {@link searchIter}.
+ * @returns {Promise<void>}
+ */
+async function streamJsonl(query, searchOptions) {
+  let count = 0;
+  for await (const item of searchIter(query, searchOptions)) {
+    console.log(JSON.stringify(fields ? pickFields(item, fields) : item));
+    count++;
+  }
+  log("CLI", `Streamed ${count} item${count !== 1 ? "s" : ""}`);
+}
+
+/**
+ * Runs watch mode: polls the search on an interval and prints only new listings
+ * and price changes as JSON lines. Cycle failures are reported on stderr and
+ * the watch keeps going.
+ *
+ * @param {string} query - The search query.
+ * @param {object} searchOptions - Options passed through to {@link search}.
+ * @returns {Promise<void>}
+ */
+async function runWatch(query, searchOptions) {
+  const stateFile = opts["watch-file"] || `olx-watch_${querySlug(query)}.json`;
+  process.stderr.write(`\x1b[2mWatching "${query}" every ${interval}s — state: ${stateFile}\x1b[0m\n`);
+
+  const events = watch(query, {
+    ...searchOptions,
+    stateFile,
+    interval: interval * 1000,
+    cycles,
+    onError: (err, cycle) => process.stderr.write(`\x1b[31mCycle ${cycle} failed:\x1b[0m ${err.message}\n`),
+    onCycle: ({ cycle, items, events: count }) => process.stderr.write(`\x1b[2mCycle ${cycle}: ${items} items, ${count} change${count === 1 ? "" : "s"}\x1b[0m\n`),
+  });
+  // Notifications are sent in the background, one event at a time, so a slow
+  // sink delays later notifications but never the next cycle.
+  let deliveries = Promise.resolve();
+  let pending = 0;
+  for await (const event of events) {
+    console.log(JSON.stringify(fields ? { ...event, item: pickFields(event.item, fields) } : event));
+    if (!notifier) continue;
+    if (pending >= MAX_PENDING_NOTIFICATIONS) {
+      process.stderr.write(`\x1b[31mNotify queue full:\x1b[0m ${event.event} ${event.id} not sent (${pending} events waiting)\n`);
+      continue;
+    }
+    pending++;
+    deliveries = deliveries
+      .then(() => notifier.notify(event))
+      .then((list) => {
+        pending--;
+        for (const delivery of list) {
+          if (!delivery.ok) process.stderr.write(`\x1b[31mNotify ${delivery.sink.type} failed\x1b[0m (${delivery.sink.target}, ${delivery.attempts} attempt${delivery.attempts === 1 ? "" : "s"}): ${delivery.error}\n`);
+        }
+      });
+  }
+  await deliveries;
+}
+
+/**
+ * Prints the recorded price timeline of one ad from a history store, as JSON
+ * with `-f json` or as a table otherwise.
+ *
+ * @param {string} id - Ad id.
+ * @param {string} file - Path of the history store.
+ */
+function showHistory(id, file) {
+  if (!fs.existsSync(file)) {
+    error(`History store "${file}" not found. Record searches with --store first.`);
+  }
+  let history;
+  try {
+    history = getAdHistory(loadStore(file), id);
+  } catch (e) {
+    error(e.message);
+  }
+  if (!history) {
+    error(`Ad "${id}" is not in ${file}.`);
+  }
+
+  if (opts.format?.toLowerCase() === "json" || opts.pretty) {
+    console.log(JSON.stringify(history, null, opts.pretty ? 2 : 0));
+    return;
+  }
+
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const green = (s) => `\x1b[32m${s}\x1b[0m`;
+  const red = (s) => `\x1b[31m${s}\x1b[0m`;
+  const brl = (n) => n.toLocaleString("pt-BR", { minimumFractionDigits: 2 });
+
+  console.log(bold(history.title));
+  if (history.permalink) console.log(dim(`  ${history.permalink}`));
+  const status = history.gone ? red(`gone since ${new Date(history.goneAt).toLocaleString("pt-BR")}`) : green("active");
+  console.log(dim(`  First seen ${new Date(history.firstSeen).toLocaleString("pt-BR")} • last seen ${new Date(history.lastSeen).toLocaleString("pt-BR")} • `) + status);
+  console.log();
+  for (const obs of history.timeline) {
+    const price = obs.price != null ? `BRL ${brl(obs.price)}` : "Preço não informado";
+    let change = "";
+    if (obs.change) change = obs.change < 0 ? green(` ${brl(obs.change)}`) : red(` +${brl(obs.change)}`);
+    console.log(`  ${dim(new Date(obs.at).toLocaleString("pt-BR").padEnd(22))} ${price}${change}`);
+  }
+}
+
+/**
+ * Applies .olxsearchrc.json settings to the parsed options. Options given on
+ * the command line are kept, and mode options (notifications, server address)
+ * are skipped outside their mode. Values are checked against the option types
+ * here; their ranges are checked later with the command-line values.
+ *
+ * Defaults apply to every run, including from a project file picked up in a
+ * parent directory, so they may not set `command:` sinks; a profile only
+ * applies when chosen with --profile.
+ *
+ * @param {Object<string, *>} settings - Defaults or profile settings.
+ * @param {string} source - Where they come from, for error messages.
+ * @param {object} [options={}] - Restrictions.
+ * @param {boolean} [options.commands=true] - Whether `command:` notify sinks are allowed.
+ */
+function applySettings(settings, source, { commands = true } = {}) {
+  for (const [key, value] of Object.entries(settings)) {
+    const invalid = (expected) => error(`Invalid "${key}" in ${source}: expected ${expected}.`);
+    if (key === "query") {
+      if (typeof value !== "string") invalid("a string");
+      profileQuery = value;
+      continue;
+    }
+    const spec = OPTIONS[key];
+    if (!spec || CLI_ONLY_OPTIONS.includes(key)) {
+      error(`Unknown option "${key}" in ${source}. Use long option names without dashes (e.g. "min-price"), or "query".`);
+    }
+    if (givenOptions.has(key)) continue;
+    if (Object.entries(MODE_OPTIONS).some(([mode, names]) => names.includes(key) && command !== mode)) continue;
+    if (command === "serve" && !SERVE_OPTIONS.includes(key)) continue;
+
+    if (spec.type === "boolean") {
+      if (typeof value !== "boolean") invalid("true or false");
+      opts[key] = value;
+    } else if (key === "notify") {
+      // Sinks are "<type>:<target>" strings or { "sink": "<type>:<target>", "template": "..." }.
+      profileSinks = [].concat(value).map((entry) => {
+        const sink = typeof entry === "string" ? entry : entry?.sink;
+        const template = typeof entry === "string" ? null : (entry?.template ?? null);
+        if (typeof sink !== "string" || (template !== null && typeof template !== "string")) invalid('sinks as "<type>:<target>" or { "sink", "template" }');
+        let parsedSink;
+        try {
+          parsedSink = parseSink(sink, template);
+        } catch (e) {
+          error(`${e.message} (in ${source})`);
+        }
+        if (parsedSink.type === "command" && !commands) {
+          error(`Invalid notify sink "${sink}" in ${source}: command sinks can only be set in a profile (chosen with --profile) or with --notify.`);
+        }
+        return parsedSink;
+      });
+    } else {
+      const values = [].concat(value);
+      if ((!spec.multiple && Array.isArray(value)) || !values.every((v) => typeof v === "string" || Number.isFinite(v))) {
+        invalid(spec.multiple ? "a string or a list of strings" : "a string or a number");
+      }
+      opts[key] = spec.multiple ? values.map(String) : String(value);
+    }
+  }
+}
+
+/**
+ * Returns a profile of the loaded configuration, or exits with an error.
+ *
+ * @param {string} name - Profile name.
+ * @returns {Object<string, *>} The profile's settings.
+ */
+function profileOrExit(name) {
+  try {
+    return getProfile(config, name);
+  } catch (e) {
+    return error(e.message);
+  }
+}
+
+/**
+ * Prints the profiles (and defaults) of the configuration file as the
+ * command lines they stand for.
+ */
+function listProfiles() {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const names = Object.keys(config.profiles);
+  if (!configFile || names.length === 0) {
+    console.log(dim(`\n  Nenhum perfil${configFile ? ` em ${configFile}` : ""}.`));
+    console.log(dim(`  Uso: olx-search profiles add notebooks "notebook" --state sp,rj -l 50 -f table\n`));
+    return;
+  }
+  const width = Math.max(...names.map((name) => name.length));
+  console.log(bold(`\nPerfis em ${configFile}:\n`));
+  if (Object.keys(config.defaults).length > 0) console.log(`  ${dim("(defaults)".padEnd(width))}  ${dim(profileArgs(config.defaults))}`);
+  for (const name of names) console.log(`  ${bold(name.padEnd(width))}  ${dim(profileArgs(config.profiles[name]))}`);
+  console.log(dim(`\n  Total: ${names.length} perfis`));
+  console.log(dim(`  Uso: olx-search --profile ${names[0]} [query] [options]`));
+  console.log();
+}
+
+/**
+ * Renders profile settings as command-line arguments.
+ *
+ * @param {Object<string, *>} settings - Profile settings.
+ * @returns {string} Arguments, e.g. \`"notebook" --state sp,rj --strict\`.
+ */
+function profileArgs(settings) {
+  const quote = (value) => (/^[\w.,:/=<>@+-]+$/.test(String(value)) ? String(value) : JSON.stringify(String(value)));
+  const args = settings.query ? [JSON.stringify(settings.query)] : [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === "query" || value === false) continue;
+    for (const entry of [].concat(value)) {
+      if (entry === true) args.push(`--${key}`);
+      else if (entry?.sink) args.push(`--${key} ${quote(entry.sink)}`, ...(entry.template != null ? [`--notify-template ${quote(entry.template)}`] : []));
+      else args.push(`--${key} ${quote(entry)}`);
+    }
+  }
+  return args.join(" ");
+}
+
+/**
+ * Saves the query and the options given on the command line as a profile,
+ * replacing any profile of that name. Creates .olxsearchrc.json in the
+ * current directory when no configuration file was found.
+ *
+ * @param {string} name - Profile name.
+ * @param {string} query - Search query, or an empty string for none.
+ * @param {import("../lib/notify.js").NotifySink[]} sinks - Notification sinks from --notify.
+ */
+function saveProfile(name, query, sinks) {
+  const file = configFile ?? path.resolve(CONFIG_FILE);
+  const settings = query ? { query } : {};
+  for (const key of givenOptions) {
+    if (CLI_ONLY_OPTIONS.includes(key)) continue;
+    const value = opts[key];
+    if (key === "notify") settings.notify = sinks.map((sink) => (sink.template == null ? `${sink.type}:${sink.target}` : { sink: `${sink.type}:${sink.target}`, template: sink.template }));
+    // Brazilian-notation prices such as "1.500" stay strings so they are not read back as 1.5.
+    else settings[key] = NUMERIC_OPTIONS.includes(key) && String(Number(value)) === value ? Number(value) : value;
+  }
+  if (Object.keys(settings).length === 0) {
+    error(`Nothing to save: give profile "${name}" a query and/or options.`);
+  }
+  const existed = Object.hasOwn(config.profiles, name);
+  config.profiles[name] = settings;
+  try {
+    saveConfig(file, config);
+  } catch (e) {
+    error(`Could not write "${file}": ${e.message}`);
+  }
+  process.stderr.write(`\x1b[32m${existed ? "Updated" : "Saved"}:\x1b[0m profile "${name}" in ${file}\n`);
+  process.stderr.write(`\x1b[2m  olx-search --profile ${name}  =  olx-search ${profileArgs(settings)}\x1b[0m\n`);
+}
+
+/**
+ * Turns a query into a file name part (`"iPhone 15 Pro"` → `iphone-15-pro`).
+ *
+ * @param {string} query - Search query.
+ * @returns {string} Lowercase ASCII slug, `query` if nothing is left.
+ */
+function querySlug(query) {
+  return (
+    query
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "query"
+  );
+}
+
+/**
+ * Returns a copy of an item containing only the requested fields. Dotted
+ * paths such as `vehicle.year` pick a nested value under that flat key.
+ *
+ * @param {object} item - A result item.
+ * @param {string[]} fieldList - Field names to keep.
+ * @returns {object} The filtered item.
+ */
+function pickFields(item, fieldList) {
+  const filtered = {};
+  for (const f of fieldList) {
+    if (f in item) {
+      filtered[f] = item[f];
+    } else if (f.includes(".")) {
+      const value = f.split(".").reduce((obj, key) => (obj != null && typeof obj === "object" ? obj[key] : undefined), item);
+      if (value !== undefined) filtered[f] = value;
+    }
+  }
+  return filtered;
+}
 
 /**
  * Prints search results to stdout in the requested format.
  *
  * @param {object[]} items - The (possibly field-filtered) result items to display.
  * @param {object} result - The full search result object returned by {@link search}.
- * @param {'json'|'jsonl'|'csv'|'table'} fmt - Output format.
+ * @param {'json'|'jsonl'|'csv'|'table'|'xlsx'|'ods'} fmt - Output format.
  * @param {boolean} pretty - Whether to pretty-print JSON output.
  */
 function output(items, result, fmt, pretty) {
+  if (fmt === "table") {
+    outputTable(items);
+    return;
+  }
+  const text = formatItems(items, result, fmt, pretty);
+  if (text.length === 0) return;
+  // Spreadsheets are binary: print them only when stdout goes to a file or pipe.
+  if (Buffer.isBuffer(text) && process.stdout.isTTY) {
+    const ts = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").substring(0, 19);
+    const fname = `olx-results_${ts}.${fmt}`;
+    fs.writeFileSync(fname, text);
+    process.stderr.write(`\x1b[32mSaved:\x1b[0m ${fname}\n`);
+    return;
+  }
+  process.stdout.write(text);
+}
+
+/**
+ * Renders items as `json` (the result object with the items), `jsonl` or
+ * `csv` text, ending with a newline unless empty, or as an `xlsx` / `ods`
+ * workbook with an "Ads" and a "Query" sheet.
+ *
+ * @param {object[]} items - Items to render (may be field-filtered).
+ * @param {object} result - The full search result object returned by {@link search}.
+ * @param {'json'|'jsonl'|'csv'|'xlsx'|'ods'} fmt - Output format.
+ * @param {boolean} pretty - Whether to pretty-print JSON output.
+ * @returns {string|Buffer} Rendered text, or the workbook file.
+ */
+function formatItems(items, result, fmt, pretty) {
   switch (fmt) {
     case "json":
-      if (pretty) {
-        console.log(JSON.stringify({ ...result, items }, null, 2));
-      } else {
-        console.log(JSON.stringify({ ...result, items }));
-      }
-      break;
+      return JSON.stringify({ ...result, items }, null, pretty ? 2 : 0) + "\n";
 
     case "jsonl":
-      for (const item of items) {
-        console.log(JSON.stringify(item));
-      }
-      break;
+      return items.map((item) => JSON.stringify(item) + "\n").join("");
 
     case "csv":
-      outputCsv(items);
-      break;
+      return csvLines(items)
+        .map((line) => line + "\n")
+        .join("");
+
+    case "xlsx":
+      return writeXlsx(resultSheets(result, items));
+
+    case "ods":
+      return writeOds(resultSheets(result, items));
+  }
+  return "";
+}
+
+/**
+ * Prints a price summary from {@link summarize}. `json` and `jsonl` print the
+ * summary object, `csv` prints one row for all ads plus one per group, and
+ * `table` adds an ASCII histogram and the list of outliers, and, when grouped
+ * by seller, each seller's ads.
+ *
+ * @param {object} summary - Price summary.
+ * @param {object} result - The full search result object returned by {@link search}.
+ * @param {'json'|'jsonl'|'csv'|'table'} fmt - Output format.
+ * @param {boolean} pretty - Whether to pretty-print JSON output.
+ */
+function outputStats(summary, result, fmt, pretty) {
+  if (fmt === "json" || fmt === "jsonl") {
+    console.log(JSON.stringify({ query: result.query, stats: summary }, null, pretty && fmt === "json" ? 2 : 0));
+    return;
+  }
+
+  const columns = ["count", "priced", "min", "p10", "p25", "median", "mean", "p75", "p90", "max"];
+  const rows = [{ key: null, ...summary }, ...(summary.groups || [])];
+  const groupName = (g) => g.seller?.name ?? String(g.key ?? "(none)");
+
+  if (fmt === "csv") {
+    console.log(["group", ...columns, "outliers"].join(","));
+    for (const [i, row] of rows.entries()) {
+      const group = i === 0 ? "(all)" : groupName(row);
+      const cells = [CSV_ESCAPE_RE.test(group) ? `"${group.replace(/"/g, '""')}"` : group, ...columns.map((c) => row[c] ?? ""), row.outliers.length];
+      console.log(cells.join(","));
+    }
+    return;
+  }
+
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const bold = (s) => `\x1b[1m${s}\x1b[0m`;
+  const green = (s) => `\x1b[32m${s}\x1b[0m`;
+  const yellow = (s) => `\x1b[33m${s}\x1b[0m`;
+  const brl = (n) => (n != null ? n.toLocaleString("pt-BR", { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "—");
 
-    case "table":
-      outputTable(items);
-      break;
+  console.log(dim(`─── Price summary for "${result.query.text}": ${summary.count} ad${summary.count === 1 ? "" : "s"}, ${summary.priced} with price ───`));
+  console.log();
+  if (summary.priced === 0) {
+    console.log("Nenhum preço informado.");
+    return;
   }
+
+  const labels = { min: "Min", p10: "P10", p25: "P25", median: "Median", mean: "Mean", p75: "P75", p90: "P90", max: "Max" };
+  for (const [key, label] of Object.entries(labels)) {
+    const value = `BRL ${brl(summary[key])}`;
+    console.log(`  ${label.padEnd(8)} ${key === "median" ? green(bold(value)) : value}`);
+  }
+
+  const peak = Math.max(...summary.histogram.map((b) => b.count));
+  const ranges = summary.histogram.map((b) => `${brl(b.from)} – ${brl(b.to)}`);
+  const width = Math.max(...ranges.map((r) => r.length));
+  console.log();
+  console.log(bold("  Histogram"));
+  for (const [i, bin] of summary.histogram.entries()) {
+    const bar = "█".repeat(Math.round((bin.count / peak) * 40)) || (bin.count > 0 ? "▏" : "");
+    console.log(`  ${dim(ranges[i].padStart(width))}  ${bar} ${bin.count}`);
+  }
+
+  if (summary.groups) {
+    const header = ["Group", "Ads", "Median", "P25 – P75", "Min – Max"];
+    const table = summary.groups.map((g) => [groupName(g), String(g.count), brl(g.median), `${brl(g.p25)} – ${brl(g.p75)}`, `${brl(g.min)} – ${brl(g.max)}`]);
+    const widths = header.map((h, c) => Math.max(h.length, ...table.map((r) => r[c].length)));
+    const line = (cells) => cells.map((cell, c) => (c === 0 ? cell.padEnd(widths[c]) : cell.padStart(widths[c]))).join("  ");
+    console.log();
+    console.log(bold(`  By ${opts["group-by"]}`));
+    console.log(`  ${bold(line(header))}`);
+    for (const row of table) console.log(`  ${line(row)}`);
+  }
+
+  for (const group of summary.groups?.filter((g) => g.seller) ?? []) {
+    const { id, professional } = group.seller;
+    const info = [id && `id ${id}`, professional && "profissional", `${group.count} an\u00fancio${group.count === 1 ? "" : "s"}`, group.priced > 0 && `BRL ${brl(group.min)} \u2013 ${brl(group.max)}`].filter(Boolean).join(", ");
+    console.log();
+    console.log(`  ${bold(groupName(group))} ${dim(`(${info})`)}`);
+    for (const ad of group.ads) {
+      const title = ad.title.length > 60 ? ad.title.slice(0, 59) + "..." : ad.title;
+      console.log(`    BRL ${brl(ad.price).padStart(12)}  ${title}${ad.permalink ? dim(`  ${ad.permalink}`) : ""}`);
+    }
+  }
+
+  if (summary.outliers.length > 0) {
+    console.log();
+    console.log(bold(`  Outliers (${summary.outliers.length})`));
+    for (const o of summary.outliers) {
+      const tag = o.type === "low" ? yellow("LOW ") : dim("HIGH");
+      const title = o.title.length > 60 ? o.title.slice(0, 59) + "..." : o.title;
+      console.log(`  ${tag} BRL ${brl(o.price).padStart(12)}  ${title}${o.permalink ? dim(`  ${o.permalink}`) : ""}`);
+    }
+  }
+  console.log();
 }
 
 /**
@@ -327,13 +1414,16 @@ function outputTable(items) {
     if (item.olxDelivery) badges += cyan(" [OLX ENTREGA]");
     if (item.isFeatured) badges += yellow(" [DESTAQUE]");
 
+    if (item.pricePerM2 != null) badges += dim(` (${item.pricePerM2.toLocaleString("pt-BR", { maximumFractionDigits: 0 })}/m²)`);
+
     const loc = item.location ? dim(` • ${item.location}`) : "";
+    const distance = item.distanceKm != null ? cyan(` • ${item.distanceKm.toLocaleString("pt-BR")} km`) : "";
     const date = item.date ? dim(` • ${new Date(item.date).toLocaleDateString("pt-BR")}`) : "";
     const seller = item.sellerName ? dim(` • ${item.sellerName}`) : "";
     const link = item.permalink ? dim(`  ${item.permalink}`) : "";
 
     console.log(`${num} ${title}`);
-    console.log(`    ${price}${badges}${loc}${date}${seller}`);
+    console.log(`    ${price}${badges}${loc}${distance}${date}${seller}`);
     if (link) console.log(`    ${link}`);
 
     if (item.images && item.images.length > 1) {
@@ -359,15 +1449,17 @@ function outputTable(items) {
 }
 
 /**
- * Serialises search results as CSV to stdout.
+ * Serialises search results as CSV lines: a header with the keys of the first
+ * item, then one row per item.
  *
  * @param {object[]} items - Parsed search result items.
+ * @returns {string[]} Lines without line breaks (none for no items).
  */
-function outputCsv(items) {
-  if (items.length === 0) return;
+function csvLines(items) {
+  if (items.length === 0) return [];
 
   const keys = Object.keys(items[0]);
-  console.log(keys.join(","));
+  const lines = [keys.join(",")];
 
   for (const item of items) {
     const row = keys.map((k) => {
@@ -379,8 +1471,9 @@ function outputCsv(items) {
       }
       return s;
     });
-    console.log(row.join(","));
+    lines.push(row.join(","));
   }
+  return lines;
 }
 
 /**
@@ -431,12 +1524,12 @@ function generateHtml(result, items) {
 
     const priceHtml = item.price != null ? `<div class="price-row"><span class="price">${esc(fmtPrice(item.price))}</span>${item.oldPrice != null ? `<span class="orig">${esc(fmtPrice(item.oldPrice))}</span>` : ""}</div>` : '<div class="price-row"><span class="price no-price">Pre\xE7o n\xE3o informado</span></div>';
 
-    const locHtml = item.location ? `<p class="location">${esc(item.location)}</p>` : "";
+    const locHtml = item.location ? `<p class="location">${esc(item.location)}${item.distanceKm != null ? ` \xB7 ${esc(item.distanceKm.toLocaleString("pt-BR"))} km` : ""}</p>` : "";
     const dateHtml = item.date ? `<p class="date">${esc(fmtDate(item.date))}</p>` : "";
 
     const descHtml = item.description ? `<p class="desc">${esc(item.description.replace(/\n+/g, " ").trim().slice(0, 200))}${item.description.replace(/\n+/g, " ").trim().length > 200 ? "\u2026" : ""}</p>` : "";
 
-    return `<article class="card" data-index="${index}" data-title="${esc((item.title || "").toLowerCase())}" data-desc="${esc((item.description || "").toLowerCase().slice(0, 500))}" data-price="${item.price ?? 0}" data-date="${item.dateTimestamp ?? 0}" data-discount="${item.discountPercent ?? 0}">
+    return `<article class="card" data-index="${index}" data-title="${esc((item.title || "").toLowerCase())}" data-desc="${esc((item.description || "").toLowerCase().slice(0, 500))}" data-price="${item.price ?? 0}" data-date="${item.dateTimestamp ?? 0}" data-discount="${item.discountPercent ?? 0}" data-distance="${item.distanceKm ?? ""}">
       <div class="img-zone" data-images="${esc(JSON.stringify(allPics))}">
         <div class="img-a">${thumbImg}${thumbPh}</div>
         ${galleryStrip}
@@ -450,8 +1543,9 @@ function generateHtml(result, items) {
     </article>`;
   };
 
-  const sortMap = { price_asc: "price-asc", price_desc: "price-desc", date: "date", relevance: "relevance" };
+  const sortMap = { price_asc: "price-asc", price_desc: "price-desc", date: "date", discount: "discount", distance: "distance", relevance: "relevance" };
   const initialSort = sortMap[query.sort] || "relevance";
+  const place = query.near ? `${query.near.radiusKm.toLocaleString("pt-BR")} km de ${query.near.label}` : query.locations?.some((loc) => loc.region) ? query.locations.map((loc) => loc.name).join(" / ") : query.state?.toUpperCase();
   const total = (pagination.total || items.length).toLocaleString("pt-BR");
   const now = new Date().toLocaleString("pt-BR");
   const cardsHtml = items.length > 0 ? items.map((item, i) => card(item, i)).join("\n") : '<p class="empty">Nenhum resultado encontrado.</p>';
@@ -618,6 +1712,7 @@ footer a{color:inherit}
   var currentSort=(controls&&controls.dataset.initialSort)||'relevance';
   var currentSearch='';
   if(sortSelect){sortSelect.value=currentSort;}
+  function distanceOf(c){var d=parseFloat(c.dataset.distance);return isNaN(d)?Infinity:d;}
 
   function update(){
     var q=currentSearch.toLowerCase();
@@ -636,6 +1731,7 @@ footer a{color:inherit}
         case 'price-desc': return parseFloat(b.dataset.price)-parseFloat(a.dataset.price);
         case 'date': return parseFloat(b.dataset.date)-parseFloat(a.dataset.date);
         case 'discount': return parseFloat(b.dataset.discount)-parseFloat(a.dataset.discount);
+        case 'distance': return distanceOf(a)-distanceOf(b);
         default: return parseInt(a.dataset.index)-parseInt(b.dataset.index);
       }
     });
@@ -754,7 +1850,7 @@ footer a{color:inherit}
     <span class="logo">olx-search<em>.cli</em></span>
     <div class="h-info">
       <span class="h-query">${esc(query.text)}</span>
-      <span class="h-meta">${query.state ? `${query.state.toUpperCase()} \xB7 ` : ""}${total} resultado${pagination.total === 1 ? "" : "s"} \xB7 ${now}</span>
+      <span class="h-meta">${place ? `${esc(place)} \xB7 ` : ""}${total} resultado${pagination.total === 1 ? "" : "s"} \xB7 ${now}</span>
     </div>
   </div>
   <button id="theme-btn" class="theme-btn" aria-label="Alternar tema claro/escuro"></button>
@@ -773,6 +1869,7 @@ footer a{color:inherit}
         <option value="price-desc">Maior Pre\xE7o</option>
         <option value="date">Mais Recentes</option>
         <option value="discount">Maior Desconto</option>
+        ${query.near ? '<option value="distance">Mais Pr\xF3ximos</option>' : ""}
       </select>
     </div>
   </div>
@@ -854,6 +1951,27 @@ function makeSaveCallback(prefix) {
   };
 }
 
+/**
+ * Parses a price option given in plain (`1500`, `1500.50`) or Brazilian
+ * (`1.500`, `1.500,50`, `1500,50`) notation. A dot followed by groups of
+ * exactly three digits separates thousands, so `1.500` is fifteen hundred.
+ *
+ * @param {string} name - Long option name (`"min-price"` or `"max-price"`).
+ * @returns {number|null} Price in BRL, or `null` when the option is not set.
+ */
+function parsePriceOption(name) {
+  const raw = opts[name];
+  if (raw == null) return null;
+  const text = String(raw).trim();
+  let number = NaN;
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) number = Number(text.replace(/\./g, "").replace(",", "."));
+  else if (/^\d+([.,]\d+)?$/.test(text)) number = Number(text.replace(",", "."));
+  if (!Number.isFinite(number)) {
+    error(`Invalid --${name} "${raw}". It must be a non-negative number, e.g. 1500, 1.500 or 1500,50.`);
+  }
+  return number;
+}
+
 /**
  * Prints a red-coloured error message to stderr and terminates the process.
  *
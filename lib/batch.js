@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Batch searches.
+ * Runs a list of queries, each with its own options, through `search()` with
+ * one request limiter shared by the whole batch, and combines the results. A
+ * query that fails is reported in the result and the batch goes on.
+ * @module batch
+ */
+
+import fs from "node:fs";
+import { search, defaultFetcher } from "./index.js";
+import { createSearchLimiters } from "./limiter.js";
+import { log } from "./logger.js";
+
+const DEFAULT_PARALLEL = 2;
+
+/** `search()` options a batch entry may set for its own query. */
+const QUERY_OPTIONS = ["limit", "sort", "state", "region", "city", "neighbourhood", "near", "radius", "category", "strict", "exclude", "where", "seller", "professional", "minPrice", "maxPrice", "noDetails", "exhaustive", "concurrency"];
+
+/** Options of {@link QUERY_OPTIONS} that must be positive integers. */
+const COUNT_OPTIONS = ["limit", "concurrency"];
+
+/**
+ * @typedef {object} BatchQuery
+ * @property {string} query - Search query.
+ * @property {object} options - `search()` options for this query only.
+ */
+
+/**
+ * @typedef {object} BatchEntry
+ * @property {number} index - Position of the query in the batch.
+ * @property {string} text - Search query.
+ * @property {object} options - The query's own options.
+ * @property {object|null} result - `search()` result, or `null` if the query failed.
+ * @property {string|null} error - Error message if the query failed.
+ */
+
+/**
+ * Reads a queries file: either one query per line (blank lines and lines
+ * starting with `#` are skipped) or a JSON array whose entries are query
+ * strings or objects with a `query` and per-query `search()` options, e.g.
+ * `[{ "query": "ps5", "maxPrice": 3000 }, "iphone 15"]`.
+ *
+ * @param {string} file - Path to the file.
+ * @returns {BatchQuery[]} The queries, in file order.
+ * @throws {Error} If the file cannot be read, is invalid, or holds no queries.
+ */
+export function loadQueries(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf-8");
+  } catch (err) {
+    throw new Error(`Could not read queries file "${file}": ${err.message}`);
+  }
+  let queries;
+  if (text.trimStart().startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid queries file "${file}": ${err.message}`);
+    }
+    queries = data.map((entry, i) => {
+      try {
+        return normalizeQuery(entry);
+      } catch (err) {
+        throw new Error(`Invalid queries file "${file}", entry ${i + 1}: ${err.message}`);
+      }
+    });
+  } else {
+    queries = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map((query) => ({ query, options: {} }));
+  }
+  if (queries.length === 0) throw new Error(`Queries file "${file}" holds no queries.`);
+  return queries;
+}
+
+/**
+ * Runs a batch of searches. Up to `parallel` queries run at once, and every
+ * OLX request of the batch goes through one limiter, so the batch as a whole
+ * keeps to `requestConcurrency` requests in flight spaced `requestInterval`
+ * apart, on top of each search's own delays.
+ *
+ * Items of the combined result keep their query's order and are tagged with
+ * `query: { text }`. A failed query has `result: null` and an `error`.
+ *
+ * @param {(string|BatchQuery|{query: string})[]} queries - Queries, as strings, {@link loadQueries} entries, or objects with `query` and options.
+ * @param {object} [options={}] - `search()` options shared by every query (each query's own options win), plus:
+ * @param {number} [options.parallel=2] - Queries run at once.
+ * @param {number} [options.requestInterval=250] - Minimum delay between any two OLX requests of the batch in milliseconds (`0` with `noRateLimit`).
+ * @param {number} [options.requestConcurrency=3] - Maximum OLX requests in flight across the batch.
+ * @param {(entry: BatchEntry) => void} [options.onResult] - Called as each query finishes, successful or not.
+ * @returns {Promise<{items: object[], queries: object[], stats: object, entries: BatchEntry[]}>} Combined items, one summary per query (`text`, `query`, `pagination`, `stats`, `error`), batch totals, and the full entries.
+ * @throws {Error} If the queries or batch options are invalid (per-query failures are not thrown).
+ */
+export async function searchBatch(queries, options = {}) {
+  const { parallel = DEFAULT_PARALLEL, requestInterval, requestConcurrency, onResult = null, fetcher = defaultFetcher, ...shared } = options;
+  if (!Number.isInteger(parallel) || parallel < 1) throw new Error(`Invalid parallel "${parallel}". It must be a positive integer.`);
+  const list = queries.map(normalizeQuery);
+  if (list.length === 0) throw new Error("No queries to run.");
+
+  const { searches, fetcher: sharedFetcher } = createSearchLimiters(fetcher, { parallel, requestInterval, requestConcurrency, noRateLimit: shared.noRateLimit });
+  log("BATCH", `Running ${list.length} quer${list.length === 1 ? "y" : "ies"}, ${parallel} at a time`);
+
+  const entries = await Promise.all(
+    list.map(({ query: text, options: own }, index) =>
+      searches.schedule(async () => {
+        let entry;
+        try {
+          const result = await search(text, { ...shared, ...own, fetcher: sharedFetcher });
+          entry = { index, text, options: own, result, error: null };
+          log("BATCH", `[${index + 1}/${list.length}] "${text}": ${result.items.length} items`);
+        } catch (err) {
+          entry = { index, text, options: own, result: null, error: err.message };
+          log("BATCH", `[${index + 1}/${list.length}] "${text}" failed: ${err.message}`);
+        }
+        onResult?.(entry);
+        return entry;
+      }),
+    ),
+  );
+
+  const stats = { queries: entries.length, succeeded: 0, failed: 0, items: 0, requests: 0, pageRequests: 0, detailRequests: 0, cacheHits: 0, cacheMisses: 0 };
+  const items = [];
+  for (const { text, result } of entries) {
+    if (!result) {
+      stats.failed++;
+      continue;
+    }
+    stats.succeeded++;
+    for (const key of ["requests", "pageRequests", "detailRequests", "cacheHits", "cacheMisses"]) stats[key] += result.stats?.[key] || 0;
+    for (const item of result.items) items.push({ ...item, query: { text } });
+  }
+  stats.items = items.length;
+
+  return {
+    items,
+    queries: entries.map(({ text, result, error }) => ({ text, query: result?.query ?? null, pagination: result?.pagination ?? null, stats: result?.stats ?? null, error })),
+    stats,
+    entries,
+  };
+}
+
+/**
+ * Normalises one batch entry to `{ query, options }`.
+ *
+ * @param {string|BatchQuery|object} entry - Query string, or object with `query` and options (or an `options` object).
+ * @returns {BatchQuery} The entry.
+ * @throws {Error} On a missing query, an unknown option, or a `limit` or `concurrency` that is not a positive integer.
+ */
+function normalizeQuery(entry) {
+  if (typeof entry === "string") {
+    if (!entry.trim()) throw new Error("Empty query.");
+    return { query: entry.trim(), options: {} };
+  }
+  if (typeof entry !== "object" || entry === null || Array.isArray(entry)) throw new Error('Each query must be a string or an object with a "query".');
+  const { query, options: nested, ...rest } = entry;
+  if (typeof query !== "string" || !query.trim()) throw new Error('Missing "query".');
+  const options = { ...nested, ...rest };
+  for (const [key, value] of Object.entries(options)) {
+    if (!QUERY_OPTIONS.includes(key)) throw new Error(`Unknown option "${key}" for query "${query}". Supported: ${QUERY_OPTIONS.join(", ")}`);
+    if (COUNT_OPTIONS.includes(key) && (!Number.isInteger(value) || value < 1)) throw new Error(`Invalid ${key} ${JSON.stringify(value)} for query "${query}". It must be a positive integer.`);
+  }
+  return { query: query.trim(), options };
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview On-disk HTTP response cache.
+ * Stores response bodies keyed by URL with separate TTLs for search listing
+ * pages and ad detail pages, which change far less often.
+ * @module cache
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { log } from "./logger.js";
+
+const DEFAULT_CACHE_TTL = 10 * 60 * 1000;
+const DEFAULT_DETAIL_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the default cache directory: `$XDG_CACHE_HOME/olx-search`, or
+ * `~/.cache/olx-search` when the variable is unset.
+ *
+ * @returns {string} Absolute directory path.
+ */
+export function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(base, "olx-search");
+}
+
+/**
+ * @typedef {object} ResponseCache
+ * @property {string} dir - Directory holding the cache entries.
+ * @property {(url: string, kind: 'page'|'detail') => Promise<string|null>} get - Returns a fresh cached body, or `null`.
+ * @property {(url: string, kind: 'page'|'detail', body: string) => Promise<void>} set - Stores a body.
+ * @property {() => Promise<number>} clear - Deletes every entry and returns how many were removed.
+ */
+
+/**
+ * Creates a file-backed response cache. Each entry is a JSON file named after
+ * the SHA-1 of its URL. A TTL of `0` disables reads and writes for that kind.
+ *
+ * @param {object} [options={}] - Cache options.
+ * @param {string} [options.dir] - Cache directory (default: {@link defaultCacheDir}).
+ * @param {number} [options.ttl=600000] - TTL for search listing pages in milliseconds.
+ * @param {number} [options.detailTtl=86400000] - TTL for ad detail pages in milliseconds.
+ * @returns {ResponseCache} The cache instance.
+ */
+export function createCache({ dir = defaultCacheDir(), ttl = DEFAULT_CACHE_TTL, detailTtl = DEFAULT_DETAIL_CACHE_TTL } = {}) {
+  const ttlFor = (kind) => (kind === "detail" ? detailTtl : ttl);
+  const fileFor = (url) => path.join(dir, `${createHash("sha1").update(url).digest("hex")}.json`);
+
+  return {
+    dir,
+
+    async get(url, kind) {
+      const maxAge = ttlFor(kind);
+      if (maxAge <= 0) return null;
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(url), "utf-8"));
+      } catch {
+        return null;
+      }
+      if (entry?.url !== url || typeof entry.body !== "string") return null;
+      const age = Date.now() - Date.parse(entry.storedAt);
+      if (!(age >= 0 && age < maxAge)) return null;
+      log("CACHE", `hit ${kind} (${Math.round(age / 1000)}s old): ${url}`);
+      return entry.body;
+    },
+
+    async set(url, kind, body) {
+      if (ttlFor(kind) <= 0) return;
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = fileFor(url);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ url, kind, storedAt: new Date().toISOString(), body }), "utf-8");
+        await fs.promises.rename(tmp, file);
+      } catch (err) {
+        log("CACHE", `write failed for ${url}: ${err.message}`);
+      }
+    },
+
+    async clear() {
+      return clearCache(dir);
+    },
+  };
+}
+
+/**
+ * Deletes every cache entry in a directory. Files that are not cache entries
+ * are left untouched.
+ *
+ * @param {string} [dir] - Cache directory (default: {@link defaultCacheDir}).
+ * @returns {Promise<number>} Number of entries removed.
+ */
+export async function clearCache(dir = defaultCacheDir()) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+  let removed = 0;
+  for (const name of names) {
+    if (!/^[0-9a-f]{40}\.json(\.\d+\.tmp)?$/.test(name)) continue;
+    await fs.promises.rm(path.join(dir, name), { force: true });
+    removed++;
+  }
+  log("CACHE", `cleared ${removed} entries from ${dir}`);
+  return removed;
+}
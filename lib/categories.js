@@ -0,0 +1,541 @@
+/**
+ * @fileoverview OLX category tree.
+ * Holds the category list as a tree with parent and child links, searchable and
+ * resolvable by name, and rebuilds it from the category facets OLX embeds in
+ * listing pages.
+ * The bundled list below is used until a refreshed one is loaded.
+ * @module categories
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+import { normalize, getQueryTokens } from "./query.js";
+
+const CATEGORIES_VERSION = 1;
+
+/**
+ * Bundled OLX categories as `[slug, name, parent?]`. Slugs are the
+ * `friendlyPath` used in the URL. The parent defaults to the longest slug
+ * prefix; it is only given for categories OLX files under a group without
+ * nesting their URL (e.g. `celulares` under `eletronicos-e-celulares`).
+ */
+const BUNDLED_CATEGORIES = [
+  ["imoveis", "Imóveis"],
+  ["imoveis/venda", "Venda - casas e apartamentos"],
+  ["imoveis/aluguel", "Aluguel - casas e apartamentos"],
+  ["imoveis/temporada", "Temporada"],
+  ["imoveis/terrenos", "Terrenos, sítios e fazendas"],
+  ["imoveis/comercio-e-industria", "Comércio e indústria"],
+  ["imoveis/lancamentos", "Imóvel Novo"],
+  ["autos-e-pecas", "Autos"],
+  ["autos-e-pecas/carros-vans-e-utilitarios", "Carros, vans e utilitários"],
+  ["autos-e-pecas/motos", "Motos"],
+  ["autos-e-pecas/onibus", "Ônibus"],
+  ["autos-e-pecas/caminhoes", "Caminhões"],
+  ["autos-e-pecas/barcos-e-aeronaves", "Barcos e aeronaves"],
+  ["autos-e-pecas/pecas-e-acessorios", "Autopeças"],
+  ["autos-e-pecas/pecas-e-acessorios/carros-vans-e-utilitarios", "Peças para carros, vans e utilitários"],
+  ["autos-e-pecas/pecas-e-acessorios/motos", "Peças para motos"],
+  ["autos-e-pecas/pecas-e-acessorios/onibus", "Peças para ônibus"],
+  ["autos-e-pecas/pecas-e-acessorios/caminhoes", "Peças para caminhões"],
+  ["autos-e-pecas/pecas-e-acessorios/barcos-e-aeronaves", "Peças para barcos e aeronaves"],
+  ["para-a-sua-casa", "Casa, Decoração e Utensílios"],
+  ["para-a-sua-casa/cama-mesa-e-banho", "Tecidos de Cama, Mesa e Banho"],
+  ["para-a-sua-casa/decoracoes-para-casa", "Decorações Para Casa"],
+  ["para-a-sua-casa/casa-inteligente", "Casa Inteligente"],
+  ["para-a-sua-casa/utensilios-para-cozinha", "Utensílios Para Cozinha"],
+  ["para-a-sua-casa/utensilios-para-banheiro-e-limpeza", "Utensílios Para Banheiro e Limpeza"],
+  ["para-a-sua-casa/iluminacao", "Iluminação"],
+  ["para-a-sua-casa/seguranca-residencial", "Segurança Residencial"],
+  ["para-a-sua-casa/jardinagem-e-plantas", "Jardinagem e Plantas"],
+  ["para-a-sua-casa/area-externa", "Área Externa"],
+  ["moveis", "Móveis"],
+  ["moveis/camas-e-colchoes", "Camas e Colchões"],
+  ["moveis/sofas-e-poltronas", "Sofás e Poltronas"],
+  ["moveis/cadeiras-de-escritorio-e-gamer", "Cadeiras de Escritório e Gamer"],
+  ["moveis/bancos-e-cadeiras", "Bancos e Cadeiras"],
+  ["moveis/mesas", "Mesas"],
+  ["moveis/escrivaninhas-e-penteadeiras", "Escrivaninhas e Penteadeiras"],
+  ["moveis/racks-e-paineis", "Racks e Painéis"],
+  ["moveis/armarios-e-guarda-roupas", "Armários e Guarda-Roupas"],
+  ["moveis/moveis-para-organizacao", "Móveis Para Organização"],
+  ["eletro", "Eletro"],
+  ["eletro/ar-condicionados", "Ar-condicionados"],
+  ["eletro/ventiladores-e-climatizadores", "Ventiladores e Climatizadores"],
+  ["eletro/geladeiras-e-freezers", "Geladeiras e Freezers"],
+  ["eletro/fogoes-e-fornos", "Fogões e Fornos"],
+  ["eletro/maquinas-de-lavar-e-secadoras", "Máquinas de Lavar e Secadoras"],
+  ["eletro/eletroportateis-para-cozinha-e-limpeza", "Eletroportáteis Para Cozinha e Limpeza"],
+  ["eletro/eletroportateis-para-cuidados-pessoais", "Eletroportáteis Para Cuidados Pessoais"],
+  ["materiais-de-construcao", "Materiais de Construção"],
+  ["materiais-de-construcao/fundacao-e-estrutura", "Fundação e Estrutura"],
+  ["materiais-de-construcao/alvenaria", "Alvenaria"],
+  ["materiais-de-construcao/pisos-e-revestimentos", "Pisos e Revestimentos"],
+  ["materiais-de-construcao/portas-e-janelas", "Portas e Janelas"],
+  ["materiais-de-construcao/cubas-e-pias", "Cubas e Pias"],
+  ["materiais-de-construcao/torneiras-duchas-e-vasos", "Torneiras, Duchas e Vasos"],
+  ["materiais-de-construcao/instalacoes-eletricas-e-hidraulicas", "Instalações Elétricas e Hidráulicas"],
+  ["materiais-de-construcao/ferramentas-de-construcao", "Ferramentas de Construção"],
+  ["materiais-de-construcao/ferramentas-de-pintura", "Ferramentas de Pintura"],
+  ["eletronicos-e-celulares", "Celulares e Telefonia"],
+  ["celulares", "Celulares e Smartphones", "eletronicos-e-celulares"],
+  ["eletronicos-e-celulares/acessorios-de-celular", "Acessórios de Celular"],
+  ["eletronicos-e-celulares/pecas-de-celular", "Peças de Celular"],
+  ["eletronicos-e-celulares/smartwatches", "Smartwatches"],
+  ["eletronicos-e-celulares/acessorios-para-smartwatch", "Acessórios Para Smartwatch"],
+  ["eletronicos-e-celulares/telefonia-fixa-e-sem-fio", "Telefonia Fixa e Sem Fio"],
+  ["informatica", "Informática"],
+  ["informatica/computadores-e-desktops", "Computadores e Desktops"],
+  ["informatica/notebooks", "Notebooks"],
+  ["informatica/monitores", "Monitores"],
+  ["informatica/perifericos-e-acessorios-de-computador", "Periféricos e Acessórios de Computador"],
+  ["informatica/pecas-de-hardware", "Peças de Hardware"],
+  ["informatica/armazenamento", "Armazenamento"],
+  ["informatica/memoria-ram", "Memória RAM"],
+  ["informatica/processadores", "Processadores"],
+  ["informatica/placas-de-video", "Placas de Vídeo"],
+  ["informatica/conectividade-e-dispositivos-de-rede", "Conectividade e Dispositivos de Rede"],
+  ["informatica/tablets-e-readers", "Tablets e E-Readers"],
+  ["games", "Games"],
+  ["games/consoles-de-video-game", "Consoles de Vídeo Game"],
+  ["games/jogos-de-video-game", "Jogos de Vídeo Game"],
+  ["games/acessorios-de-video-game", "Peças e Acessórios de Vídeo Game"],
+  ["tvs-e-video", "TVs e video"],
+  ["tvs-e-video/tvs", "TVs"],
+  ["tvs-e-video/acessorios-para-tv", "Peças e Acessórios para TV"],
+  ["tvs-e-video/projetores-e-telas-de-projecao", "Projetores e Telas de Projeção"],
+  ["tvs-e-video/dvd-blu-ray-video-cassete", "DVD, Blu-Ray e Vídeo Cassete"],
+  ["tvs-e-video/dispositivos-de-streaming", "Dispositivos de Streaming"],
+  ["audio", "Áudio"],
+  ["audio/fones-de-ouvido", "Fones de Ouvido"],
+  ["audio/aparelhos-de-som", "Aparelhos de Som"],
+  ["audio/microfones-e-gravadores", "Microfones e Gravadores"],
+  ["audio/equipamentos-e-acessorios-de-som", "Equipamentos e Acessórios de Som"],
+  ["cameras-e-drones", "Câmeras e Drones"],
+  ["cameras-e-filmadoras", "Câmeras e Filmadoras", "cameras-e-drones"],
+  ["acessorios-para-cameras-e-filmadoras", "Acessórios para Câmeras e Filmadoras", "cameras-e-drones"],
+  ["drones", "Drones", "cameras-e-drones"],
+  ["moda-e-beleza", "Moda e beleza"],
+  ["beleza-e-saude", "Beleza e Cuidados Pessoais", "moda-e-beleza"],
+  ["roupas", "Roupas", "moda-e-beleza"],
+  ["bolsas-malas-e-mochilas", "Bolsas, malas e mochilas", "moda-e-beleza"],
+  ["bijouteria-relogios-e-acessorios", "Acessórios", "moda-e-beleza"],
+  ["calcados", "Calçados", "moda-e-beleza"],
+  ["comercio-e-escritorio", "Comércio"],
+  ["comercio-e-escritorio/equipamentos", "Equipamentos Para Comércio"],
+  ["comercio-e-escritorio/gastronomia", "Gastronomia e Hotelaria"],
+  ["comercio-e-escritorio/equipamento-medico", "Equipamentos Médicos e Hospitalares"],
+  ["comercio-e-escritorio/uniformes-epis", "Uniformes de Trabalho e EPIs"],
+  ["comercio-e-escritorio/trailers-e-carrinhos-comerciais", "Trailers e carrinhos comerciais"],
+  ["escritorio", "Escritório e Home Office"],
+  ["escritorio/itens-para-escritorio", "Itens Para Escritório"],
+  ["escritorio/cadeiras-de-escritorio", "Cadeiras de Escritório e Gamer"],
+  ["escritorio/moveis-de-escritorio", "Móveis de Escritório"],
+  ["escritorio/papelaria", "Papelaria"],
+  ["musica-e-hobbies", "Música e hobbies"],
+  ["instrumentos-musicais", "Instrumentos musicais", "musica-e-hobbies"],
+  ["cds-dvds", "CDs, DVDs etc", "musica-e-hobbies"],
+  ["livros-e-revistas", "Livros e revistas", "musica-e-hobbies"],
+  ["antiguidades", "Antiguidades", "musica-e-hobbies"],
+  ["hobbies-e-colecoes", "Hobbies e coleções", "musica-e-hobbies"],
+  ["esportes-e-lazer", "Esportes e Fitness"],
+  ["ciclismo", "Ciclismo", "esportes-e-lazer"],
+  ["esportes-e-lazer/academia-e-exercicios", "Academia e Exercícios"],
+  ["esportes-e-lazer/acampamento", "Acampamento"],
+  ["esportes-e-lazer/esportes-sobre-rodas", "Esportes Sobre Rodas"],
+  ["esportes-e-lazer/quadra-e-ao-ar-livre", "Esportes de Quadra e Ao Ar Livre"],
+  ["esportes-e-lazer/esportes-aquaticos", "Esportes Aquáticos"],
+  ["esportes-e-lazer/roupas-esportivas", "Roupas Esportivas"],
+  ["esportes-e-lazer/calcados-esportivos", "Calçados Esportivos"],
+  ["esportes-e-lazer/acessorios-de-ciclismo", "Acessórios de Ciclismo"],
+  ["artigos-infantis", "Artigos infantis"],
+  ["artigos-infantis/roupas-infantis", "Roupas Infantis"],
+  ["artigos-infantis/calcados-infantis", "Calçados Infantis"],
+  ["artigos-infantis/roupas-para-bebes", "Roupas para Bebês"],
+  ["artigos-infantis/calcados-para-bebes", "Calçados Para Bebês"],
+  ["artigos-infantis/brinquedos", "Brinquedos e Jogos"],
+  ["artigos-infantis/maternidade-e-bebes", "Maternidade e Cuidados com o Bebê"],
+  ["artigos-infantis/moveis-infantis", "Móveis Infantis"],
+  ["animais-de-estimacao", "Animais de estimação"],
+  ["animais-de-estimacao/cachorros", "Cachorros"],
+  ["animais-de-estimacao/gatos", "Gatos"],
+  ["animais-de-estimacao/acessorios", "Acessórios para pets"],
+  ["animais-de-estimacao/roedores", "Roedores"],
+  ["animais-de-estimacao/outros-animais", "Outros animais"],
+  ["agro-e-industria", "Agro e indústria"],
+  ["agro-e-industria/tratores-e-maquinas-agricolas", "Tratores e máquinas agrícolas"],
+  ["agro-e-industria/maquinas-pesadas-para-construcao", "Máquinas pesadas para construção"],
+  ["agro-e-industria/maquinas-para-producao-industrial", "Máquinas para produção industrial"],
+  ["agro-e-industria/pecas-para-tratores-e-maquinas", "Peças para tratores e máquinas"],
+  ["agro-e-industria/animais-para-agropecuaria", "Animais para agropecuária"],
+  ["agro-e-industria/producao-rural", "Produção Rural"],
+  ["agro-e-industria/outros-itens-para-agro-e-industria", "Outros itens para agro e indústria"],
+  ["servicos", "Serviços"],
+  ["vagas-de-emprego", "Vagas de emprego"],
+];
+
+/**
+ * @typedef {object} CategoryNode
+ * @property {string} slug - Category slug (URL path).
+ * @property {string} name - Display name.
+ * @property {string|null} parent - Parent slug, or `null` for a top-level category.
+ * @property {CategoryNode[]} children - Direct subcategories.
+ */
+
+/** The active category tree, keyed by slug. */
+let tree = buildCategoryTree(bundledEntries());
+
+/**
+ * Builds a category tree from flat entries. An entry whose parent is missing
+ * or unknown is attached to the category of its longest slug prefix, or
+ * becomes top-level.
+ *
+ * @param {{slug: string, name: string, parent?: string|null}[]} entries - Categories, parents before children where possible.
+ * @returns {Map<string, CategoryNode>} Nodes keyed by slug, in entry order.
+ */
+export function buildCategoryTree(entries) {
+  const nodes = new Map();
+  for (const { slug, name } of entries) {
+    if (!nodes.has(slug)) nodes.set(slug, { slug, name, parent: null, children: [] });
+  }
+  for (const { slug, parent } of entries) {
+    const node = nodes.get(slug);
+    if (node.parent !== null) continue;
+    let parentSlug = parent && parent !== slug && nodes.has(parent) ? parent : null;
+    for (let cut = slug.lastIndexOf("/"); !parentSlug && cut > 0; cut = slug.lastIndexOf("/", cut - 1)) {
+      if (nodes.has(slug.slice(0, cut))) parentSlug = slug.slice(0, cut);
+    }
+    if (!parentSlug || isAncestor(nodes, slug, parentSlug)) continue;
+    node.parent = parentSlug;
+    nodes.get(parentSlug).children.push(node);
+  }
+  return nodes;
+}
+
+/**
+ * Replaces the active category list, e.g. with one saved by `categories
+ * refresh`. Pass `null` to go back to the bundled list.
+ *
+ * @param {{slug: string, name: string, parent?: string|null}[]|null} entries - Categories.
+ */
+export function setCategories(entries) {
+  tree = buildCategoryTree(entries ?? bundledEntries());
+  log("CATEGORIES", `using ${entries ? "refreshed" : "bundled"} category list (${tree.size} categories)`);
+}
+
+/**
+ * Returns the top-level categories of the active tree.
+ *
+ * @returns {CategoryNode[]} Root nodes; walk `children` for the rest.
+ */
+export function getCategoryTree() {
+  return [...tree.values()].filter((node) => node.parent === null);
+}
+
+/**
+ * Looks up one category of the active tree.
+ *
+ * @param {string} slug - Category slug.
+ * @returns {CategoryNode|null} The node, or `null` if unknown.
+ */
+export function getCategory(slug) {
+  return tree.get(slug) ?? null;
+}
+
+/**
+ * Lists every category of the active tree, depth-first (parents before children).
+ *
+ * @returns {CategoryNode[]} All nodes.
+ */
+export function listCategories() {
+  const out = [];
+  const walk = (node) => {
+    out.push(node);
+    node.children.forEach(walk);
+  };
+  getCategoryTree().forEach(walk);
+  return out;
+}
+
+/**
+ * Finds categories whose name or slug contains a search term, ignoring case
+ * and accents (`"eletronicos"` finds `Eletrônicos`).
+ *
+ * @param {string} term - Search term.
+ * @returns {CategoryNode[]} Matching nodes, depth-first.
+ */
+export function findCategories(term) {
+  const wanted = normalize(term);
+  if (!wanted) return [];
+  return listCategories().filter((node) => normalize(node.name).includes(wanted) || normalize(node.slug).includes(wanted));
+}
+
+/**
+ * Resolves a category given by slug, display name or accent-free name
+ * (`"placas de video"`) to its slug. Full names and slugs win over the last
+ * slug segment (`"motos"`), which only resolves when it is unique.
+ *
+ * @param {string} input - Slug or name.
+ * @returns {string} Category slug.
+ * @throws {Error} If the category is unknown (with up to 5 suggestions) or ambiguous.
+ */
+export function resolveCategory(input) {
+  const raw = String(input).trim();
+  if (tree.has(raw.toLowerCase())) return raw.toLowerCase();
+
+  const wanted = normalize(raw);
+  const nodes = listCategories();
+  for (const keysOf of [fullKeys, (node) => [lastSegment(node)]]) {
+    const found = nodes.filter((node) => keysOf(node).includes(wanted));
+    if (found.length === 1) return found[0].slug;
+    if (found.length > 1) {
+      throw new Error(`Category "${input}" is ambiguous. Use one of:\n${formatCategoryList(found)}`);
+    }
+  }
+
+  const suggestions = suggestCategories(raw);
+  const hint = suggestions.length > 0 ? `\n\nDid you mean:\n${formatCategoryList(suggestions)}` : "";
+  throw new Error(`Unknown category "${input}".${hint}\n\nUse --list-categories to see all options.`);
+}
+
+/**
+ * Ranks categories by similarity to a possibly misspelled slug or name: the
+ * better of the edit distance and the share of query words found (exactly,
+ * by prefix or with one typo) in the slug, the name or the last slug segment.
+ * Ties go to the category whose slug, name or last segment is closest to the
+ * whole input, so `celuar` ranks `celulares` above `acessorios-de-celular`.
+ *
+ * @param {string} input - Slug or name as typed.
+ * @param {number} [limit=5] - Maximum number of suggestions.
+ * @returns {CategoryNode[]} Best matches first.
+ */
+export function suggestCategories(input, limit = 5) {
+  const wanted = normalize(String(input));
+  if (!wanted) return [];
+  const tokens = getQueryTokens(wanted);
+  const scored = [];
+  for (const node of listCategories()) {
+    let score = 0;
+    let closeness = 0;
+    for (const key of [...fullKeys(node), lastSegment(node)]) {
+      const similarity = 1 - editDistance(wanted, key) / Math.max(wanted.length, key.length);
+      const words = key.split(" ");
+      const overlap = tokens.length > 0 ? tokens.filter((token) => words.some((word) => similarWords(token, word))).length / tokens.length : 0;
+      score = Math.max(score, similarity, overlap);
+      closeness = Math.max(closeness, similarity);
+    }
+    if (score >= 0.5) scored.push({ node, score, closeness });
+  }
+  scored.sort((a, b) => b.score - a.score || b.closeness - a.closeness || a.node.slug.split("/").length - b.node.slug.split("/").length);
+  return scored.slice(0, limit).map(({ node }) => node);
+}
+
+/**
+ * Extracts the category facets of a listing page's `pageProps` (from
+ * `__NEXT_DATA__`). Every object under a `categor…` key that carries a name
+ * and a slug or URL becomes a category; nested lists become its children.
+ *
+ * @param {object} pageProps - Page data, as returned by `searchRaw()`.
+ * @returns {{slug: string, name: string, parent: string|null}[]} Categories, parents first.
+ */
+export function extractCategoryFacets(pageProps) {
+  const entries = new Map();
+  const visit = (value, parent, inside) => {
+    if (Array.isArray(value)) {
+      for (const entry of value) visit(entry, parent, inside);
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+    const slug = inside ? facetSlug(value) : null;
+    const name = value.name ?? value.label ?? value.title ?? value.categoryName;
+    const isCategory = Boolean(slug) && typeof name === "string" && name.trim() !== "";
+    if (isCategory && !entries.has(slug)) entries.set(slug, { slug, name: name.trim(), parent });
+    for (const [key, child] of Object.entries(value)) {
+      if (!child || typeof child !== "object") continue;
+      if (isCategory) {
+        if (/categor|children|subcateg|items|options|values/i.test(key)) visit(child, slug, true);
+      } else if (inside || /categor/i.test(key)) {
+        visit(child, parent, true);
+      }
+    }
+  };
+  visit(pageProps, null, false);
+  return [...entries.values()];
+}
+
+/**
+ * Merges a refreshed category list into the current one. Refreshed entries
+ * come first and win on name and parent; current entries the refresh did not
+ * list are kept, since a listing page only shows the facets OLX chose for it
+ * and a missing slug is not proof the category is gone.
+ *
+ * @param {{slug: string, name: string, parent?: string|null}[]} current - Categories in use, e.g. from `getCategories()`.
+ * @param {{slug: string, name: string, parent?: string|null}[]} refreshed - Categories from {@link extractCategoryFacets}.
+ * @returns {{slug: string, name: string, parent: string|null}[]} Merged categories.
+ */
+export function mergeCategories(current, refreshed) {
+  const merged = new Map();
+  for (const { slug, name, parent = null } of [...refreshed, ...current]) {
+    if (!merged.has(slug)) merged.set(slug, { slug, name, parent });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Returns the default location of the refreshed category list.
+ *
+ * @param {string} dir - Directory to keep it in (usually the cache directory).
+ * @returns {string} File path.
+ */
+export function categoriesFile(dir) {
+  return path.join(dir, "categories.json");
+}
+
+/**
+ * Loads a category list saved by {@link saveCategories}.
+ *
+ * @param {string} file - Path to the file.
+ * @returns {{slug: string, name: string, parent: string|null}[]|null} Categories, or `null` if the file does not exist.
+ * @throws {Error} If the file exists but is not a valid category list.
+ */
+export function loadCategories(file) {
+  if (!fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read categories "${file}": ${err.message}`);
+  }
+  if (data?.version !== CATEGORIES_VERSION || !Array.isArray(data.categories) || !data.categories.every((c) => typeof c?.slug === "string" && typeof c.name === "string")) {
+    throw new Error(`Invalid categories file "${file}".`);
+  }
+  return data.categories;
+}
+
+/**
+ * Writes a category list atomically (temp file + rename).
+ *
+ * @param {string} file - Path to the file.
+ * @param {{slug: string, name: string, parent?: string|null}[]} entries - Categories.
+ * @param {string|null} [source=null] - Where the list came from (URL or file), kept for reference.
+ */
+export function saveCategories(file, entries, source = null) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const categories = entries.map(({ slug, name, parent = null }) => ({ slug, name, parent }));
+  fs.writeFileSync(tmp, JSON.stringify({ version: CATEGORIES_VERSION, updatedAt: new Date().toISOString(), source, categories }, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Returns the normalised name and slug of a category.
+ *
+ * @param {CategoryNode} node - Category.
+ * @returns {string[]} Match keys.
+ */
+function fullKeys(node) {
+  return [normalize(node.name), normalize(node.slug)];
+}
+
+/**
+ * Returns the normalised last segment of a category slug (`"motos"` for
+ * `autos-e-pecas/motos`).
+ *
+ * @param {CategoryNode} node - Category.
+ * @returns {string} Match key.
+ */
+function lastSegment(node) {
+  return normalize(node.slug.slice(node.slug.lastIndexOf("/") + 1));
+}
+
+/**
+ * Tests whether a query word matches a category word: equal, a prefix of at
+ * least 3 characters, or (for words of 4+ characters) one edit away from the
+ * word or from a prefix of it (`celuar` matches `celulares`).
+ *
+ * @param {string} token - Query word.
+ * @param {string} word - Category word.
+ * @returns {boolean} Whether they match.
+ */
+function similarWords(token, word) {
+  if (token === word) return true;
+  if (Math.min(token.length, word.length) >= 3 && (word.startsWith(token) || token.startsWith(word))) return true;
+  if (token.length < 4 || word.length < 4) return false;
+  return [token.length - 1, token.length, token.length + 1].some((length) => length <= word.length && editDistance(token, word.slice(0, length)) <= 1);
+}
+
+/**
+ * Levenshtein distance between two strings.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} Number of single-character edits.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Formats categories as indented `slug  name` lines for error messages.
+ *
+ * @param {CategoryNode[]} nodes - Categories.
+ * @returns {string} One line per category.
+ */
+function formatCategoryList(nodes) {
+  return nodes.map(({ slug, name }) => `  ${slug.padEnd(55)} ${name}`).join("\n");
+}
+
+/**
+ * Returns the bundled list as entries.
+ *
+ * @returns {{slug: string, name: string, parent: string|null}[]} Categories.
+ */
+function bundledEntries() {
+  return BUNDLED_CATEGORIES.map(([slug, name, parent = null]) => ({ slug, name, parent }));
+}
+
+/**
+ * Tests whether `slug` is `candidate` or one of its ancestors, so linking
+ * `candidate` as the parent of `slug` would create a cycle.
+ *
+ * @param {Map<string, CategoryNode>} nodes - Tree being built.
+ * @param {string} slug - Child slug.
+ * @param {string} candidate - Proposed parent slug.
+ * @returns {boolean} `true` if the link would create a cycle.
+ */
+function isAncestor(nodes, slug, candidate) {
+  for (let node = nodes.get(candidate); node; node = node.parent ? nodes.get(node.parent) : null) {
+    if (node.slug === slug) return true;
+  }
+  return false;
+}
+
+/**
+ * Derives a category slug from a facet's `friendlyPath`, `slug`, `path` or
+ * URL: the path without domain, query, `/brasil` or the location segments.
+ *
+ * @param {object} facet - Facet object.
+ * @returns {string|null} Slug, or `null` if none can be derived.
+ */
+function facetSlug(facet) {
+  const raw = [facet.friendlyPath, facet.slug, facet.path, facet.url, facet.href].find((v) => typeof v === "string" && v.trim() !== "");
+  if (!raw) return null;
+  const pathname = raw.replace(/^https?:\/\/[^/]+/i, "").split(/[?#]/)[0];
+  const segments = [];
+  for (const segment of pathname.split("/")) {
+    if (!segment) continue;
+    if (segment === "brasil" || segment.startsWith("estado-")) break;
+    segments.push(segment.toLowerCase());
+  }
+  const slug = segments.join("/");
+  return /^[a-z0-9-]+(\/[a-z0-9-]+)*$/.test(slug) ? slug : null;
+}
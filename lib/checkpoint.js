@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Checkpoint files for resumable crawls.
+ * Records the listing pages fetched, their parsed items and the permalinks
+ * already enriched, so an interrupted search can continue where it stopped.
+ * @module checkpoint
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * @typedef {object} CheckpointSection
+ * @property {{firstUrl: string, totalOfAds: number|null, selectedCategoryCode: string|null, pageSize: number}|null} meta - First-page metadata.
+ * @property {Object<string, object[]>} pages - Parsed items keyed by page number.
+ * @property {string[]} enriched - Permalinks whose detail page was fetched successfully.
+ * @property {boolean} done - Whether this section's crawl and enrichment completed.
+ */
+
+/**
+ * @typedef {object} Checkpoint
+ * @property {string} file - Path of the checkpoint file.
+ * @property {(name: string) => CheckpointSection} section - Returns (creating if needed) the section for one state.
+ * @property {() => boolean} isComplete - Whether every section is marked done.
+ * @property {() => void} save - Writes the checkpoint to disk.
+ * @property {() => void} remove - Deletes the checkpoint file.
+ */
+
+/**
+ * Opens a checkpoint file, or starts a new one if it does not exist. The `key`
+ * identifies the search (query and filters); resuming with a different key is
+ * refused so results from two searches are never mixed.
+ *
+ * @param {string} file - Path of the checkpoint file.
+ * @param {string} key - Identity of the search being checkpointed.
+ * @returns {Checkpoint} The checkpoint.
+ * @throws {Error} If the file is unreadable or belongs to a different search.
+ */
+export function openCheckpoint(file, key) {
+  let data = { version: CHECKPOINT_VERSION, key, updatedAt: null, sections: {} };
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (err) {
+      throw new Error(`Could not read checkpoint "${file}": ${err.message}`);
+    }
+    if (data?.version !== CHECKPOINT_VERSION || typeof data.sections !== "object" || data.sections === null) {
+      throw new Error(`Invalid checkpoint "${file}". Delete it to start over.`);
+    }
+    if (data.key !== key) {
+      throw new Error(`Checkpoint "${file}" was created for a different search. Use another file or delete it to start over.`);
+    }
+    const pages = Object.values(data.sections).reduce((n, s) => n + Object.keys(s.pages || {}).length, 0);
+    log("CHECKPOINT", `resuming from ${file}: ${Object.keys(data.sections).length} section(s), ${pages} page(s)`);
+  }
+
+  return {
+    file,
+
+    section(name) {
+      if (!data.sections[name]) data.sections[name] = { meta: null, pages: {}, enriched: [], done: false };
+      return data.sections[name];
+    },
+
+    isComplete() {
+      const sections = Object.values(data.sections);
+      return sections.length > 0 && sections.every((s) => s.done);
+    },
+
+    save() {
+      data.updatedAt = new Date().toISOString();
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data), "utf-8");
+      fs.renameSync(tmp, file);
+    },
+
+    remove() {
+      fs.rmSync(file, { force: true });
+      log("CHECKPOINT", `removed ${file}`);
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview `.olxsearchrc.json` configuration file.
+ * Holds default option values applied to every run plus named profiles of
+ * repeated searches. Settings are keyed by the long CLI option names
+ * (`"min-price"`, `"no-details"`), with `query` for the search text; checking
+ * them against the options is left to the CLI.
+ * @module config
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const CONFIG_FILE = ".olxsearchrc.json";
+
+/**
+ * @typedef {object} Config
+ * @property {Object<string, *>} defaults - Settings applied to every run.
+ * @property {Object<string, Object<string, *>>} profiles - Named settings, chosen with `--profile <name>`.
+ */
+
+/**
+ * Finds the configuration file: the nearest `.olxsearchrc.json` in `dir` or
+ * one of its parents (the project), else the one in the home directory.
+ *
+ * @param {string} [dir=process.cwd()] - Directory to start from.
+ * @param {string} [home=os.homedir()] - Home directory.
+ * @returns {string|null} File path, or `null` if there is none.
+ */
+export function findConfigFile(dir = process.cwd(), home = os.homedir()) {
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    const file = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(file)) return file;
+    if (path.dirname(current) === current) break;
+  }
+  const file = path.join(home, CONFIG_FILE);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Loads a configuration file. A missing file yields an empty configuration.
+ *
+ * @param {string} file - Path to the file.
+ * @returns {Config} The configuration.
+ * @throws {Error} If the file exists but is not a valid configuration.
+ */
+export function loadConfig(file) {
+  if (!fs.existsSync(file)) return { defaults: {}, profiles: {} };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read config "${file}": ${err.message}`);
+  }
+  if (!isPlainObject(data)) throw new Error(`Invalid config "${file}": expected a JSON object.`);
+  for (const key of Object.keys(data)) {
+    if (key !== "defaults" && key !== "profiles") throw new Error(`Invalid config "${file}": unknown key "${key}" (expected "defaults" and "profiles").`);
+  }
+  const { defaults = {}, profiles = {} } = data;
+  if (!isPlainObject(defaults)) throw new Error(`Invalid config "${file}": "defaults" must be an object.`);
+  if (!isPlainObject(profiles)) throw new Error(`Invalid config "${file}": "profiles" must be an object.`);
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isPlainObject(profile)) throw new Error(`Invalid config "${file}": profile "${name}" must be an object.`);
+  }
+  return { defaults, profiles };
+}
+
+/**
+ * Writes a configuration file atomically (temp file + rename), indented for
+ * hand editing.
+ *
+ * @param {string} file - Path to the file.
+ * @param {Config} config - Configuration as returned by {@link loadConfig}.
+ */
+export function saveConfig(file, config) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ defaults: config.defaults, profiles: config.profiles }, null, 2) + "\n", "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Returns a profile by name.
+ *
+ * @param {Config} config - Configuration.
+ * @param {string} name - Profile name.
+ * @returns {Object<string, *>} The profile's settings.
+ * @throws {Error} If there is no such profile.
+ */
+export function getProfile(config, name) {
+  if (Object.hasOwn(config.profiles, name)) return config.profiles[name];
+  const names = Object.keys(config.profiles);
+  throw new Error(`Unknown profile "${name}". ${names.length > 0 ? `Available: ${names.join(", ")}` : "No profiles are defined."}`);
+}
+
+/**
+ * Tests whether a value is a plain JSON object.
+ *
+ * @param {*} value - Value to test.
+ * @returns {boolean} `true` for objects that are neither `null` nor arrays.
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Offline geocoding and distance filtering.
+ * Bundles the approximate centroids of the main Brazilian municipalities, with
+ * their CEP ranges, so a search can be limited to a radius around a CEP or a
+ * coordinate pair without calling any geocoding service.
+ * @module geo
+ */
+
+import { normalize } from "./query.js";
+
+export const DEFAULT_RADIUS_KM = 30;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Municipalities as `[uf, name, lat, lon, ...cepRanges]`. CEP ranges are
+ * inclusive `"from-to"` pairs of 5-digit CEP prefixes. Coordinates are
+ * approximate centroids of the urban area (two decimals, about 1 km).
+ */
+const MUNICIPALITIES = [
+  ["sp", "São Paulo", -23.55, -46.63, "01000-05999", "08000-08499"],
+  ["sp", "Osasco", -23.53, -46.79, "06000-06299"],
+  ["sp", "Carapicuíba", -23.52, -46.84, "06300-06399"],
+  ["sp", "Barueri", -23.51, -46.88, "06400-06499"],
+  ["sp", "Santana de Parnaíba", -23.44, -46.92, "06500-06549"],
+  ["sp", "Cotia", -23.6, -46.92, "06700-06729"],
+  ["sp", "Taboão da Serra", -23.61, -46.76, "06750-06799"],
+  ["sp", "Embu das Artes", -23.65, -46.85, "06800-06849"],
+  ["sp", "Itapecerica da Serra", -23.72, -46.85, "06850-06889"],
+  ["sp", "Guarulhos", -23.46, -46.53, "07000-07399"],
+  ["sp", "Arujá", -23.4, -46.32, "07400-07499"],
+  ["sp", "Caieiras", -23.36, -46.74, "07700-07749"],
+  ["sp", "Franco da Rocha", -23.32, -46.73, "07800-07899"],
+  ["sp", "Francisco Morato", -23.28, -46.74, "07900-07999"],
+  ["sp", "Ferraz de Vasconcelos", -23.54, -46.37, "08500-08549"],
+  ["sp", "Poá", -23.53, -46.34, "08550-08569"],
+  ["sp", "Itaquaquecetuba", -23.49, -46.35, "08570-08599"],
+  ["sp", "Suzano", -23.54, -46.31, "08600-08699"],
+  ["sp", "Mogi das Cruzes", -23.52, -46.19, "08700-08899"],
+  ["sp", "Santo André", -23.66, -46.53, "09000-09299"],
+  ["sp", "Mauá", -23.67, -46.46, "09300-09399"],
+  ["sp", "Ribeirão Pires", -23.71, -46.41, "09400-09449"],
+  ["sp", "São Caetano do Sul", -23.62, -46.55, "09500-09599"],
+  ["sp", "São Bernardo do Campo", -23.69, -46.56, "09600-09899"],
+  ["sp", "Diadema", -23.69, -46.62, "09900-09999"],
+  ["sp", "Santos", -23.96, -46.33, "11000-11099"],
+  ["sp", "Bertioga", -23.85, -46.14, "11250-11259"],
+  ["sp", "São Vicente", -23.96, -46.39, "11300-11399"],
+  ["sp", "Guarujá", -23.99, -46.26, "11400-11499"],
+  ["sp", "Cubatão", -23.89, -46.42, "11500-11599"],
+  ["sp", "São Sebastião", -23.8, -45.4, "11600-11629"],
+  ["sp", "Caraguatatuba", -23.62, -45.41, "11660-11679"],
+  ["sp", "Ubatuba", -23.43, -45.07, "11680-11699"],
+  ["sp", "Praia Grande", -24.01, -46.4, "11700-11729"],
+  ["sp", "Mongaguá", -24.09, -46.62, "11730-11739"],
+  ["sp", "Itanhaém", -24.18, -46.79, "11740-11749"],
+  ["sp", "Peruíbe", -24.32, -47.0],
+  ["sp", "Taubaté", -23.03, -45.56, "12000-12099"],
+  ["sp", "São José dos Campos", -23.18, -45.89, "12200-12249"],
+  ["sp", "Jacareí", -23.31, -45.97, "12300-12349"],
+  ["sp", "Pindamonhangaba", -22.92, -45.46, "12400-12449"],
+  ["sp", "Guaratinguetá", -22.82, -45.19, "12500-12524"],
+  ["sp", "Bragança Paulista", -22.95, -46.54, "12900-12929"],
+  ["sp", "Atibaia", -23.12, -46.55, "12940-12954"],
+  ["sp", "Campinas", -22.91, -47.06, "13000-13139"],
+  ["sp", "Paulínia", -22.76, -47.15, "13140-13149"],
+  ["sp", "Sumaré", -22.82, -47.27, "13170-13182"],
+  ["sp", "Hortolândia", -22.86, -47.22, "13183-13189"],
+  ["sp", "Jundiaí", -23.19, -46.88, "13200-13219"],
+  ["sp", "Campo Limpo Paulista", -23.21, -46.78],
+  ["sp", "Várzea Paulista", -23.21, -46.83],
+  ["sp", "Itatiba", -23.01, -46.84, "13250-13259"],
+  ["sp", "Louveira", -23.09, -46.95],
+  ["sp", "Valinhos", -22.97, -47.0, "13270-13279"],
+  ["sp", "Vinhedo", -23.03, -46.98, "13280-13289"],
+  ["sp", "Itu", -23.26, -47.3, "13300-13314"],
+  ["sp", "Salto", -23.2, -47.29, "13320-13329"],
+  ["sp", "Indaiatuba", -23.09, -47.22, "13330-13349"],
+  ["sp", "Nova Odessa", -22.78, -47.3, "13380-13389"],
+  ["sp", "Piracicaba", -22.73, -47.65, "13400-13427"],
+  ["sp", "Santa Bárbara d'Oeste", -22.75, -47.41, "13450-13459"],
+  ["sp", "Americana", -22.74, -47.33, "13465-13479"],
+  ["sp", "Limeira", -22.56, -47.4, "13480-13489"],
+  ["sp", "Rio Claro", -22.41, -47.56, "13500-13509"],
+  ["sp", "São Carlos", -22.02, -47.89, "13560-13579"],
+  ["sp", "Jaguariúna", -22.7, -46.99],
+  ["sp", "Cosmópolis", -22.65, -47.2],
+  ["sp", "Amparo", -22.7, -46.77],
+  ["sp", "Mogi Guaçu", -22.37, -46.94],
+  ["sp", "Mogi Mirim", -22.43, -46.96],
+  ["sp", "Ribeirão Preto", -21.18, -47.81, "14000-14114"],
+  ["sp", "Sertãozinho", -21.14, -47.99, "14160-14179"],
+  ["sp", "Franca", -20.54, -47.4, "14400-14414"],
+  ["sp", "Barretos", -20.56, -48.57, "14780-14789"],
+  ["sp", "Araraquara", -21.79, -48.18, "14800-14811"],
+  ["sp", "Jaboticabal", -21.25, -48.32],
+  ["sp", "São José do Rio Preto", -20.82, -49.38, "15000-15099"],
+  ["sp", "Mirassol", -20.82, -49.52],
+  ["sp", "Catanduva", -21.14, -48.97, "15800-15819"],
+  ["sp", "Votuporanga", -20.42, -49.97],
+  ["sp", "Fernandópolis", -20.28, -50.25],
+  ["sp", "Araçatuba", -21.21, -50.43, "16000-16099"],
+  ["sp", "Birigui", -21.29, -50.34, "16200-16209"],
+  ["sp", "Penápolis", -21.42, -50.08],
+  ["sp", "Bauru", -22.31, -49.06, "17000-17109"],
+  ["sp", "Jaú", -22.3, -48.56, "17200-17229"],
+  ["sp", "Marília", -22.21, -49.95, "17500-17529"],
+  ["sp", "Lins", -21.67, -49.74],
+  ["sp", "Sorocaba", -23.5, -47.46, "18000-18109"],
+  ["sp", "Votorantim", -23.55, -47.44, "18110-18119"],
+  ["sp", "Tatuí", -23.36, -47.86],
+  ["sp", "Boituva", -23.28, -47.67],
+  ["sp", "Itapetininga", -23.59, -48.05],
+  ["sp", "Itapeva", -23.98, -48.88],
+  ["sp", "Botucatu", -22.89, -48.44, "18600-18619"],
+  ["sp", "Ourinhos", -22.98, -49.87],
+  ["sp", "Presidente Prudente", -22.12, -51.39, "19000-19069"],
+  ["sp", "Assis", -22.66, -50.41, "19800-19819"],
+  ["rj", "Rio de Janeiro", -22.91, -43.17, "20000-23799"],
+  ["rj", "Angra dos Reis", -23.01, -44.32, "23900-23949"],
+  ["rj", "Paraty", -23.22, -44.71],
+  ["rj", "Niterói", -22.88, -43.1, "24000-24399"],
+  ["rj", "São Gonçalo", -22.83, -43.05, "24400-24799"],
+  ["rj", "Itaboraí", -22.74, -42.86, "24800-24849"],
+  ["rj", "Maricá", -22.92, -42.82, "24900-24999"],
+  ["rj", "Duque de Caxias", -22.79, -43.31, "25000-25299"],
+  ["rj", "São João de Meriti", -22.8, -43.37, "25500-25589"],
+  ["rj", "Petrópolis", -22.51, -43.18, "25600-25779"],
+  ["rj", "Teresópolis", -22.41, -42.97, "25950-25999"],
+  ["rj", "Magé", -22.65, -43.04],
+  ["rj", "Nova Iguaçu", -22.76, -43.45, "26000-26099"],
+  ["rj", "Belford Roxo", -22.76, -43.4, "26100-26199"],
+  ["rj", "Mesquita", -22.78, -43.43],
+  ["rj", "Nilópolis", -22.81, -43.41],
+  ["rj", "Queimados", -22.72, -43.56],
+  ["rj", "Volta Redonda", -22.52, -44.1, "27200-27299"],
+  ["rj", "Barra Mansa", -22.54, -44.17, "27300-27399"],
+  ["rj", "Resende", -22.47, -44.45, "27500-27549"],
+  ["rj", "Macaé", -22.37, -41.79, "27900-27999"],
+  ["rj", "Campos dos Goytacazes", -21.75, -41.32, "28000-28099"],
+  ["rj", "Rio das Ostras", -22.53, -41.94],
+  ["rj", "Nova Friburgo", -22.28, -42.53, "28600-28649"],
+  ["rj", "Cabo Frio", -22.88, -42.02, "28900-28929"],
+  ["rj", "Armação dos Búzios", -22.75, -41.88],
+  ["es", "Vitória", -20.32, -40.34, "29000-29099"],
+  ["es", "Vila Velha", -20.33, -40.29, "29100-29129"],
+  ["es", "Cariacica", -20.26, -40.42, "29140-29159"],
+  ["es", "Serra", -20.13, -40.31, "29160-29184"],
+  ["es", "Guarapari", -20.67, -40.5, "29200-29229"],
+  ["es", "Cachoeiro de Itapemirim", -20.85, -41.11],
+  ["es", "Linhares", -19.39, -40.07],
+  ["mg", "Belo Horizonte", -19.92, -43.94, "30000-31999"],
+  ["mg", "Contagem", -19.93, -44.05, "32000-32399"],
+  ["mg", "Betim", -19.97, -44.2, "32500-32699"],
+  ["mg", "Santa Luzia", -19.77, -43.85, "33000-33199"],
+  ["mg", "Ribeirão das Neves", -19.77, -44.09, "33800-33999"],
+  ["mg", "Nova Lima", -19.99, -43.85, "34000-34099"],
+  ["mg", "Ipatinga", -19.47, -42.54, "35160-35164"],
+  ["mg", "Divinópolis", -20.14, -44.89, "35500-35504"],
+  ["mg", "Sete Lagoas", -19.46, -44.25, "35700-35704"],
+  ["mg", "Juiz de Fora", -21.76, -43.35, "36000-36099"],
+  ["mg", "Barbacena", -21.23, -43.77],
+  ["mg", "Muriaé", -21.13, -42.37],
+  ["mg", "Ubá", -21.12, -42.94],
+  ["mg", "Poços de Caldas", -21.79, -46.56],
+  ["mg", "Pouso Alegre", -22.23, -45.94],
+  ["mg", "Varginha", -21.55, -45.43],
+  ["mg", "Uberaba", -19.75, -47.93, "38000-38099"],
+  ["mg", "Uberlândia", -18.92, -48.28, "38400-38414"],
+  ["mg", "Araguari", -18.65, -48.19],
+  ["mg", "Patos de Minas", -18.58, -46.52],
+  ["mg", "Montes Claros", -16.73, -43.86, "39400-39409"],
+  ["mg", "Governador Valadares", -18.85, -41.95],
+  ["ba", "Salvador", -12.97, -38.5, "40000-42499"],
+  ["ba", "Lauro de Freitas", -12.89, -38.33, "42700-42749"],
+  ["ba", "Camaçari", -12.7, -38.32, "42800-42849"],
+  ["ba", "Simões Filho", -12.78, -38.4, "43700-43709"],
+  ["ba", "Feira de Santana", -12.27, -38.97, "44000-44099"],
+  ["ba", "Alagoinhas", -12.14, -38.42],
+  ["ba", "Vitória da Conquista", -14.86, -40.84, "45000-45099"],
+  ["se", "Aracaju", -10.91, -37.07, "49000-49098"],
+  ["pe", "Recife", -8.05, -34.88, "50000-52999"],
+  ["pe", "Olinda", -8.01, -34.86, "53000-53399"],
+  ["pe", "Paulista", -7.94, -34.87, "53400-53499"],
+  ["pe", "Jaboatão dos Guararapes", -8.11, -35.01, "54000-54499"],
+  ["pe", "Cabo de Santo Agostinho", -8.29, -35.03, "54500-54599"],
+  ["pe", "Caruaru", -8.28, -35.97, "55000-55099"],
+  ["pe", "Petrolina", -9.39, -40.5, "56300-56339"],
+  ["al", "Maceió", -9.67, -35.74, "57000-57099"],
+  ["pb", "João Pessoa", -7.12, -34.86, "58000-58099"],
+  ["pb", "Campina Grande", -7.23, -35.88, "58400-58439"],
+  ["rn", "Natal", -5.79, -35.21, "59000-59161"],
+  ["ce", "Fortaleza", -3.73, -38.53, "60000-61599"],
+  ["ce", "Caucaia", -3.74, -38.66, "61600-61699"],
+  ["ce", "Maracanaú", -3.88, -38.63, "61900-61939"],
+  ["ce", "Juazeiro do Norte", -7.21, -39.32, "63000-63099"],
+  ["pi", "Teresina", -5.09, -42.8, "64000-64099"],
+  ["ma", "São Luís", -2.53, -44.3, "65000-65109"],
+  ["pa", "Belém", -1.46, -48.49, "66000-66999"],
+  ["pa", "Ananindeua", -1.37, -48.37, "67000-67199"],
+  ["ap", "Macapá", 0.03, -51.07, "68900-68914"],
+  ["am", "Manaus", -3.12, -60.02, "69000-69099"],
+  ["rr", "Boa Vista", 2.82, -60.67, "69300-69339"],
+  ["ac", "Rio Branco", -9.97, -67.81, "69900-69924"],
+  ["df", "Brasília", -15.79, -47.88, "70000-71899", "72500-73699"],
+  ["df", "Águas Claras", -15.84, -48.03, "71900-71999"],
+  ["df", "Taguatinga", -15.83, -48.06, "72000-72199"],
+  ["df", "Ceilândia", -15.82, -48.11, "72200-72299"],
+  ["df", "Samambaia", -15.88, -48.09, "72300-72399"],
+  ["df", "Gama", -16.02, -48.06, "72400-72499"],
+  ["go", "Goiânia", -16.68, -49.25, "74000-74899"],
+  ["go", "Aparecida de Goiânia", -16.82, -49.24, "74900-74999"],
+  ["go", "Anápolis", -16.33, -48.95, "75000-75149"],
+  ["go", "Trindade", -16.65, -49.49, "75380-75389"],
+  ["ro", "Porto Velho", -8.76, -63.9, "76800-76834"],
+  ["to", "Palmas", -10.18, -48.33, "77000-77270"],
+  ["mt", "Cuiabá", -15.6, -56.1, "78000-78109"],
+  ["mt", "Várzea Grande", -15.65, -56.13, "78110-78159"],
+  ["ms", "Campo Grande", -20.47, -54.62, "79000-79124"],
+  ["ms", "Dourados", -22.22, -54.81, "79800-79849"],
+  ["pr", "Curitiba", -25.43, -49.27, "80000-82999"],
+  ["pr", "São José dos Pinhais", -25.53, -49.21, "83000-83129"],
+  ["pr", "Paranaguá", -25.52, -48.51, "83200-83229"],
+  ["pr", "Pinhais", -25.44, -49.19, "83320-83349"],
+  ["pr", "Colombo", -25.29, -49.22, "83400-83414"],
+  ["pr", "Araucária", -25.59, -49.41, "83700-83719"],
+  ["pr", "Ponta Grossa", -25.09, -50.16, "84000-84099"],
+  ["pr", "Guarapuava", -25.39, -51.46, "85000-85099"],
+  ["pr", "Cascavel", -24.96, -53.46, "85800-85824"],
+  ["pr", "Foz do Iguaçu", -25.55, -54.59, "85850-85869"],
+  ["pr", "Toledo", -24.72, -53.74],
+  ["pr", "Londrina", -23.31, -51.16, "86000-86099"],
+  ["pr", "Cambé", -23.28, -51.28],
+  ["pr", "Arapongas", -23.42, -51.42],
+  ["pr", "Apucarana", -23.55, -51.46],
+  ["pr", "Maringá", -23.42, -51.94, "87000-87099"],
+  ["pr", "Sarandi", -23.44, -51.87],
+  ["pr", "Umuarama", -23.77, -53.32],
+  ["pr", "Campo Mourão", -24.05, -52.38],
+  ["sc", "Florianópolis", -27.6, -48.55, "88000-88099"],
+  ["sc", "São José", -27.61, -48.63, "88100-88122"],
+  ["sc", "Palhoça", -27.64, -48.67, "88130-88139"],
+  ["sc", "Biguaçu", -27.49, -48.66, "88160-88169"],
+  ["sc", "Itajaí", -26.91, -48.66, "88300-88319"],
+  ["sc", "Balneário Camboriú", -26.99, -48.63, "88330-88339"],
+  ["sc", "Brusque", -27.1, -48.92, "88350-88359"],
+  ["sc", "Lages", -27.82, -50.33, "88500-88529"],
+  ["sc", "Tubarão", -28.47, -49.01, "88700-88709"],
+  ["sc", "Criciúma", -28.68, -49.37, "88800-88819"],
+  ["sc", "Blumenau", -26.92, -49.07, "89000-89099"],
+  ["sc", "Joinville", -26.3, -48.85, "89200-89239"],
+  ["sc", "Jaraguá do Sul", -26.49, -49.07, "89250-89269"],
+  ["sc", "Concórdia", -27.23, -52.03],
+  ["sc", "Chapecó", -27.1, -52.62, "89800-89816"],
+  ["rs", "Porto Alegre", -30.03, -51.23, "90000-91999"],
+  ["rs", "Canoas", -29.92, -51.18, "92000-92449"],
+  ["rs", "São Leopoldo", -29.76, -51.15, "93000-93179"],
+  ["rs", "Novo Hamburgo", -29.68, -51.13, "93300-93599"],
+  ["rs", "Gravataí", -29.94, -50.99, "94000-94199"],
+  ["rs", "Viamão", -30.08, -51.02, "94400-94799"],
+  ["rs", "Torres", -29.34, -49.73],
+  ["rs", "Caxias do Sul", -29.17, -51.18, "95000-95124"],
+  ["rs", "Bento Gonçalves", -29.17, -51.52, "95700-95709"],
+  ["rs", "Pelotas", -31.77, -52.34, "96000-96099"],
+  ["rs", "Rio Grande", -32.04, -52.1, "96200-96219"],
+  ["rs", "Santa Cruz do Sul", -29.72, -52.43, "96800-96849"],
+  ["rs", "Bagé", -31.33, -54.1],
+  ["rs", "Santa Maria", -29.69, -53.81, "97000-97119"],
+  ["rs", "Uruguaiana", -29.75, -57.09],
+  ["rs", "Santo Ângelo", -28.3, -54.26],
+  ["rs", "Cruz Alta", -28.64, -53.61],
+  ["rs", "Passo Fundo", -28.26, -52.41, "99000-99099"],
+  ["rs", "Erechim", -27.63, -52.27],
+];
+
+/** Municipalities keyed by `uf:normalised name`, built on first use. */
+let byName = null;
+
+/**
+ * @typedef {object} GeoOrigin
+ * @property {number} lat - Latitude in degrees.
+ * @property {number} lon - Longitude in degrees.
+ * @property {string} uf - Lowercased UF of the origin (of the nearest known municipality for coordinates).
+ * @property {string[]} ufs - Lowercased UFs the radius reaches: the origin's, then those of bundled municipalities within the radius.
+ * @property {string} label - Human-readable origin, e.g. `"CEP 13025-000 (Campinas, SP)"`.
+ * @property {number} radiusKm - Search radius in kilometres.
+ */
+
+/**
+ * Parses a `near` option into an origin point. A CEP (`"13025-000"`,
+ * `"13025000"` or its 5-digit prefix) is placed at the centroid of the bundled
+ * municipality whose CEP range contains it; `"lat,lon"` is used as given.
+ *
+ * @param {string|{lat: number, lon: number}} near - CEP, `"lat,lon"` string, or coordinates.
+ * @param {number} [radiusKm=30] - Search radius in kilometres.
+ * @returns {GeoOrigin} The origin.
+ * @throws {Error} If the value is malformed, the radius is invalid, or the CEP is outside the bundled ranges.
+ */
+export function parseNear(near, radiusKm = DEFAULT_RADIUS_KM) {
+  if (typeof radiusKm !== "number" || !Number.isFinite(radiusKm) || radiusKm <= 0) {
+    throw new Error(`Invalid radius "${radiusKm}". It must be a positive number of kilometres.`);
+  }
+
+  let lat;
+  let lon;
+  if (typeof near === "object" && near !== null) {
+    ({ lat, lon } = near);
+  } else {
+    const text = String(near ?? "").trim();
+    const cep = text.match(/^(\d{5})-?(\d{3})?$/);
+    if (cep) {
+      const prefix = Number(cep[1]);
+      const found = MUNICIPALITIES.find((m) => cepRanges(m).some(([from, to]) => prefix >= from && prefix <= to));
+      if (!found) {
+        throw new Error(`CEP "${text}" is not in the bundled CEP table. Pass coordinates instead, e.g. "-23.55,-46.63".`);
+      }
+      const [uf, name, flat, flon] = found;
+      return { lat: flat, lon: flon, uf, ufs: statesWithin({ lat: flat, lon: flon }, uf, radiusKm), label: `CEP ${text} (${name}, ${uf.toUpperCase()})`, radiusKm };
+    }
+    const coords = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (!coords) {
+      throw new Error(`Invalid near "${text}". Use a CEP (e.g. 13025-000) or coordinates as "lat,lon" (e.g. -22.91,-47.06).`);
+    }
+    lat = Number(coords[1]);
+    lon = Number(coords[2]);
+  }
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`Invalid coordinates "${lat},${lon}". Latitude must be within ±90 and longitude within ±180.`);
+  }
+  const [nearest] = MUNICIPALITIES.map((m) => [m, distanceKm({ lat, lon }, { lat: m[2], lon: m[3] })]).sort((a, b) => a[1] - b[1]);
+  const uf = nearest[0][0];
+  return { lat, lon, uf, ufs: statesWithin({ lat, lon }, uf, radiusKm), label: `${lat},${lon}`, radiusKm };
+}
+
+/**
+ * Looks up the bundled centroid of a municipality.
+ *
+ * @param {string} municipality - Municipality name (case- and accent-insensitive).
+ * @param {string} uf - UF of the municipality.
+ * @returns {{lat: number, lon: number}|null} Centroid, or `null` if unknown.
+ */
+export function geocodeMunicipality(municipality, uf) {
+  if (!municipality || !uf) return null;
+  byName ??= new Map(MUNICIPALITIES.map((m) => [`${m[0]}:${normalize(m[1])}`, { lat: m[2], lon: m[3] }]));
+  return byName.get(`${uf.toLowerCase()}:${normalize(municipality)}`) ?? null;
+}
+
+/**
+ * Sets `item.distanceKm` from the origin to the item's municipality
+ * (`locationDetails.municipality` / `uf`) and tests it against the radius.
+ * The bundled table only has the main municipalities, so items it cannot place
+ * get `distanceKm: null` and are kept rather than silently dropped.
+ *
+ * @param {object} item - Normalised item object (updated in place).
+ * @param {GeoOrigin|null} origin - Origin from {@link parseNear}, or `null` to match everything.
+ * @returns {boolean} `true` if the item is within the radius, cannot be placed, or no origin is set.
+ */
+export function withinRadius(item, origin) {
+  if (!origin) return true;
+  const point = geocodeMunicipality(item.locationDetails?.municipality, item.locationDetails?.uf);
+  item.distanceKm = point ? Math.round(distanceKm(origin, point) * 10) / 10 : null;
+  return item.distanceKm == null || item.distanceKm <= origin.radiusKm;
+}
+
+/**
+ * Great-circle (haversine) distance between two points.
+ *
+ * @param {{lat: number, lon: number}} a - First point.
+ * @param {{lat: number, lon: number}} b - Second point.
+ * @returns {number} Distance in kilometres.
+ */
+export function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Lists the UFs a radius reaches: the origin's own, then the UF of every
+ * bundled municipality within the radius.
+ *
+ * @param {{lat: number, lon: number}} point - Origin.
+ * @param {string} uf - UF of the origin.
+ * @param {number} radiusKm - Radius in kilometres.
+ * @returns {string[]} Lowercased UFs, without duplicates.
+ */
+function statesWithin(point, uf, radiusKm) {
+  const ufs = new Set([uf]);
+  for (const [rowUf, , lat, lon] of MUNICIPALITIES) {
+    if (distanceKm(point, { lat, lon }) <= radiusKm) ufs.add(rowUf);
+  }
+  return [...ufs];
+}
+
+/**
+ * Returns the CEP ranges of a municipality row as numeric `[from, to]` pairs.
+ *
+ * @param {Array} row - Row of {@link MUNICIPALITIES}.
+ * @returns {[number, number][]} Ranges.
+ */
+function cepRanges(row) {
+  return row.slice(4).map((range) => range.split("-").map(Number));
+}
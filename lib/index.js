@@ -5,221 +5,139 @@
  * @module index
  */
 
-import { get } from "nlcurl";
 import { log } from "./logger.js";
+import { openCheckpoint } from "./checkpoint.js";
+import { normalize, getQueryTokens, matchesWords, parseQuery, matchesQuery, querySearchText } from "./query.js";
+import { VALID_STATES, resolveLocations, locationOptions, locationPath, parseNeighbourhoods, matchesNeighbourhood } from "./locations.js";
+import { parseNear, withinRadius } from "./geo.js";
+import { getCategory, listCategories, resolveCategory, extractCategoryFacets } from "./categories.js";
+
+export { watch, loadWatchState, saveWatchState, diffWatchState } from "./watch.js";
+export { createCache, clearCache, defaultCacheDir } from "./cache.js";
+export { loadStore, saveStore, recordRun, getAdHistory } from "./store.js";
+export { summarize } from "./stats.js";
+export { createServer } from "./server.js";
+export { createRateLimiter, createSearchLimiters } from "./limiter.js";
+export { createNotifier, parseSink, renderTemplate } from "./notify.js";
+export { searchBatch, loadQueries } from "./batch.js";
+export { resultSheets, writeXlsx, writeOds } from "./spreadsheet.js";
+export { parseQuery, matchesQuery, querySearchText } from "./query.js";
+export { getRegions, resolveLocations } from "./locations.js";
+export { parseNear, geocodeMunicipality, distanceKm } from "./geo.js";
+export { getCategoryTree, getCategory, findCategories, resolveCategory, suggestCategories, setCategories, mergeCategories, loadCategories, saveCategories, categoriesFile, extractCategoryFacets } from "./categories.js";
 
 const MARKETPLACE_DOMAIN = "www.olx.com.br";
 const DEFAULT_LIMIT = 20;
 const DEFAULT_TIMEOUT = 15000;
 const DEFAULT_CONCURRENCY = 5;
-const VALID_STATES = new Set(["ac", "al", "ap", "am", "ba", "ce", "df", "es", "go", "ma", "mt", "ms", "mg", "pa", "pb", "pr", "pe", "pi", "rj", "rn", "rs", "ro", "rr", "sc", "sp", "se", "to"]);
+const MAX_PAGES = 20;
+const MAX_EXHAUSTIVE_QUERIES = 500;
+
+/** Sort keys OLX can apply itself; the first of them in a sort spec is sent with the search. */
+const REMOTE_SORTS = ["price_asc", "price_desc", "date"];
+
+/**
+ * Client-side comparators per sort key. {@link REMOTE_SORTS} are also sent to
+ * OLX (the first of them in a multi-key spec).
+ */
+const SORTERS = {
+  relevance: () => 0,
+  price_asc: byNumber((item) => item.price, 1),
+  price_desc: byNumber((item) => item.price, -1),
+  date: byNumber((item) => item.dateTimestamp, -1),
+  discount: byNumber((item) => item.discountPercent, -1),
+  price_per_m2: byNumber((item) => item.pricePerM2, 1),
+  distance: byNumber((item) => item.distanceKm, 1),
+  uf: (a, b) => {
+    const ua = a.locationDetails?.uf;
+    const ub = b.locationDetails?.uf;
+    if (!ua || !ub) return !ua - !ub;
+    return ua.localeCompare(ub);
+  },
+};
 
 const RATE_LIMIT_PAGE_DELAY = 200;
 const RATE_LIMIT_DETAIL_DELAY = 100;
 const RATE_LIMIT_CONCURRENCY = 3;
 
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const DEFAULT_MAX_RETRY_AFTER = 120000;
+
 /** @param {number} ms @returns {Promise<void>} */
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-/**
- * Known OLX category slugs with their display names.
- * Keys are the `friendlyPath` used in the URL; values are human-readable labels.
- *
- * @type {Map<string, string>}
- */
-const CATEGORIES = new Map([
-  ["imoveis", "Imóveis"],
-  ["imoveis/venda", "Venda - casas e apartamentos"],
-  ["imoveis/aluguel", "Aluguel - casas e apartamentos"],
-  ["imoveis/temporada", "Temporada"],
-  ["imoveis/terrenos", "Terrenos, sítios e fazendas"],
-  ["imoveis/comercio-e-industria", "Comércio e indústria"],
-  ["imoveis/lancamentos", "Imóvel Novo"],
-  ["autos-e-pecas", "Autos"],
-  ["autos-e-pecas/carros-vans-e-utilitarios", "Carros, vans e utilitários"],
-  ["autos-e-pecas/motos", "Motos"],
-  ["autos-e-pecas/onibus", "Ônibus"],
-  ["autos-e-pecas/caminhoes", "Caminhões"],
-  ["autos-e-pecas/barcos-e-aeronaves", "Barcos e aeronaves"],
-  ["autos-e-pecas/pecas-e-acessorios", "Autopeças"],
-  ["autos-e-pecas/pecas-e-acessorios/carros-vans-e-utilitarios", "Peças para carros, vans e utilitários"],
-  ["autos-e-pecas/pecas-e-acessorios/motos", "Peças para motos"],
-  ["autos-e-pecas/pecas-e-acessorios/onibus", "Peças para ônibus"],
-  ["autos-e-pecas/pecas-e-acessorios/caminhoes", "Peças para caminhões"],
-  ["autos-e-pecas/pecas-e-acessorios/barcos-e-aeronaves", "Peças para barcos e aeronaves"],
-  ["para-a-sua-casa", "Casa, Decoração e Utensílios"],
-  ["para-a-sua-casa/cama-mesa-e-banho", "Tecidos de Cama, Mesa e Banho"],
-  ["para-a-sua-casa/decoracoes-para-casa", "Decorações Para Casa"],
-  ["para-a-sua-casa/casa-inteligente", "Casa Inteligente"],
-  ["para-a-sua-casa/utensilios-para-cozinha", "Utensílios Para Cozinha"],
-  ["para-a-sua-casa/utensilios-para-banheiro-e-limpeza", "Utensílios Para Banheiro e Limpeza"],
-  ["para-a-sua-casa/iluminacao", "Iluminação"],
-  ["para-a-sua-casa/seguranca-residencial", "Segurança Residencial"],
-  ["para-a-sua-casa/jardinagem-e-plantas", "Jardinagem e Plantas"],
-  ["para-a-sua-casa/area-externa", "Área Externa"],
-  ["moveis", "Móveis"],
-  ["moveis/camas-e-colchoes", "Camas e Colchões"],
-  ["moveis/sofas-e-poltronas", "Sofás e Poltronas"],
-  ["moveis/cadeiras-de-escritorio-e-gamer", "Cadeiras de Escritório e Gamer"],
-  ["moveis/bancos-e-cadeiras", "Bancos e Cadeiras"],
-  ["moveis/mesas", "Mesas"],
-  ["moveis/escrivaninhas-e-penteadeiras", "Escrivaninhas e Penteadeiras"],
-  ["moveis/racks-e-paineis", "Racks e Painéis"],
-  ["moveis/armarios-e-guarda-roupas", "Armários e Guarda-Roupas"],
-  ["moveis/moveis-para-organizacao", "Móveis Para Organização"],
-  ["eletro", "Eletro"],
-  ["eletro/ar-condicionados", "Ar-condicionados"],
-  ["eletro/ventiladores-e-climatizadores", "Ventiladores e Climatizadores"],
-  ["eletro/geladeiras-e-freezers", "Geladeiras e Freezers"],
-  ["eletro/fogoes-e-fornos", "Fogões e Fornos"],
-  ["eletro/maquinas-de-lavar-e-secadoras", "Máquinas de Lavar e Secadoras"],
-  ["eletro/eletroportateis-para-cozinha-e-limpeza", "Eletroportáteis Para Cozinha e Limpeza"],
-  ["eletro/eletroportateis-para-cuidados-pessoais", "Eletroportáteis Para Cuidados Pessoais"],
-  ["materiais-de-construcao", "Materiais de Construção"],
-  ["materiais-de-construcao/fundacao-e-estrutura", "Fundação e Estrutura"],
-  ["materiais-de-construcao/alvenaria", "Alvenaria"],
-  ["materiais-de-construcao/pisos-e-revestimentos", "Pisos e Revestimentos"],
-  ["materiais-de-construcao/portas-e-janelas", "Portas e Janelas"],
-  ["materiais-de-construcao/cubas-e-pias", "Cubas e Pias"],
-  ["materiais-de-construcao/torneiras-duchas-e-vasos", "Torneiras, Duchas e Vasos"],
-  ["materiais-de-construcao/instalacoes-eletricas-e-hidraulicas", "Instalações Elétricas e Hidráulicas"],
-  ["materiais-de-construcao/ferramentas-de-construcao", "Ferramentas de Construção"],
-  ["materiais-de-construcao/ferramentas-de-pintura", "Ferramentas de Pintura"],
-  ["eletronicos-e-celulares", "Celulares e Telefonia"],
-  ["celulares", "Celulares e Smartphones"],
-  ["eletronicos-e-celulares/acessorios-de-celular", "Acessórios de Celular"],
-  ["eletronicos-e-celulares/pecas-de-celular", "Peças de Celular"],
-  ["eletronicos-e-celulares/smartwatches", "Smartwatches"],
-  ["eletronicos-e-celulares/acessorios-para-smartwatch", "Acessórios Para Smartwatch"],
-  ["eletronicos-e-celulares/telefonia-fixa-e-sem-fio", "Telefonia Fixa e Sem Fio"],
-  ["informatica", "Informática"],
-  ["informatica/computadores-e-desktops", "Computadores e Desktops"],
-  ["informatica/notebooks", "Notebooks"],
-  ["informatica/monitores", "Monitores"],
-  ["informatica/perifericos-e-acessorios-de-computador", "Periféricos e Acessórios de Computador"],
-  ["informatica/pecas-de-hardware", "Peças de Hardware"],
-  ["informatica/armazenamento", "Armazenamento"],
-  ["informatica/memoria-ram", "Memória RAM"],
-  ["informatica/processadores", "Processadores"],
-  ["informatica/placas-de-video", "Placas de Vídeo"],
-  ["informatica/conectividade-e-dispositivos-de-rede", "Conectividade e Dispositivos de Rede"],
-  ["informatica/tablets-e-readers", "Tablets e E-Readers"],
-  ["games", "Games"],
-  ["games/consoles-de-video-game", "Consoles de Vídeo Game"],
-  ["games/jogos-de-video-game", "Jogos de Vídeo Game"],
-  ["games/acessorios-de-video-game", "Peças e Acessórios de Vídeo Game"],
-  ["tvs-e-video", "TVs e video"],
-  ["tvs-e-video/tvs", "TVs"],
-  ["tvs-e-video/acessorios-para-tv", "Peças e Acessórios para TV"],
-  ["tvs-e-video/projetores-e-telas-de-projecao", "Projetores e Telas de Projeção"],
-  ["tvs-e-video/dvd-blu-ray-video-cassete", "DVD, Blu-Ray e Vídeo Cassete"],
-  ["tvs-e-video/dispositivos-de-streaming", "Dispositivos de Streaming"],
-  ["audio", "Áudio"],
-  ["audio/fones-de-ouvido", "Fones de Ouvido"],
-  ["audio/aparelhos-de-som", "Aparelhos de Som"],
-  ["audio/microfones-e-gravadores", "Microfones e Gravadores"],
-  ["audio/equipamentos-e-acessorios-de-som", "Equipamentos e Acessórios de Som"],
-  ["cameras-e-drones", "Câmeras e Drones"],
-  ["cameras-e-filmadoras", "Câmeras e Filmadoras"],
-  ["acessorios-para-cameras-e-filmadoras", "Acessórios para Câmeras e Filmadoras"],
-  ["drones", "Drones"],
-  ["moda-e-beleza", "Moda e beleza"],
-  ["beleza-e-saude", "Beleza e Cuidados Pessoais"],
-  ["roupas", "Roupas"],
-  ["bolsas-malas-e-mochilas", "Bolsas, malas e mochilas"],
-  ["bijouteria-relogios-e-acessorios", "Acessórios"],
-  ["calcados", "Calçados"],
-  ["comercio-e-escritorio", "Comércio"],
-  ["comercio-e-escritorio/equipamentos", "Equipamentos Para Comércio"],
-  ["comercio-e-escritorio/gastronomia", "Gastronomia e Hotelaria"],
-  ["comercio-e-escritorio/equipamento-medico", "Equipamentos Médicos e Hospitalares"],
-  ["comercio-e-escritorio/uniformes-epis", "Uniformes de Trabalho e EPIs"],
-  ["comercio-e-escritorio/trailers-e-carrinhos-comerciais", "Trailers e carrinhos comerciais"],
-  ["escritorio", "Escritório e Home Office"],
-  ["escritorio/itens-para-escritorio", "Itens Para Escritório"],
-  ["escritorio/cadeiras-de-escritorio", "Cadeiras de Escritório e Gamer"],
-  ["escritorio/moveis-de-escritorio", "Móveis de Escritório"],
-  ["escritorio/papelaria", "Papelaria"],
-  ["musica-e-hobbies", "Música e hobbies"],
-  ["instrumentos-musicais", "Instrumentos musicais"],
-  ["cds-dvds", "CDs, DVDs etc"],
-  ["livros-e-revistas", "Livros e revistas"],
-  ["antiguidades", "Antiguidades"],
-  ["hobbies-e-colecoes", "Hobbies e coleções"],
-  ["esportes-e-lazer", "Esportes e Fitness"],
-  ["ciclismo", "Ciclismo"],
-  ["esportes-e-lazer/academia-e-exercicios", "Academia e Exercícios"],
-  ["esportes-e-lazer/acampamento", "Acampamento"],
-  ["esportes-e-lazer/esportes-sobre-rodas", "Esportes Sobre Rodas"],
-  ["esportes-e-lazer/quadra-e-ao-ar-livre", "Esportes de Quadra e Ao Ar Livre"],
-  ["esportes-e-lazer/esportes-aquaticos", "Esportes Aquáticos"],
-  ["esportes-e-lazer/roupas-esportivas", "Roupas Esportivas"],
-  ["esportes-e-lazer/calcados-esportivos", "Calçados Esportivos"],
-  ["esportes-e-lazer/acessorios-de-ciclismo", "Acessórios de Ciclismo"],
-  ["artigos-infantis", "Artigos infantis"],
-  ["artigos-infantis/roupas-infantis", "Roupas Infantis"],
-  ["artigos-infantis/calcados-infantis", "Calçados Infantis"],
-  ["artigos-infantis/roupas-para-bebes", "Roupas para Bebês"],
-  ["artigos-infantis/calcados-para-bebes", "Calçados Para Bebês"],
-  ["artigos-infantis/brinquedos", "Brinquedos e Jogos"],
-  ["artigos-infantis/maternidade-e-bebes", "Maternidade e Cuidados com o Bebê"],
-  ["artigos-infantis/moveis-infantis", "Móveis Infantis"],
-  ["animais-de-estimacao", "Animais de estimação"],
-  ["animais-de-estimacao/cachorros", "Cachorros"],
-  ["animais-de-estimacao/gatos", "Gatos"],
-  ["animais-de-estimacao/acessorios", "Acessórios para pets"],
-  ["animais-de-estimacao/roedores", "Roedores"],
-  ["animais-de-estimacao/outros-animais", "Outros animais"],
-  ["agro-e-industria", "Agro e indústria"],
-  ["agro-e-industria/tratores-e-maquinas-agricolas", "Tratores e máquinas agrícolas"],
-  ["agro-e-industria/maquinas-pesadas-para-construcao", "Máquinas pesadas para construção"],
-  ["agro-e-industria/maquinas-para-producao-industrial", "Máquinas para produção industrial"],
-  ["agro-e-industria/pecas-para-tratores-e-maquinas", "Peças para tratores e máquinas"],
-  ["agro-e-industria/animais-para-agropecuaria", "Animais para agropecuária"],
-  ["agro-e-industria/producao-rural", "Produção Rural"],
-  ["agro-e-industria/outros-itens-para-agro-e-industria", "Outros itens para agro e indústria"],
-  ["servicos", "Serviços"],
-  ["vagas-de-emprego", "Vagas de emprego"],
-]);
-
 /**
  * Searches OLX and returns a structured result set.
  *
  * @param {string} query - The search query string.
  * @param {object} [options={}] - Search options.
- * @param {number} [options.limit=20] - Maximum number of items to return.
+ * @param {number} [options.limit=20] - Maximum number of items to return. Unlimited by default with `exhaustive`.
  * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
- * @param {'price_asc'|'price_desc'|'date'|'relevance'} [options.sort] - Sort order.
+ * @param {string} [options.sort] - Sort order: `price_asc`, `price_desc`, `date`, `relevance`, `discount`, `price_per_m2`, `distance` (with `near`) or `uf`, or several comma-separated keys (e.g. `"uf,price_asc"`) where later keys break ties. Results are sorted locally; the first of `price_asc`, `price_desc` and `date` is also sent to OLX.
  * @param {number} [options.concurrency=5] - Max parallel detail requests per batch.
- * @param {string} [options.state] - Filter by Brazilian state(s). Single UF or comma-separated list (e.g. "sp", "sp,rj,mg").
- * @param {string} [options.category] - Category slug to filter, e.g. "celulares".
- * @param {boolean} [options.strict=false] - Whether to filter results that don't match all query terms in title, description, or properties.
- * @returns {Promise<{items: object[], query: object, pagination: object}>} Search result.
+ * @param {string} [options.state] - Filter by Brazilian state(s). Single UF or comma-separated list (e.g. "sp", "sp,rj,mg"). With `region` or `city`, only narrows their lookup.
+ * @param {string|string[]} [options.region] - OLX region(s) by slug, name or DDD (e.g. "grande-campinas", "19"); see {@link getRegions}.
+ * @param {string|string[]} [options.city] - City (municipality) by slug or name (e.g. "campinas", "São José dos Campos"). Regions and cities are searched together and merged like several states.
+ * @param {string|string[]} [options.neighbourhood] - Keep only ads whose `locationDetails.neighbourhood` is one of these names (case- and accent-insensitive).
+ * @param {string|{lat: number, lon: number}} [options.near] - Keep only ads within `radius` of a CEP or `"lat,lon"` (see {@link parseNear}), and set their `distanceKm`; ads in municipalities missing from the bundled table are kept with `distanceKm: null`. Without a location option, the search covers every state the radius reaches.
+ * @param {number} [options.radius=30] - Radius in kilometres around `near`.
+ * @param {string} [options.category] - Category slug or name to filter, e.g. "celulares" or "placas de video".
+ * @param {boolean} [options.strict=false] - Evaluate the query client-side as an expression (see {@link parseQuery}): phrases, `OR`, `-negation`, parentheses, `title:` / `desc:` / `prop:Name=Value`. Only the plain words are sent to OLX.
+ * @param {string|string[]} [options.exclude] - Terms whose ads are dropped (matched like `strict`, before detail enrichment). A multi-word term drops ads containing all of its words.
+ * @param {string|string[]} [options.where] - Property conditions such as `"Ano>=2018"`, `"Condição=Novo"` or `"Quilometragem<80000"` (operators `=`, `!=`, `>`, `>=`, `<`, `<=`). All must hold; ads missing the property are dropped once details are fetched.
+ * @param {string|string[]} [options.seller] - Keep only ads whose seller name contains one of these names (case- and accent-insensitive) or whose `sellerId` equals one. Sellers are only known from detail pages, so ads are enriched as they are crawled until `limit` of them match; cannot be combined with `noDetails`.
+ * @param {boolean|null} [options.professional=null] - `true` keeps only professional (store) ads, `false` drops them. Applied before detail enrichment.
+ * @param {number} [options.minPrice] - Minimum price in BRL (inclusive). Items without a price are dropped when set.
+ * @param {number} [options.maxPrice] - Maximum price in BRL (inclusive). Items without a price are dropped when set.
+ * @param {Fetcher} [options.fetcher=defaultFetcher] - Transport used for every listing and detail request.
+ * @param {import("./cache.js").ResponseCache|null} [options.cache=null] - Response cache consulted before every request (see {@link createCache}).
+ * @param {number} [options.retries=2] - Extra attempts for requests that time out or return 429/5xx.
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in milliseconds, doubled on each attempt.
+ * @param {number} [options.maxRetryAfter=120000] - Longest `Retry-After` wait in milliseconds; a request asked to wait longer fails with the requested delay in its error.
+ * @param {boolean} [options.exhaustive=false] - Split queries that exceed the page cap into narrower sub-queries (states, subcategories, price bands) and report `coverage`. Cannot be combined with `checkpoint`.
+ * @param {string} [options.checkpoint] - Checkpoint file. Progress is saved after every page and detail batch, and a re-run of the same search (query, location and filters) with the same file resumes from it; a different search is refused. The file is removed once the search completes.
+ * @returns {Promise<{items: object[], query: object, pagination: object, stats: object}>} Search result.
  * @throws {Error} If the page structure cannot be parsed.
  */
 export async function search(query, options = {}) {
-  const { limit = DEFAULT_LIMIT, timeout = DEFAULT_TIMEOUT, sort, concurrency: rawConcurrency = DEFAULT_CONCURRENCY, state, category, strict = false, noRateLimit = false, noDetails = false, onFirstResponse = null, onErrorResponse = null } = options;
+  const { limit: limitOption, timeout = DEFAULT_TIMEOUT, sort, concurrency: rawConcurrency = DEFAULT_CONCURRENCY, state, region = null, city = null, neighbourhood = null, near = null, radius, category: categoryOption, strict = false, exclude = null, where = null, seller = null, professional = null, minPrice = null, maxPrice = null, noRateLimit = false, noDetails = false, fetcher = defaultFetcher, cache = null, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, maxRetryAfter = DEFAULT_MAX_RETRY_AFTER, exhaustive = false, checkpoint = null, onFirstResponse = null, onErrorResponse = null } = options;
+  const limit = limitOption ?? (exhaustive ? Infinity : DEFAULT_LIMIT);
   const concurrency = noRateLimit ? rawConcurrency : Math.min(rawConcurrency, RATE_LIMIT_CONCURRENCY);
-  let _requestCount = 0;
-  log("SEARCH", `search("${query}") called`, { limit, sort, state, category, strict, noRateLimit, noDetails, concurrency });
+  const cacheStats = { hits: 0, misses: 0 };
+  const http = { timeout, fetcher, cache, cacheStats, retries, retryDelay, maxRetryAfter };
+  log("SEARCH", `search("${query}") called`, { limit, sort, state, region, city, neighbourhood, near, radius, category: categoryOption, strict, exclude, where, seller, professional, minPrice, maxPrice, noRateLimit, noDetails, concurrency, retries, retryDelay, maxRetryAfter, exhaustive });
 
-  if (category && !CATEGORIES.has(category)) {
-    const list = [...CATEGORIES.entries()].map(([slug, name]) => `  ${slug.padEnd(55)} ${name}`).join("\n");
-    throw new Error(`Unknown category "${category}".\n\nValid categories:\n${list}\n\nUse --list-categories to see all options.`);
-  }
+  const category = resolveCategoryOption(categoryOption);
+  validatePriceRange(minPrice, maxPrice);
+  validateRetryOptions(retries, retryDelay, maxRetryAfter);
+  validateCrawlOptions(limit, rawConcurrency, timeout);
+  parseSort(sort);
+  const origin = near ? parseNear(near, radius) : null;
+  const locations = resolveLocations({ state: state || (origin && !region && !city ? origin.ufs.join(",") : undefined), region, city });
+  const stateList = [...new Set(locations.map((loc) => loc.uf))];
+  const neighbourhoods = parseNeighbourhoods(neighbourhood);
+  const excludeTerms = parseExcludeTerms(exclude);
+  const conditions = parseWhere(where);
+  const sellers = parseSellers(seller, professional, noDetails);
+  const expression = strict ? parseQuery(query) : null;
+  const searchText = strict ? querySearchText(expression) : query;
 
-  const stateList = state
-    ? state
-        .split(",")
-        .map((s) => s.trim().toLowerCase())
-        .filter(Boolean)
-    : [];
-  for (const s of stateList) {
-    if (!VALID_STATES.has(s)) throw new Error(`Unknown state "${s}". Use a valid Brazilian UF (e.g. sp, rj, mg).`);
+  if (exhaustive) {
+    if (checkpoint) throw new Error("The checkpoint option cannot be combined with exhaustive: sub-queries are not checkpointed.");
+    return searchExhaustive(query, { searchText, expression, limit, sort, category, strict, excludeTerms, conditions, sellers, professional, neighbourhoods, origin, minPrice, maxPrice, noRateLimit, noDetails, concurrency, http, onFirstResponse, onErrorResponse }, locations);
   }
 
-  if (stateList.length > 1) {
-    const settled = await Promise.allSettled(stateList.map((s) => search(query, { ...options, state: s, limit: strict ? limit * 3 : limit })));
+  // Sub-searches of a multi-location run receive the opened checkpoint; only
+  // the call that opened it from a file path may delete it.
+  const ownsCheckpoint = typeof checkpoint === "string";
+  const progress = ownsCheckpoint ? openCheckpoint(checkpoint, JSON.stringify({ query, sort: sort || null, states: locations.map((loc) => loc.key), category: category || null, minPrice, maxPrice, strict, neighbourhood: neighbourhoods, near: origin && [origin.lat, origin.lon, origin.radiusKm], exclude: excludeTerms.map((t) => t.term), where: conditions.map((c) => c.expr), seller: sellers.map((s) => s.term), professional })) : checkpoint;
+
+  if (locations.length > 1) {
+    if (progress) for (const loc of locations) progress.section(loc.key);
+    const settled = await Promise.allSettled(locations.map((loc) => search(query, { ...options, ...locationOptions(loc), limit: strict ? limit * 3 : limit, checkpoint: progress })));
+    if (ownsCheckpoint) finishCheckpoint(progress);
     const seenIds = new Set();
     let merged = [];
     let totalSum = 0;
@@ -227,9 +145,16 @@ export async function search(query, options = {}) {
     let selectedCategory = null;
     let pageSize = 50;
     const stateResults = [];
+    const stats = { requests: 0, pageRequests: 0, detailRequests: 0, cacheHits: 0, cacheMisses: 0 };
+    let complete = true;
     for (const outcome of settled) {
-      if (outcome.status !== "fulfilled") continue;
+      if (outcome.status !== "fulfilled") {
+        complete = false;
+        continue;
+      }
       const r = outcome.value;
+      complete &&= r.pagination.complete;
+      for (const key of Object.keys(stats)) stats[key] += r.stats?.[key] || 0;
       if (!firstResultUrl) {
         firstResultUrl = r.query.url;
         selectedCategory = r.query.category;
@@ -248,203 +173,99 @@ export async function search(query, options = {}) {
         merged.push(item);
       }
     }
-    if (strict) merged = merged.filter((item) => matchesQuery(item, query));
-    if (sort === "price_asc") merged.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
-    else if (sort === "price_desc") merged.sort((a, b) => (b.price ?? 0) - (a.price ?? 0));
-    merged = merged.slice(0, limit);
+    if (strict) merged = merged.filter((item) => matchesQuery(item, expression));
+    complete &&= merged.length <= limit;
+    merged = sortItems(merged, sort).slice(0, limit);
     return {
       items: merged,
-      query: { text: query, sort: sort || null, state: stateList.join(","), states: stateList, category: selectedCategory, strict, url: firstResultUrl },
-      pagination: { total: totalSum, page: 1, pageSize, limit, maxPages: 20, resultsLimit: 20 * pageSize, capped: merged.length >= limit },
+      query: { text: query, sort: sort || null, state: stateList.join(","), states: stateList, locations, neighbourhood: neighbourhoods, near: origin, category: selectedCategory, strict, exclude: excludeTerms.map((t) => t.term), where: conditions.map((c) => c.expr), seller: sellers.map((s) => s.term), professional, minPrice, maxPrice, url: firstResultUrl },
+      pagination: { total: totalSum, page: 1, pageSize, limit, maxPages: MAX_PAGES, resultsLimit: MAX_PAGES * pageSize, capped: merged.length >= limit, complete },
+      stats,
     };
   }
 
-  const singleState = stateList[0] ?? null;
-  const MAX_PAGES = 20;
-  const firstUrl = buildUrl(query, { sort, domain: MARKETPLACE_DOMAIN, page: 1, state: singleState, category });
-  log("SEARCH", `first URL: ${firstUrl}`);
-  const firstHtml = await fetchPage(firstUrl, timeout);
-  _requestCount++;
-  if (onFirstResponse) {
-    try {
-      await onFirstResponse({ url: firstUrl, body: firstHtml, timestamp: new Date().toISOString() });
-    } catch {}
-  }
-  const firstState = extractNextData(firstHtml);
+  const location = locations[0] ?? null;
+  const singleState = location?.uf ?? null;
+  const meta = { requests: 0 };
+  const section = progress ? progress.section(location?.key || "brasil") : null;
+  const crawl = crawlPages(searchText, { sort, state: singleState, region: location?.region, city: location?.city, category, minPrice, maxPrice, noRateLimit, http, progress, section, onFirstResponse, onErrorResponse }, meta);
 
-  if (!firstState || !Array.isArray(firstState.ads)) {
-    if (looksLikeBlockPage(firstHtml)) {
-      if (onErrorResponse) {
-        try {
-          await onErrorResponse({ url: firstUrl, body: firstHtml, error: "Access blocked (rate limited)", timestamp: new Date().toISOString() });
-        } catch {}
+  let detailFailures = 0;
+  let detailBatches = 0;
+  const details = { requests: 0 };
+  const alreadyEnriched = new Set(section?.enriched);
+  const enrichItems = async (list) => {
+    const queue = list.filter((item) => item.permalink && !alreadyEnriched.has(item.permalink));
+    for (let i = 0; i < queue.length; i += concurrency) {
+      const batch = queue.slice(i, i + concurrency);
+      const enriched = await enrichBatch(batch, { ...http, delay: detailBatches++ > 0 && !noRateLimit ? RATE_LIMIT_DETAIL_DELAY : 0, counter: details }, onErrorResponse);
+      detailFailures += batch.length - enriched.length;
+      if (section) {
+        section.enriched.push(...enriched.map((item) => item.permalink));
+        progress.save();
       }
-      throw new Error("Access blocked by OLX \u2014 your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
-    }
-    if (onErrorResponse) {
-      try {
-        await onErrorResponse({ url: firstUrl, body: firstHtml, error: "Could not extract search results", timestamp: new Date().toISOString() });
-      } catch {}
     }
-    throw new Error("Could not extract search results. The page structure may have changed.");
-  }
-
-  const totalAvailable = firstState.totalOfAds ?? Infinity;
-  const pageSize = firstState.pageSize || 50;
+  };
 
-  const seenIds = new Set();
-  let items = firstState.ads.map((ad) => parseAd(ad)).filter(Boolean);
-  for (const item of items) if (item.id) seenIds.add(item.id);
-  log("SEARCH", `page 1 parsed: ${firstState.ads.length} ads -> ${items.length} valid items, total available=${totalAvailable}`);
-
-  let currentPage = 1;
-  while (items.length < limit && currentPage * pageSize < totalAvailable && currentPage < MAX_PAGES) {
-    currentPage++;
-    if (!noRateLimit) await sleep(RATE_LIMIT_PAGE_DELAY);
-    const pageUrl = buildUrl(query, { sort, domain: MARKETPLACE_DOMAIN, page: currentPage, state: singleState, category });
-    const pageHtml = await fetchPage(pageUrl, timeout);
-    _requestCount++;
-    const pageState = extractNextData(pageHtml);
-    if (!pageState || !Array.isArray(pageState.ads) || pageState.ads.length === 0) break;
-    const newItems = pageState.ads.map((ad) => parseAd(ad)).filter(Boolean);
-    for (const item of newItems) {
-      if (item.id && seenIds.has(item.id)) continue;
-      if (item.id) seenIds.add(item.id);
-      items.push(item);
+  // Sellers and conditions on detail-only properties are settled once details
+  // are in, so with `seller` or `where` items are enriched as they are crawled
+  // and only those that pass count towards the limit.
+  const filterDuringCrawl = !noDetails && (conditions.length > 0 || sellers.length > 0);
+  let items = [];
+  let excluded = 0;
+  let stoppedEarly = false;
+  for await (const pageItems of crawl) {
+    const kept = pageItems.filter((item) => matchesProfessional(item, professional) && matchesNeighbourhood(item, neighbourhoods) && withinRadius(item, origin) && !isExcluded(item, excludeTerms) && matchesWhere(item, conditions, !noDetails));
+    excluded += pageItems.length - kept.length;
+    let leftOnPage = false;
+    if (filterDuringCrawl) {
+      for (let i = 0; i < kept.length; i += concurrency) {
+        if (items.length >= limit) {
+          leftOnPage = true;
+          break;
+        }
+        const batch = kept.slice(i, i + concurrency);
+        await enrichItems(batch);
+        items.push(...filterDetails(applyCategorySchemas(batch, category), conditions, sellers));
+      }
+    } else {
+      items.push(...kept);
+    }
+    if (items.length >= limit) {
+      stoppedEarly = leftOnPage || (meta.currentPage * meta.pageSize < meta.totalAvailable && meta.currentPage < MAX_PAGES);
+      break;
     }
-    log("SEARCH", `page ${currentPage} fetched: ${newItems.length} new items, items total=${items.length}`);
   }
+  if (excluded > 0) log("SEARCH", `excluded ${excluded} items matching ${excludeTerms.map((t) => `"${t.term}"`).join(", ")}`);
+  const { firstUrl, firstState, totalAvailable, pageSize, currentPage } = meta;
 
-  const capped = items.length >= limit || (currentPage >= MAX_PAGES && currentPage * pageSize < totalAvailable);
-
-  if (strict) {
-    const tokens = getQueryTokens(query);
-    if (tokens.length > 0) items = items.filter((item) => matchesTokens(item, tokens));
-  }
+  const platformCapped = currentPage >= MAX_PAGES && currentPage * pageSize < totalAvailable;
+  const capped = items.length >= limit || platformCapped;
 
-  if (sort === "price_asc") {
-    items.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
-  } else if (sort === "price_desc") {
-    items.sort((a, b) => (b.price ?? 0) - (a.price ?? 0));
-  }
+  applyCategorySchemas(items, category);
+  if (strict) items = items.filter((item) => matchesQuery(item, expression));
 
-  items = items.slice(0, limit);
+  // Every listing OLX had for the search was read and returned: nothing was left unvisited or cut by the limit.
+  let complete = !stoppedEarly && !platformCapped && !meta.interrupted && items.length <= limit;
+  items = sortItems(items, sort).slice(0, limit);
 
-  if (items.length > 0 && !noDetails) {
-    const queue = items.filter((item) => item.permalink);
-    log("SEARCH", `enriching details for ${queue.length} items (concurrency=${concurrency}, rateLimit=${!noRateLimit})`);
-    for (let i = 0; i < queue.length; i += concurrency) {
-      if (i > 0 && !noRateLimit) await sleep(RATE_LIMIT_DETAIL_DELAY);
-      const batch = queue.slice(i, i + concurrency);
-      const results = await Promise.allSettled(
-        batch.map(async (item) => {
-          try {
-            log("DETAIL", `${item.permalink}`);
-            const html = await fetchPage(item.permalink, timeout);
-            _requestCount++;
-
-            let ldJson = null;
-            {
-              const marker = 'application/ld+json">';
-              const idx = html.indexOf(marker);
-              if (idx >= 0) {
-                const jsonStart = idx + marker.length;
-                const jsonEnd = html.indexOf("</script>", jsonStart);
-                if (jsonEnd >= 0) {
-                  try {
-                    ldJson = JSON.parse(html.slice(jsonStart, jsonEnd));
-                  } catch {
-                    ldJson = null;
-                  }
-                }
-              }
-            }
-
-            let rscData = null;
-            {
-              const apIdx = html.indexOf('"adProperties"');
-              if (apIdx >= 0) {
-                let braceDepth = 0;
-                let start = apIdx;
-                for (let k = apIdx; k >= 0; k--) {
-                  if (html[k] === "}") braceDepth++;
-                  if (html[k] === "{") {
-                    braceDepth--;
-                    if (braceDepth < 0) {
-                      start = k;
-                      break;
-                    }
-                  }
-                }
-                braceDepth = 0;
-                let end = start;
-                for (let k = start; k < html.length; k++) {
-                  if (html[k] === "{") braceDepth++;
-                  if (html[k] === "}") {
-                    braceDepth--;
-                    if (braceDepth === 0) {
-                      end = k + 1;
-                      break;
-                    }
-                  }
-                }
-                try {
-                  rscData = JSON.parse(html.slice(start, end));
-                } catch {
-                  rscData = null;
-                }
-              }
-            }
-
-            const rawDesc = ldJson?.makesOffer?.itemOffered?.description || ldJson?.description || null;
-            const description = rawDesc
-              ? rawDesc
-                  .replace(/<br\s*\/?>/gi, "\n")
-                  .replace(/<[^>]+>/g, "")
-                  .trim() || null
-              : null;
-            const ldImages = ldJson?.makesOffer?.itemOffered?.image || ldJson?.image;
-            const images =
-              Array.isArray(ldImages) && ldImages.length > 0
-                ? ldImages
-                    .map((img) => ({
-                      url: img.contentUrl || img.url || (typeof img === "string" ? img : null),
-                      urlWebp: null,
-                    }))
-                    .filter((img) => img.url)
-                : null;
-            const properties = rscData?.adProperties?.filter((p) => p.name !== "category").map((p) => ({ name: p.label || p.name, value: p.value })) || null;
-            const sellerName = rscData?.adDetail?.sellerName || null;
-
-            log("DETAIL", `  -> ok (desc=${!!description}, images=${images?.length ?? 0}, props=${properties?.length ?? 0}, seller=${!!sellerName})`);
-            return {
-              description,
-              images: images && images.length > 0 ? images : null,
-              properties: properties && properties.length > 0 ? properties : null,
-              sellerName,
-            };
-          } catch (err) {
-            log("DETAIL", `  -> error: ${err.message}`);
-            if (onErrorResponse) {
-              try {
-                await onErrorResponse({ url: item.permalink, body: null, error: err.message, timestamp: new Date().toISOString() });
-              } catch {}
-            }
-            return null;
-          }
-        }),
-      );
-
-      for (let j = 0; j < batch.length; j++) {
-        const result = results[j];
-        if (result.status === "fulfilled" && result.value) Object.assign(batch[j], result.value);
-      }
-    }
+  if (items.length > 0 && !noDetails && !filterDuringCrawl) {
+    log("SEARCH", `enriching details for ${items.length} items (concurrency=${concurrency}, rateLimit=${!noRateLimit}, resumed=${alreadyEnriched.size})`);
+    await enrichItems(items);
   } else if (noDetails) {
     log("SEARCH", `skipping detail enrichment (--no-details)`);
   }
+  // Details usually bring more properties, so typed fields and derived sort keys are refreshed.
+  if (!noDetails) sortItems(applyCategorySchemas(items, category), sort);
 
-  log("SEARCH", `search() done: ${items.length} items returned, pages=${currentPage}, requests=${_requestCount}, capped=${capped}`);
+  complete &&= detailFailures === 0;
+  if (section) {
+    section.done = !meta.interrupted && detailFailures === 0;
+    progress.save();
+    if (ownsCheckpoint) finishCheckpoint(progress);
+  }
+
+  log("SEARCH", `search() done: ${items.length} items returned, pages=${currentPage} (fetched ${meta.requests}), requests=${meta.requests + details.requests}, cache=${cacheStats.hits}/${cacheStats.hits + cacheStats.misses}, capped=${capped}`);
   return {
     items,
     query: {
@@ -452,8 +273,17 @@ export async function search(query, options = {}) {
       sort: sort || null,
       state: singleState,
       states: stateList,
+      locations,
+      neighbourhood: neighbourhoods,
+      near: origin,
       category: firstState.selectedCategoryCode || category || null,
       strict,
+      exclude: excludeTerms.map((t) => t.term),
+      where: conditions.map((c) => c.expr),
+      seller: sellers.map((s) => s.term),
+      professional,
+      minPrice,
+      maxPrice,
       url: firstUrl,
     },
     pagination: {
@@ -464,12 +294,332 @@ export async function search(query, options = {}) {
       maxPages: MAX_PAGES,
       resultsLimit: MAX_PAGES * pageSize,
       capped,
+      complete,
+    },
+    stats: {
+      requests: meta.requests + details.requests,
+      pageRequests: meta.requests,
+      detailRequests: details.requests,
+      cacheHits: cacheStats.hits,
+      cacheMisses: cacheStats.misses,
     },
+  };
+}
+
+/**
+ * Streaming variant of {@link search}: yields each normalised item as soon as
+ * its listing page is parsed or, when details are enabled, as soon as its
+ * detail batch finishes. Breaking out of the loop stops all further requests.
+ *
+ * Items arrive in OLX order, so only a single `price_asc`, `price_desc` or
+ * `date` sort is streamed, in the order OLX returns for it. Any other sort
+ * (`discount`, `uf`, `price_per_m2`, `distance`, several keys) needs every
+ * item first, so it runs {@link search} and yields its sorted items at the
+ * end. With several locations, per-location streams are interleaved and
+ * de-duplicated by `id`; with a sort, they are merged through {@link search}
+ * the same way.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} [options={}] - Same options as {@link search}.
+ * @returns {AsyncGenerator<object>} Normalised items, at most `options.limit`.
+ * @throws {Error} If the page structure cannot be parsed.
+ */
+export async function* searchIter(query, options = {}) {
+  const { limit = DEFAULT_LIMIT, timeout = DEFAULT_TIMEOUT, sort, concurrency: rawConcurrency = DEFAULT_CONCURRENCY, state, region = null, city = null, neighbourhood = null, near = null, radius, category: categoryOption, strict = false, exclude = null, where = null, seller = null, professional = null, minPrice = null, maxPrice = null, noRateLimit = false, noDetails = false, fetcher = defaultFetcher, cache = null, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, maxRetryAfter = DEFAULT_MAX_RETRY_AFTER, onFirstResponse = null, onErrorResponse = null } = options;
+  const concurrency = noRateLimit ? rawConcurrency : Math.min(rawConcurrency, RATE_LIMIT_CONCURRENCY);
+  const http = { timeout, fetcher, cache, cacheStats: null, retries, retryDelay, maxRetryAfter };
+  log("SEARCH", `searchIter("${query}") called`, { limit, sort, state, region, city, neighbourhood, near, radius, category: categoryOption, strict, exclude, where, seller, professional, minPrice, maxPrice, noRateLimit, noDetails, concurrency, retries, retryDelay, maxRetryAfter });
+
+  const category = resolveCategoryOption(categoryOption);
+  validatePriceRange(minPrice, maxPrice);
+  validateRetryOptions(retries, retryDelay, maxRetryAfter);
+  validateCrawlOptions(limit, rawConcurrency, timeout);
+  parseSort(sort);
+  const origin = near ? parseNear(near, radius) : null;
+  const locations = resolveLocations({ state: state || (origin && !region && !city ? origin.ufs.join(",") : undefined), region, city });
+  const neighbourhoods = parseNeighbourhoods(neighbourhood);
+  const excludeTerms = parseExcludeTerms(exclude);
+  const conditions = parseWhere(where);
+  const sellers = parseSellers(seller, professional, noDetails);
+  const expression = strict ? parseQuery(query) : null;
+
+  const sortKeys = parseSort(sort).filter((key) => key !== "relevance");
+  if (sortKeys.length > 1 || (sortKeys.length === 1 && (locations.length > 1 || !REMOTE_SORTS.includes(sortKeys[0])))) {
+    log("SEARCH", `searchIter: sort "${sort}" over ${locations.length || 1} location(s) needs every item — buffering through search()`);
+    yield* (await search(query, options)).items;
+    return;
+  }
+
+  if (locations.length > 1) {
+    const streams = locations.map((loc) => searchIter(query, { ...options, ...locationOptions(loc) }));
+    const seenIds = new Set();
+    let yielded = 0;
+    try {
+      let active = streams;
+      while (active.length > 0 && yielded < limit) {
+        const stillActive = [];
+        for (const stream of active) {
+          let step;
+          try {
+            step = await stream.next();
+          } catch (err) {
+            log("SEARCH", `searchIter location stream failed: ${err.message}`);
+            continue;
+          }
+          if (step.done) continue;
+          stillActive.push(stream);
+          const item = step.value;
+          if (item.id && seenIds.has(item.id)) continue;
+          if (item.id) seenIds.add(item.id);
+          yield item;
+          if (++yielded >= limit) break;
+        }
+        active = stillActive;
+      }
+    } finally {
+      await Promise.allSettled(streams.map((stream) => stream.return()));
+    }
+    return;
+  }
+
+  const meta = { requests: 0 };
+  let yielded = 0;
+  let detailBatches = 0;
+  for await (const pageItems of crawlPages(strict ? querySearchText(expression) : query, { sort, state: locations[0]?.uf ?? null, region: locations[0]?.region, city: locations[0]?.city, category, minPrice, maxPrice, noRateLimit, http, onFirstResponse, onErrorResponse }, meta)) {
+    const pending = pageItems.filter((item) => matchesQuery(item, expression) && matchesProfessional(item, professional) && matchesNeighbourhood(item, neighbourhoods) && withinRadius(item, origin) && !isExcluded(item, excludeTerms) && matchesWhere(item, conditions, !noDetails)).slice(0, limit - yielded);
+    for (let i = 0; i < pending.length; i += noDetails ? pending.length : concurrency) {
+      const batch = noDetails ? pending : pending.slice(i, i + concurrency);
+      if (!noDetails) await enrichBatch(batch, { ...http, delay: detailBatches++ > 0 && !noRateLimit ? RATE_LIMIT_DETAIL_DELAY : 0 }, onErrorResponse);
+      applyCategorySchemas(batch, category);
+      for (const item of batch) {
+        if (!noDetails && !(matchesWhere(item, conditions) && matchesSeller(item, sellers))) continue;
+        yield item;
+        if (++yielded >= limit) return;
+      }
+    }
+    if (yielded >= limit) return;
+  }
+}
+
+/**
+ * Exhaustive search: when a query has more ads than the platform lets us page
+ * through, splits it into narrower sub-queries (per state, then per direct
+ * subcategory, then by price band) until each fits under the page cap. Results
+ * are merged and de-duplicated by `id`, and `coverage` compares the items
+ * collected with the `totalOfAds` OLX reported. A sub-query that fails is
+ * recorded in `coverage.failures` and the others go on; the search only
+ * throws when every sub-query failed.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} params - Resolved options from {@link search}.
+ * @param {import("./locations.js").Location[]} locations - Resolved locations (empty for the whole country).
+ * @returns {Promise<{items: object[], query: object, pagination: object, stats: object, coverage: object}>} Search result.
+ */
+async function searchExhaustive(query, params, locations) {
+  const { searchText, expression, limit, sort, category, strict, excludeTerms, conditions, sellers, professional, neighbourhoods, origin, minPrice, maxPrice, noRateLimit, noDetails, concurrency, http, onFirstResponse, onErrorResponse } = params;
+  const ctx = { items: [], seenIds: new Set(), subQueries: 0, cappedSubQueries: 0, failures: [], firstError: null, pageRequests: 0, total: 0, pageSize: 50, firstUrl: null, truncated: false };
+
+  const collect = async (scope, depth) => {
+    if (ctx.items.length >= limit) return;
+    if (ctx.subQueries >= MAX_EXHAUSTIVE_QUERIES) {
+      ctx.truncated = true;
+      return;
+    }
+    const firstPageDelay = ctx.subQueries > 0 && !noRateLimit ? RATE_LIMIT_PAGE_DELAY : 0;
+    ctx.subQueries++;
+
+    const meta = { requests: 0 };
+    const crawl = crawlPages(searchText, { sort, ...scope, noRateLimit, firstPageDelay, http, onFirstResponse: ctx.subQueries === 1 ? onFirstResponse : null, onErrorResponse }, meta);
+    try {
+      const first = await crawl.next();
+      if (depth === 0) ctx.total += meta.firstState.totalOfAds || 0;
+      ctx.pageSize = meta.pageSize;
+      ctx.firstUrl ??= meta.firstUrl;
+
+      const resultsLimit = MAX_PAGES * meta.pageSize;
+      if (meta.totalAvailable > resultsLimit) {
+        const parts = scope.unpriced ? null : splitScope(scope);
+        log("SEARCH", `exhaustive: ${meta.firstUrl} has ${meta.totalAvailable} ads (> ${resultsLimit}), ${parts ? `splitting into ${parts.length}` : "cannot split further"}`);
+        if (parts) {
+          await crawl.return();
+          for (const part of parts) await collect(part, depth + 1);
+          return;
+        }
+        ctx.cappedSubQueries++;
+      }
+
+      const add = (pageItems) => {
+        for (const item of pageItems) {
+          if (scope.unpriced && item.price != null) continue;
+          if (item.id && ctx.seenIds.has(item.id)) continue;
+          if (item.id) ctx.seenIds.add(item.id);
+          ctx.items.push(item);
+        }
+      };
+      add(first.value);
+      for await (const pageItems of crawl) {
+        if (ctx.items.length >= limit) break;
+        add(pageItems);
+      }
+    } catch (err) {
+      const url = buildUrl(searchText, { sort, domain: MARKETPLACE_DOMAIN, ...scope });
+      log("SEARCH", `exhaustive: sub-query ${url} failed: ${err.message} — continuing`);
+      ctx.failures.push({ url, error: err.message });
+      ctx.firstError ??= err;
+    } finally {
+      ctx.pageRequests += meta.requests;
+    }
+  };
+
+  const roots = locations.length > 0 ? locations.map((loc) => ({ state: loc.uf, region: loc.region, city: loc.city, category, minPrice, maxPrice })) : [{ state: null, region: null, city: null, category, minPrice, maxPrice }];
+  for (const root of roots) await collect(root, 0);
+  if (ctx.failures.length === ctx.subQueries) throw ctx.firstError;
+
+  const stateList = [...new Set(locations.map((loc) => loc.uf))];
+  const collected = ctx.items.length;
+  let items = applyCategorySchemas(ctx.items, category);
+  if (strict) items = items.filter((item) => matchesQuery(item, expression));
+  items = items.filter((item) => matchesProfessional(item, professional) && matchesNeighbourhood(item, neighbourhoods) && withinRadius(item, origin) && !isExcluded(item, excludeTerms) && matchesWhere(item, conditions, !noDetails));
+  items = sortItems(items, sort);
+
+  const details = { requests: 0 };
+  if (items.length > 0 && !noDetails && (conditions.length > 0 || sellers.length > 0)) {
+    // Enrich candidates in order until `limit` of them pass the conditions and seller filter.
+    const candidates = items;
+    items = [];
+    for (let i = 0; i < candidates.length && items.length < limit; i += concurrency) {
+      const batch = candidates.slice(i, i + concurrency);
+      await enrichBatch(
+        batch.filter((item) => item.permalink),
+        { ...http, delay: i > 0 && !noRateLimit ? RATE_LIMIT_DETAIL_DELAY : 0, counter: details },
+        onErrorResponse,
+      );
+      items.push(...filterDetails(applyCategorySchemas(batch, category), conditions, sellers));
+    }
+    items = sortItems(items, sort).slice(0, limit);
+  } else {
+    items = items.slice(0, limit);
+    if (items.length > 0 && !noDetails) {
+      const queue = items.filter((item) => item.permalink);
+      for (let i = 0; i < queue.length; i += concurrency) {
+        await enrichBatch(queue.slice(i, i + concurrency), { ...http, delay: i > 0 && !noRateLimit ? RATE_LIMIT_DETAIL_DELAY : 0, counter: details }, onErrorResponse);
+      }
+      sortItems(applyCategorySchemas(items, category), sort);
+    }
+  }
+
+  const coverage = {
+    collected,
+    total: ctx.total,
+    ratio: ctx.total > 0 ? Math.min(1, collected / ctx.total) : 1,
+    subQueries: ctx.subQueries,
+    cappedSubQueries: ctx.cappedSubQueries,
+    failedSubQueries: ctx.failures.length,
+    failures: ctx.failures,
+    truncated: ctx.truncated,
+  };
+  log("SEARCH", `exhaustive search done: ${collected}/${ctx.total} ads collected over ${ctx.subQueries} sub-queries`, coverage);
+
+  return {
+    items,
+    query: { text: query, sort: sort || null, state: stateList.join(",") || null, states: stateList, locations, neighbourhood: neighbourhoods, near: origin, category: category || null, strict, exclude: excludeTerms.map((t) => t.term), where: conditions.map((c) => c.expr), seller: sellers.map((s) => s.term), professional, minPrice, maxPrice, exhaustive: true, url: ctx.firstUrl },
+    pagination: { total: ctx.total, page: 1, pageSize: ctx.pageSize, limit: Number.isFinite(limit) ? limit : null, maxPages: MAX_PAGES, resultsLimit: MAX_PAGES * ctx.pageSize, capped: collected >= limit || ctx.cappedSubQueries > 0 || ctx.failures.length > 0 || ctx.truncated, complete: collected < limit && ctx.cappedSubQueries === 0 && ctx.failures.length === 0 && !ctx.truncated },
     stats: {
-      requests: _requestCount,
-      pageRequests: currentPage,
-      detailRequests: _requestCount - currentPage,
+      requests: ctx.pageRequests + details.requests,
+      pageRequests: ctx.pageRequests,
+      detailRequests: details.requests,
+      cacheHits: http.cacheStats.hits,
+      cacheMisses: http.cacheStats.misses,
     },
+    coverage,
+  };
+}
+
+/**
+ * Splits an exhaustive-search scope into narrower scopes: every state when no
+ * state is set, otherwise the direct subcategories of the category, otherwise
+ * two halves of the price band. OLX's price filter drops ads without a price,
+ * so the first price split also adds an `unpriced` scope: the unfiltered
+ * query, crawled as far as the cap allows, keeping only those ads.
+ *
+ * @param {{state: string|null, region: string|null, city: string|null, category: string|undefined, minPrice: number|null, maxPrice: number|null}} scope - Scope to split.
+ * @returns {object[]|null} Narrower scopes, or `null` if the scope cannot be split.
+ */
+function splitScope(scope) {
+  if (!scope.state) return [...VALID_STATES].map((uf) => ({ ...scope, state: uf }));
+
+  if (scope.category) {
+    const children = getCategory(scope.category)?.children.map((child) => child.slug) ?? [];
+    if (children.length > 0) return children.map((slug) => ({ ...scope, category: slug }));
+  }
+
+  const lo = Math.floor(scope.minPrice ?? 0);
+  const hi = scope.maxPrice == null ? null : Math.floor(scope.maxPrice);
+  if (hi != null && hi <= lo) return null;
+  const pivot = hi == null ? Math.max(lo * 4, 1000) : Math.floor((lo + hi) / 2);
+  const bands = [
+    { ...scope, minPrice: lo, maxPrice: pivot },
+    { ...scope, minPrice: pivot + 1, maxPrice: hi },
+  ];
+  return scope.minPrice == null && scope.maxPrice == null ? [...bands, { ...scope, unpriced: true }] : bands;
+}
+
+/**
+ * Sorts items in place by a sort spec: one key or several comma-separated keys
+ * (e.g. `"uf,price_asc"`), each breaking ties of the previous one. The sort is
+ * stable, so `relevance` and ties keep the order OLX returned. Items without a
+ * key's value go last for that key.
+ *
+ * @param {object[]} items - Items to sort.
+ * @param {string|undefined} sort - Sort spec (validated by {@link parseSort}).
+ * @returns {object[]} The same array.
+ */
+function sortItems(items, sort) {
+  const comparators = parseSort(sort)
+    .filter((key) => key !== "relevance")
+    .map((key) => SORTERS[key]);
+  if (comparators.length === 0) return items;
+  return items.sort((a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Splits and validates a sort spec.
+ *
+ * @param {string|undefined|null} sort - Sort spec, e.g. `"date"` or `"uf,price_asc"`.
+ * @returns {string[]} Sort keys, in priority order.
+ * @throws {Error} If a key is unknown.
+ */
+function parseSort(sort) {
+  if (sort == null || sort === "") return [];
+  const keys = String(sort)
+    .split(",")
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  for (const key of keys) {
+    if (!Object.hasOwn(SORTERS, key)) throw new Error(`Unknown sort "${key}". Supported: ${Object.keys(SORTERS).join(", ")}.`);
+  }
+  return keys;
+}
+
+/**
+ * Builds a comparator on a numeric item value; missing values sort last.
+ *
+ * @param {(item: object) => number|null|undefined} get - Value accessor.
+ * @param {1|-1} direction - `1` for ascending, `-1` for descending.
+ * @returns {(a: object, b: object) => number} Comparator.
+ */
+function byNumber(get, direction) {
+  return (a, b) => {
+    const va = get(a);
+    const vb = get(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return direction * (va - vb);
   };
 }
 
@@ -480,23 +630,33 @@ export async function search(query, options = {}) {
  * @param {string} query - The search query string.
  * @param {object} [options={}] - Request options.
  * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
- * @param {'price_asc'|'price_desc'|'date'|'relevance'} [options.sort] - Sort order.
+ * @param {string} [options.sort] - Sort spec; only its first `price_asc`, `price_desc` or `date` key affects the request.
  * @param {string} [options.state] - Brazilian state filter (UF).
- * @param {string} [options.category] - Category slug filter.
+ * @param {string} [options.region] - OLX region by slug, name or DDD.
+ * @param {string} [options.city] - City by slug or name.
+ * @param {string} [options.category] - Category slug or name filter.
+ * @param {number} [options.minPrice] - Minimum price in BRL (inclusive).
+ * @param {number} [options.maxPrice] - Maximum price in BRL (inclusive).
+ * @param {Fetcher} [options.fetcher=defaultFetcher] - Transport used for the request.
+ * @param {import("./cache.js").ResponseCache|null} [options.cache=null] - Response cache consulted before the request.
+ * @param {number} [options.retries=2] - Extra attempts for requests that time out or return 429/5xx.
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in milliseconds.
+ * @param {number} [options.maxRetryAfter=120000] - Longest `Retry-After` wait in milliseconds.
  * @returns {Promise<object>} The raw pageProps object extracted from the page.
  * @throws {Error} If data cannot be extracted.
  */
 export async function searchRaw(query, options = {}) {
-  const { timeout = DEFAULT_TIMEOUT, sort, state, category } = options;
-  log("SEARCH", `searchRaw("${query}") called`, { timeout, sort, state, category });
+  const { timeout = DEFAULT_TIMEOUT, sort, state, region = null, city = null, category: categoryOption, minPrice = null, maxPrice = null, fetcher = defaultFetcher, cache = null, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, maxRetryAfter = DEFAULT_MAX_RETRY_AFTER } = options;
+  log("SEARCH", `searchRaw("${query}") called`, { timeout, sort, state, region, city, category: categoryOption, minPrice, maxPrice, retries, retryDelay, maxRetryAfter });
 
-  if (category && !CATEGORIES.has(category)) {
-    const list = [...CATEGORIES.entries()].map(([slug, name]) => `  ${slug.padEnd(55)} ${name}`).join("\n");
-    throw new Error(`Unknown category "${category}".\n\nValid categories:\n${list}\n\nUse --list-categories to see all options.`);
-  }
+  const category = resolveCategoryOption(categoryOption);
+  validatePriceRange(minPrice, maxPrice);
+  validateRetryOptions(retries, retryDelay, maxRetryAfter);
+  const locations = resolveLocations({ state, region, city });
+  if (locations.length > 1) throw new Error("searchRaw() fetches a single page: pass at most one state, region or city.");
 
-  const url = buildUrl(query, { sort, domain: MARKETPLACE_DOMAIN, page: 1, state, category });
-  const html = await fetchPage(url, timeout);
+  const url = buildUrl(query, { sort, domain: MARKETPLACE_DOMAIN, page: 1, state: locations[0]?.uf, region: locations[0]?.region, city: locations[0]?.city, category, minPrice, maxPrice });
+  const html = await fetchPage(url, { timeout, fetcher, cache, retries, retryDelay, maxRetryAfter, kind: "page" });
   const state_ = extractNextData(html);
 
   if (!state_) {
@@ -507,12 +667,56 @@ export async function searchRaw(query, options = {}) {
 }
 
 /**
- * Returns the known OLX categories as an array of `{slug, name}` objects.
+ * Returns the known OLX categories as an array of `{slug, name, parent}`
+ * objects, parents before their children. See {@link getCategoryTree} for the
+ * nested form.
  *
- * @returns {{slug: string, name: string}[]} Array of category entries.
+ * @returns {{slug: string, name: string, parent: string|null}[]} Array of category entries.
  */
 export function getCategories() {
-  return [...CATEGORIES.entries()].map(([slug, name]) => ({ slug, name }));
+  return listCategories().map(({ slug, name, parent }) => ({ slug, name, parent }));
+}
+
+/**
+ * Rebuilds the category list from the category facets of an OLX listing page.
+ * Uses the given page (HTML, or `pageProps` / `__NEXT_DATA__` JSON, e.g. a
+ * page saved with `--save-on-first` or the output of `--raw`) or fetches the
+ * nationwide listing page. A page only lists some categories, so merge the
+ * result into the current list with `mergeCategories()` before saving it with
+ * {@link saveCategories} and activating it with {@link setCategories}.
+ *
+ * @param {object} [options={}] - Refresh options.
+ * @param {string} [options.page] - Saved page contents; fetched when omitted.
+ * @param {number} [options.timeout=15000] - HTTP request timeout in milliseconds.
+ * @param {Fetcher} [options.fetcher=defaultFetcher] - Transport used for the request.
+ * @param {number} [options.retries=2] - Extra attempts for requests that time out or return 429/5xx.
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in milliseconds.
+ * @param {number} [options.maxRetryAfter=120000] - Longest `Retry-After` wait in milliseconds.
+ * @returns {Promise<{slug: string, name: string, parent: string|null}[]>} Categories, parents first.
+ * @throws {Error} If the page has no page data or no category facets.
+ */
+export async function refreshCategories(options = {}) {
+  const { page = null, timeout = DEFAULT_TIMEOUT, fetcher = defaultFetcher, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, maxRetryAfter = DEFAULT_MAX_RETRY_AFTER } = options;
+  validateRetryOptions(retries, retryDelay, maxRetryAfter);
+  const text = page ?? (await fetchPage(`https://${MARKETPLACE_DOMAIN}/brasil`, { timeout, fetcher, cache: null, retries, retryDelay, maxRetryAfter, kind: "page" }));
+
+  let pageProps;
+  if (/^\s*\{/.test(text)) {
+    try {
+      const data = JSON.parse(text);
+      pageProps = data?.props?.pageProps ?? data;
+    } catch (err) {
+      throw new Error(`Could not parse page data: ${err.message}`);
+    }
+  } else {
+    pageProps = extractNextData(text);
+  }
+  if (!pageProps) throw new Error("Could not extract page data from OLX.");
+
+  const entries = extractCategoryFacets(pageProps);
+  if (entries.length === 0) throw new Error("No category facets found in the page data.");
+  log("CATEGORIES", `refreshed ${entries.length} categories from ${page ? "saved page" : "OLX"}`);
+  return entries;
 }
 
 /**
@@ -520,38 +724,386 @@ export function getCategories() {
  *
  * @param {string} query - The search query.
  * @param {object} params - URL parameters.
- * @param {'price_asc'|'price_desc'|'date'|undefined} params.sort - Sort order.
+ * @param {string|undefined} params.sort - Sort spec; the first `price_asc`, `price_desc` or `date` key is sent to OLX.
  * @param {string} params.domain - The OLX domain.
  * @param {number} [params.page=1] - Page number (1-based).
  * @param {string} [params.state] - Brazilian state (UF) for regional filter.
+ * @param {string|null} [params.region] - Region slug within the state.
+ * @param {string|null} [params.city] - City slug within the region.
  * @param {string} [params.category] - Category slug.
+ * @param {number|null} [params.minPrice] - Minimum price (`ps` parameter).
+ * @param {number|null} [params.maxPrice] - Maximum price (`pe` parameter).
  * @returns {string} The fully qualified search URL.
  */
-function buildUrl(query, { sort, domain, page = 1, state, category }) {
-  let path = "";
-
-  if (category && state) {
-    path = `/${category}/estado-${state.toLowerCase()}`;
-  } else if (category) {
-    path = `/${category}`;
-  } else if (state) {
-    path = `/estado-${state.toLowerCase()}`;
-  } else {
-    path = "/brasil";
-  }
+function buildUrl(query, { sort, domain, page = 1, state, region = null, city = null, category, minPrice = null, maxPrice = null }) {
+  const path = (category ? `/${category}` : "") + locationPath({ state, region, city }) || "/brasil";
 
   const params = new URLSearchParams();
   params.set("q", query);
 
   if (page > 1) params.set("o", String(page));
 
-  if (sort === "price_asc") params.set("sp", "1");
-  else if (sort === "price_desc") params.set("sp", "2");
-  else if (sort === "date") params.set("sf", "1");
+  const remoteSort = parseSort(sort).find((key) => REMOTE_SORTS.includes(key));
+  if (remoteSort === "price_asc") params.set("sp", "1");
+  else if (remoteSort === "price_desc") params.set("sp", "2");
+  else if (remoteSort === "date") params.set("sf", "1");
+
+  if (minPrice != null) params.set("ps", String(Math.floor(minPrice)));
+  if (maxPrice != null) params.set("pe", String(Math.ceil(maxPrice)));
 
   return `https://${domain}${path}?${params.toString()}`;
 }
 
+/**
+ * Removes a checkpoint once every section is complete, and keeps it (with a
+ * log line) otherwise so the next run can resume.
+ *
+ * @param {import("./checkpoint.js").Checkpoint} progress - The checkpoint.
+ */
+function finishCheckpoint(progress) {
+  if (progress.isComplete()) progress.remove();
+  else log("CHECKPOINT", `kept ${progress.file}: crawl incomplete, re-run to resume`);
+}
+
+/**
+ * Resolves the `category` option (slug, display name or accent-free name) to
+ * a slug.
+ *
+ * @param {string|undefined} category - Category option.
+ * @returns {string|null} Category slug, or `null` if none is set.
+ * @throws {Error} If the category is unknown or ambiguous (see {@link resolveCategory}).
+ */
+function resolveCategoryOption(category) {
+  return category ? resolveCategory(category) : null;
+}
+
+/**
+ * Validates the `minPrice` / `maxPrice` options.
+ *
+ * @param {number|null} minPrice - Minimum price, or `null` when unset.
+ * @param {number|null} maxPrice - Maximum price, or `null` when unset.
+ * @throws {Error} If a bound is not a non-negative number or the range is inverted.
+ */
+function validatePriceRange(minPrice, maxPrice) {
+  for (const [name, value] of [
+    ["minPrice", minPrice],
+    ["maxPrice", maxPrice],
+  ]) {
+    if (value != null && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+      throw new Error(`Invalid ${name} "${value}". It must be a non-negative number.`);
+    }
+  }
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    throw new Error(`Invalid price range: minPrice (${minPrice}) is greater than maxPrice (${maxPrice}).`);
+  }
+}
+
+/**
+ * Validates the `retries` / `retryDelay` / `maxRetryAfter` options.
+ *
+ * @param {number} retries - Extra attempts per request.
+ * @param {number} retryDelay - Base backoff delay in milliseconds.
+ * @param {number} maxRetryAfter - Longest `Retry-After` wait in milliseconds.
+ * @throws {Error} If a value is not a non-negative integer.
+ */
+function validateRetryOptions(retries, retryDelay, maxRetryAfter) {
+  if (!Number.isInteger(retries) || retries < 0) throw new Error(`Invalid retries "${retries}". It must be a non-negative integer.`);
+  if (!Number.isInteger(retryDelay) || retryDelay < 0) throw new Error(`Invalid retryDelay "${retryDelay}". It must be a non-negative integer.`);
+  if (!Number.isInteger(maxRetryAfter) || maxRetryAfter < 0) throw new Error(`Invalid maxRetryAfter "${maxRetryAfter}". It must be a non-negative integer.`);
+}
+
+/**
+ * Validates the `limit` / `concurrency` / `timeout` options. A zero or
+ * negative `concurrency` would make the detail batches loop forever.
+ *
+ * @param {number} limit - Maximum results, or `Infinity`.
+ * @param {number} concurrency - Detail pages fetched at once.
+ * @param {number} timeout - Request timeout in milliseconds.
+ * @throws {Error} If a value is not a positive integer (`limit` may also be `Infinity`).
+ */
+function validateCrawlOptions(limit, concurrency, timeout) {
+  if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) throw new Error(`Invalid limit "${limit}". It must be a positive integer.`);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`Invalid concurrency "${concurrency}". It must be a positive integer.`);
+  if (!Number.isInteger(timeout) || timeout < 1) throw new Error(`Invalid timeout "${timeout}". It must be a positive integer.`);
+}
+
+/**
+ * Client-side backstop for the price range sent to OLX. When either bound is
+ * set, items without a parsed price are rejected since they cannot be placed
+ * inside the range.
+ *
+ * @param {object} item - Normalised item object.
+ * @param {number|null} minPrice - Minimum price, or `null` when unset.
+ * @param {number|null} maxPrice - Maximum price, or `null` when unset.
+ * @returns {boolean} `true` if the item is within the range.
+ */
+function matchesPriceRange(item, minPrice, maxPrice) {
+  if (minPrice == null && maxPrice == null) return true;
+  if (item.price == null) return false;
+  if (minPrice != null && item.price < minPrice) return false;
+  if (maxPrice != null && item.price > maxPrice) return false;
+  return true;
+}
+
+/**
+ * Fetches listing pages one at a time and yields the new, de-duplicated items
+ * of each page. Pages are fetched lazily: the next page is only requested when
+ * the consumer asks for more, so breaking out of the loop stops crawling.
+ * Progress is recorded on `meta` (`firstUrl`, `firstState`, `totalAvailable`,
+ * `pageSize`, `currentPage`, `requests` made to OLX (cache hits excluded), and
+ * `interrupted` when a later page could not be parsed).
+ *
+ * @param {string} query - The search query string.
+ * @param {object} params - Crawl parameters.
+ * @param {string} [params.sort] - Sort spec, passed to {@link buildUrl}.
+ * @param {string|null} params.state - Single Brazilian UF, or `null`.
+ * @param {string|null} [params.region] - Region slug within the state.
+ * @param {string|null} [params.city] - City slug within the region.
+ * @param {string} [params.category] - Category slug.
+ * @param {number|null} params.minPrice - Minimum price, or `null`.
+ * @param {number|null} params.maxPrice - Maximum price, or `null`.
+ * @param {boolean} params.noRateLimit - Skip the delay between pages.
+ * @param {number} [params.firstPageDelay=0] - Delay before fetching the first page in milliseconds (skipped when it is cached).
+ * @param {object} params.http - Options passed to {@link fetchPage}.
+ * @param {import("./checkpoint.js").Checkpoint|null} [params.progress] - Checkpoint saved after every fetched page.
+ * @param {import("./checkpoint.js").CheckpointSection|null} [params.section] - Checkpoint section of this crawl; its recorded pages are replayed instead of fetched.
+ * @param {Function|null} params.onFirstResponse - Called with the first response.
+ * @param {Function|null} params.onErrorResponse - Called when the first page cannot be parsed.
+ * @param {object} meta - Object that receives crawl progress.
+ * @returns {AsyncGenerator<object[]>} Items of each page.
+ * @throws {Error} If the first page is a block page or cannot be parsed.
+ */
+async function* crawlPages(query, { sort, state, region = null, city = null, category, minPrice, maxPrice, noRateLimit, firstPageDelay = 0, http, progress = null, section = null, onFirstResponse, onErrorResponse }, meta) {
+  const urlFor = (page) => buildUrl(query, { sort, domain: MARKETPLACE_DOMAIN, page, state, region, city, category, minPrice, maxPrice });
+  const inPriceRange = (item) => matchesPriceRange(item, minPrice, maxPrice);
+  const recorded = (page) => section?.pages[String(page)] ?? null;
+  const record = (page, items) => {
+    if (!section) return;
+    section.pages[String(page)] = items;
+    progress.save();
+  };
+
+  const seenIds = new Set();
+  const dedupe = (items) => {
+    const fresh = [];
+    for (const item of items) {
+      if (item.id && seenIds.has(item.id)) continue;
+      if (item.id) seenIds.add(item.id);
+      fresh.push(item);
+    }
+    return fresh;
+  };
+
+  let firstItems;
+  if (section?.meta && recorded(1)) {
+    const { firstUrl, totalOfAds, selectedCategoryCode, pageSize } = section.meta;
+    Object.assign(meta, { firstUrl, firstState: { totalOfAds, selectedCategoryCode }, totalAvailable: totalOfAds ?? Infinity, pageSize, currentPage: 1 });
+    firstItems = dedupe(recorded(1));
+    log("SEARCH", `page 1 restored from checkpoint: ${firstItems.length} items`);
+  } else {
+    const firstUrl = urlFor(1);
+    log("SEARCH", `first URL: ${firstUrl}`);
+    const firstHtml = await fetchPage(firstUrl, { ...http, kind: "page", delay: firstPageDelay, counter: meta });
+    if (onFirstResponse) {
+      try {
+        await onFirstResponse({ url: firstUrl, body: firstHtml, timestamp: new Date().toISOString() });
+      } catch {}
+    }
+    const firstState = extractNextData(firstHtml);
+
+    if (!firstState || !Array.isArray(firstState.ads)) {
+      if (looksLikeBlockPage(firstHtml)) {
+        if (onErrorResponse) {
+          try {
+            await onErrorResponse({ url: firstUrl, body: firstHtml, error: "Access blocked (rate limited)", timestamp: new Date().toISOString() });
+          } catch {}
+        }
+        throw new Error("Access blocked by OLX — your IP is rate limited. Try again later, or avoid using --no-rate-limit.");
+      }
+      if (onErrorResponse) {
+        try {
+          await onErrorResponse({ url: firstUrl, body: firstHtml, error: "Could not extract search results", timestamp: new Date().toISOString() });
+        } catch {}
+      }
+      throw new Error("Could not extract search results. The page structure may have changed.");
+    }
+
+    const totalAvailable = firstState.totalOfAds ?? Infinity;
+    const pageSize = firstState.pageSize || 50;
+    Object.assign(meta, { firstUrl, firstState, totalAvailable, pageSize, currentPage: 1 });
+
+    firstItems = dedupe(
+      firstState.ads
+        .map((ad) => parseAd(ad))
+        .filter(Boolean)
+        .filter(inPriceRange),
+    );
+    log("SEARCH", `page 1 parsed: ${firstState.ads.length} ads -> ${firstItems.length} valid items, total available=${totalAvailable}`);
+    if (section) section.meta = { firstUrl, totalOfAds: firstState.totalOfAds ?? null, selectedCategoryCode: firstState.selectedCategoryCode ?? null, pageSize };
+    record(1, firstItems);
+  }
+  yield firstItems;
+
+  while (meta.currentPage * meta.pageSize < meta.totalAvailable && meta.currentPage < MAX_PAGES) {
+    meta.currentPage++;
+    const stored = recorded(meta.currentPage);
+    if (stored) {
+      const restored = dedupe(stored);
+      log("SEARCH", `page ${meta.currentPage} restored from checkpoint: ${restored.length} items`);
+      yield restored;
+      continue;
+    }
+    const pageHtml = await fetchPage(urlFor(meta.currentPage), { ...http, kind: "page", delay: noRateLimit ? 0 : RATE_LIMIT_PAGE_DELAY, counter: meta });
+    const pageState = extractNextData(pageHtml);
+    if (!pageState || !Array.isArray(pageState.ads) || pageState.ads.length === 0) {
+      if (!pageState && looksLikeBlockPage(pageHtml)) {
+        meta.interrupted = true;
+        log("SEARCH", `page ${meta.currentPage} looks like a block page — stopping`);
+      }
+      break;
+    }
+    const newItems = dedupe(
+      pageState.ads
+        .map((ad) => parseAd(ad))
+        .filter(Boolean)
+        .filter(inPriceRange),
+    );
+    log("SEARCH", `page ${meta.currentPage} fetched: ${newItems.length} new items`);
+    record(meta.currentPage, newItems);
+    yield newItems;
+  }
+}
+
+/**
+ * Fetches the detail pages of a batch of items in parallel and merges the
+ * extracted fields into each item in place. Failures are logged, reported to
+ * `onErrorResponse`, and leave the item unchanged.
+ *
+ * @param {object[]} batch - Items to enrich.
+ * @param {object} http - Options passed to {@link fetchPage}, e.g. a `delay` and a request `counter`.
+ * @param {Function|null} onErrorResponse - Called when a detail request fails.
+ * @returns {Promise<object[]>} Items whose detail page was fetched successfully.
+ */
+async function enrichBatch(batch, http, onErrorResponse) {
+  const enriched = [];
+  await Promise.all(
+    batch.map(async (item) => {
+      if (!item.permalink) return;
+      try {
+        log("DETAIL", `${item.permalink}`);
+        const html = await fetchPage(item.permalink, { ...http, kind: "detail" });
+        const details = parseDetailPage(html);
+        log("DETAIL", `  -> ok (desc=${!!details.description}, images=${details.images?.length ?? 0}, props=${details.properties?.length ?? 0}, seller=${!!details.sellerName})`);
+        // Keep the listing-page properties when the detail page has none.
+        Object.assign(item, details, { properties: details.properties ?? item.properties });
+        enriched.push(item);
+      } catch (err) {
+        log("DETAIL", `  -> error: ${err.message}`);
+        if (onErrorResponse) {
+          try {
+            await onErrorResponse({ url: item.permalink, body: null, error: err.message, timestamp: new Date().toISOString() });
+          } catch {}
+        }
+      }
+    }),
+  );
+  return enriched;
+}
+
+/**
+ * Extracts description, images, properties and seller from an ad detail
+ * page, using its JSON-LD block and the `adProperties` / `adDetail` objects
+ * embedded in the RSC payload (see `test/fixtures/detail.html`). `sellerId` is
+ * `adDetail.accountId`, which stays stable when a seller renames the account.
+ *
+ * @param {string} html - Raw HTML of the detail page.
+ * @returns {{description: string|null, images: object[]|null, properties: object[]|null, sellerName: string|null, sellerId: string|null}} Detail fields.
+ */
+function parseDetailPage(html) {
+  let ldJson = null;
+  {
+    const marker = 'application/ld+json">';
+    const idx = html.indexOf(marker);
+    if (idx >= 0) {
+      const jsonStart = idx + marker.length;
+      const jsonEnd = html.indexOf("</script>", jsonStart);
+      if (jsonEnd >= 0) {
+        try {
+          ldJson = JSON.parse(html.slice(jsonStart, jsonEnd));
+        } catch {
+          ldJson = null;
+        }
+      }
+    }
+  }
+
+  let rscData = null;
+  {
+    const apIdx = html.indexOf('"adProperties"');
+    if (apIdx >= 0) {
+      let braceDepth = 0;
+      let start = apIdx;
+      for (let k = apIdx; k >= 0; k--) {
+        if (html[k] === "}") braceDepth++;
+        if (html[k] === "{") {
+          braceDepth--;
+          if (braceDepth < 0) {
+            start = k;
+            break;
+          }
+        }
+      }
+      braceDepth = 0;
+      let end = start;
+      for (let k = start; k < html.length; k++) {
+        if (html[k] === "{") braceDepth++;
+        if (html[k] === "}") {
+          braceDepth--;
+          if (braceDepth === 0) {
+            end = k + 1;
+            break;
+          }
+        }
+      }
+      try {
+        rscData = JSON.parse(html.slice(start, end));
+      } catch {
+        rscData = null;
+      }
+    }
+  }
+
+  const rawDesc = ldJson?.makesOffer?.itemOffered?.description || ldJson?.description || null;
+  const description = rawDesc
+    ? rawDesc
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .trim() || null
+    : null;
+  const ldImages = ldJson?.makesOffer?.itemOffered?.image || ldJson?.image;
+  const images =
+    Array.isArray(ldImages) && ldImages.length > 0
+      ? ldImages
+          .map((img) => ({
+            url: img.contentUrl || img.url || (typeof img === "string" ? img : null),
+            urlWebp: null,
+          }))
+          .filter((img) => img.url)
+      : null;
+  const properties = rscData?.adProperties?.filter((p) => p.name !== "category").map((p) => ({ name: p.label || p.name, value: p.value })) || null;
+  const adDetail = rscData?.adDetail;
+  const sellerName = adDetail?.sellerName || null;
+  const accountId = adDetail?.accountId;
+
+  return {
+    description,
+    images: images && images.length > 0 ? images : null,
+    properties: properties && properties.length > 0 ? properties : null,
+    sellerName,
+    sellerId: accountId != null && accountId !== "" ? String(accountId) : null,
+  };
+}
+
 /**
  * Returns true if the HTML response looks like a bot-challenge or block page
  * rather than a normal search results page.
@@ -564,27 +1116,166 @@ function looksLikeBlockPage(html) {
 }
 
 /**
- * Fetches a page body using NLcURL with Chrome TLS fingerprint impersonation.
- *
+ * @typedef {object} FetcherResponse
+ * @property {number} status - HTTP status code.
+ * @property {string} [statusText] - HTTP status text.
+ * @property {Object<string, string>} headers - Response headers with lowercase names.
+ * @property {string} body - Response body as text.
+ */
+
+/**
+ * @callback Fetcher
  * @param {string} url - Target URL.
- * @param {number} timeout - Request timeout in milliseconds.
- * @returns {Promise<string>} Response body.
+ * @param {{timeout: number}} options - Request options.
+ * @returns {Promise<FetcherResponse>}
+ */
+
+/**
+ * Default transport: NLcURL with Chrome TLS fingerprint impersonation.
+ * Exported so custom fetchers (proxies, recorders) can wrap it. NLcURL is
+ * loaded on first use, so code that always passes its own fetcher (such as
+ * the tests) runs without it.
+ *
+ * @type {Fetcher}
  */
-async function fetchPage(url, timeout) {
-  log("HTTP", `nlcurl -> ${url} (timeout: ${timeout}ms)`);
+export async function defaultFetcher(url, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const { get } = await import("nlcurl");
   const res = await get(url, {
     impersonate: "chrome136",
     stealth: true,
     timeout: { connect: 5000, response: timeout },
     followRedirects: true,
   });
-  log("HTTP", `nlcurl <- ${res.status} ${res.statusText} (${res.rawBody.length} bytes)`);
-  if (!res.ok) {
-    const retryAfter = res.headers["retry-after"];
-    const retryMsg = retryAfter ? ` — retry after ${retryAfter}s` : "";
-    throw new Error(`HTTP ${res.status} ${res.statusText}${retryMsg}`);
+  return { status: res.status, statusText: res.statusText, headers: res.headers, body: await res.text() };
+}
+
+/**
+ * Fetches a page body through the given fetcher and rejects non-2xx responses.
+ * When a cache is provided it is consulted first, and successful responses that
+ * look like real listing or detail pages are written back to it. The rate-limit
+ * `delay` and the request `counter` only apply to responses not served from the cache.
+ *
+ * Timeouts, 408, 429 and 5xx responses are retried with exponential backoff and
+ * jitter, waiting for `Retry-After` instead when the server sends it, up to
+ * `maxRetryAfter`. Responses that look like a block page are never retried.
+ *
+ * @param {string} url - Target URL.
+ * @param {object} options - Request options.
+ * @param {number} options.timeout - Request timeout in milliseconds.
+ * @param {Fetcher} [options.fetcher=defaultFetcher] - Transport to use.
+ * @param {import("./cache.js").ResponseCache|null} [options.cache=null] - Response cache.
+ * @param {'page'|'detail'} [options.kind='page'] - Page kind, selects the cache TTL.
+ * @param {{hits: number, misses: number}} [options.cacheStats] - Counters updated on cache lookups.
+ * @param {number} [options.retries=2] - Extra attempts after the first one.
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in milliseconds.
+ * @param {number} [options.maxRetryAfter=120000] - Longest `Retry-After` wait in milliseconds; longer ones fail the request.
+ * @param {number} [options.delay=0] - Delay before the request in milliseconds.
+ * @param {{requests: number}|null} [options.counter=null] - Counter incremented when the page is requested from OLX.
+ * @returns {Promise<string>} Response body.
+ */
+async function fetchPage(url, { timeout, fetcher = defaultFetcher, cache = null, kind = "page", cacheStats = null, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, maxRetryAfter = DEFAULT_MAX_RETRY_AFTER, delay = 0, counter = null }) {
+  if (cache) {
+    const cached = await cache.get(url, kind);
+    if (cached != null) {
+      if (cacheStats) cacheStats.hits++;
+      log("HTTP", `cache <- ${url} (${cached.length} bytes)`);
+      return cached;
+    }
+    if (cacheStats) cacheStats.misses++;
   }
-  return res.text();
+
+  if (delay > 0) await sleep(delay);
+  if (counter) counter.requests++;
+  const attempts = retries + 1;
+  for (let attempt = 1; ; attempt++) {
+    const attemptMsg = attempt > 1 ? `, attempt ${attempt}/${attempts}` : "";
+    log("HTTP", `-> ${url} (timeout: ${timeout}ms${attemptMsg})`);
+
+    let res;
+    try {
+      res = await fetcher(url, { timeout });
+    } catch (err) {
+      if (attempt >= attempts || !isTimeoutError(err)) throw err;
+      const wait = backoffDelay(attempt, retryDelay);
+      log("HTTP", `timeout on attempt ${attempt}/${attempts}: ${err.message} — retrying in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    const body = res.body ?? "";
+    const statusText = res.statusText ? ` ${res.statusText}` : "";
+    log("HTTP", `<- ${res.status}${statusText} (${body.length} bytes)`);
+
+    if (res.status < 200 || res.status >= 300) {
+      const retryAfterMs = parseRetryAfter(res.headers?.["retry-after"]);
+      let retryMsg = retryAfterMs != null ? ` — retry after ${Math.ceil(retryAfterMs / 1000)}s` : "";
+      const retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+      if (retryable && attempt < attempts && !looksLikeBlockPage(body)) {
+        if (retryAfterMs == null || retryAfterMs <= maxRetryAfter) {
+          const wait = retryAfterMs ?? backoffDelay(attempt, retryDelay);
+          log("HTTP", `HTTP ${res.status} on attempt ${attempt}/${attempts} — retrying in ${wait}ms${retryAfterMs != null ? " (Retry-After)" : ""}`);
+          await sleep(wait);
+          continue;
+        }
+        log("HTTP", `Retry-After of ${retryAfterMs}ms exceeds maxRetryAfter (${maxRetryAfter}ms) — giving up`);
+        retryMsg += ` (longer than the ${Math.round(maxRetryAfter / 1000)}s limit)`;
+      }
+      throw new Error(`HTTP ${res.status}${statusText}${retryMsg}`);
+    }
+
+    if (cache && isCacheable(body, kind)) await cache.set(url, kind, body);
+    return body;
+  }
+}
+
+/**
+ * Returns true if a fetcher error represents a request timeout.
+ *
+ * @param {Error} err - Error thrown by the fetcher.
+ * @returns {boolean}
+ */
+function isTimeoutError(err) {
+  return err?.name === "TimeoutError" || err?.code === "ETIMEDOUT" || err?.code === "ESOCKETTIMEDOUT" || /timed?\s*out/i.test(err?.message || "");
+}
+
+/**
+ * Computes the exponential backoff delay for a retry, with up to 50% random
+ * jitter so parallel detail requests do not retry in lockstep.
+ *
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {number} baseDelay - Base delay in milliseconds.
+ * @returns {number} Delay in milliseconds.
+ */
+function backoffDelay(attempt, baseDelay) {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+  return Math.round(delay * (1 + Math.random() * 0.5));
+}
+
+/**
+ * Parses a `Retry-After` header value, given either in seconds or as an HTTP date.
+ *
+ * @param {string|undefined} value - Raw header value.
+ * @returns {number|null} Delay in milliseconds, or `null` if absent or unparseable.
+ */
+function parseRetryAfter(value) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Returns true if a response body carries the data we parse, so block pages
+ * and error shells served with a 200 status never end up in the cache.
+ *
+ * @param {string} body - Response body.
+ * @param {'page'|'detail'} kind - Page kind.
+ * @returns {boolean}
+ */
+function isCacheable(body, kind) {
+  if (kind === "detail") return body.includes("application/ld+json") || body.includes('"adProperties"');
+  return body.includes('<script id="__NEXT_DATA__"');
 }
 
 /**
@@ -611,70 +1302,189 @@ export function extractNextData(html) {
 }
 
 /**
- * Normalises a string for fuzzy matching: lowercases, strips accents and
- * collapses whitespace.
+ * Validates the `exclude` option and tokenizes each term like a query.
+ * Terms that reduce to no tokens (e.g. only stop words) are ignored.
  *
- * @param {string} str - Input string.
- * @returns {string} Normalised string.
+ * @param {string|string[]|null} exclude - Exclude term(s).
+ * @returns {{term: string, tokens: string[]}[]} Tokenized terms.
+ * @throws {Error} If a term is not a string.
  */
-function normalize(str) {
-  return str
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
+function parseExcludeTerms(exclude) {
+  if (exclude == null) return [];
+  const terms = Array.isArray(exclude) ? exclude : [exclude];
+  const parsed = [];
+  for (const term of terms) {
+    if (typeof term !== "string") throw new Error(`Invalid exclude term "${term}". It must be a string.`);
+    const tokens = getQueryTokens(term);
+    if (tokens.length > 0) parsed.push({ term: term.trim(), tokens });
+  }
+  return parsed;
 }
 
-/** Words too common to be meaningful query filters. */
-const STOP_WORDS = new Set(["de", "da", "do", "das", "dos", "e", "ou", "em", "com", "para", "por", "um", "uma", "o", "a", "os", "as", "no", "na", "nos", "nas", "the", "and", "or", "for", "in", "of", "to", "with"]);
+/**
+ * Tests whether an item matches any exclude term. Words must appear whole
+ * (see {@link matchesWords}), so excluding `capa` keeps "capacidade".
+ *
+ * @param {object} item - A normalised item.
+ * @param {{term: string, tokens: string[]}[]} excludeTerms - Terms from {@link parseExcludeTerms}.
+ * @returns {boolean} `true` if the item should be dropped.
+ */
+function isExcluded(item, excludeTerms) {
+  return excludeTerms.some(({ tokens }) => matchesWords(item, tokens));
+}
 
 /**
- * Splits and normalises a search query into significant tokens, filtering out
- * stop-words and single-character terms.
+ * Validates the `seller` and `professional` options and normalises each
+ * seller name.
  *
- * @param {string} query - Raw query string.
- * @returns {string[]} Array of normalised, meaningful tokens.
+ * @param {string|string[]|null} seller - Seller name(s) or id(s).
+ * @param {boolean|null} professional - Professional-ad filter.
+ * @param {boolean} noDetails - Whether detail enrichment is skipped.
+ * @returns {{term: string, name: string}[]} Seller terms with their normalised name.
+ * @throws {Error} If a seller is not a string, `professional` is not a boolean, or sellers are given with `noDetails`.
  */
-function getQueryTokens(query) {
-  return normalize(query)
-    .split(" ")
-    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+function parseSellers(seller, professional, noDetails) {
+  if (professional != null && typeof professional !== "boolean") {
+    throw new Error(`Invalid professional "${professional}". It must be true, false or null.`);
+  }
+  if (seller == null) return [];
+  const sellers = [];
+  for (const term of Array.isArray(seller) ? seller : [seller]) {
+    if (typeof term !== "string") throw new Error(`Invalid seller "${term}". It must be a string.`);
+    if (term.trim()) sellers.push({ term: term.trim(), name: normalize(term) });
+  }
+  if (sellers.length > 0 && noDetails) {
+    throw new Error("The seller filter needs ad details (sellers are read from the ad page) and cannot be combined with noDetails.");
+  }
+  return sellers;
 }
 
 /**
- * Tests whether an item's text corpus (title, description, properties) contains
- * every token in the list.
+ * Tests whether an item's seller matches any seller term: the `sellerId`
+ * exactly, or a seller name containing the term.
  *
- * @param {object} item - Normalised item object.
- * @param {string[]} tokens - Significant query tokens.
- * @returns {boolean} `true` if all tokens are found.
+ * @param {object} item - An enriched item.
+ * @param {{term: string, name: string}[]} sellers - Terms from {@link parseSellers}.
+ * @returns {boolean} `true` if there are no terms or one matches.
  */
-function matchesTokens(item, tokens) {
-  if (tokens.length === 0) return true;
+function matchesSeller(item, sellers) {
+  if (sellers.length === 0) return true;
+  const name = item.sellerName ? normalize(item.sellerName) : "";
+  return sellers.some((s) => (item.sellerId != null && item.sellerId === s.term) || (name !== "" && s.name !== "" && name.includes(s.name)));
+}
 
-  let corpus = normalize(item.title || "");
-  if (item.description) corpus += " " + normalize(item.description);
-  if (item.properties) {
-    for (const prop of item.properties) {
-      corpus += " " + normalize(prop.value || "");
+/**
+ * Keeps the enriched items sold by one of the given sellers.
+ *
+ * @param {object[]} items - Enriched items.
+ * @param {{term: string, name: string}[]} sellers - Terms from {@link parseSellers}.
+ * @returns {object[]} Matching items.
+ */
+function filterSellers(items, sellers) {
+  const kept = items.filter((item) => matchesSeller(item, sellers));
+  if (kept.length < items.length) log("SEARCH", `seller: dropped ${items.length - kept.length} items after details (${sellers.map((s) => `"${s.term}"`).join(", ")})`);
+  return kept;
+}
+
+/**
+ * Applies the filters that need detail pages, property conditions and
+ * sellers, to freshly enriched items.
+ *
+ * @param {object[]} items - Enriched items.
+ * @param {object[]} conditions - Conditions from {@link parseWhere}.
+ * @param {{term: string, name: string}[]} sellers - Terms from {@link parseSellers}.
+ * @returns {object[]} Items passing both.
+ */
+function filterDetails(items, conditions, sellers) {
+  let kept = items;
+  if (conditions.length > 0) kept = filterWhere(kept, conditions);
+  if (sellers.length > 0) kept = filterSellers(kept, sellers);
+  return kept;
+}
+
+/**
+ * Tests an item against the `professional` option.
+ *
+ * @param {object} item - A normalised item.
+ * @param {boolean|null} professional - `true` for store ads only, `false` for private sellers only, `null` for all.
+ * @returns {boolean} Whether the item passes.
+ */
+function matchesProfessional(item, professional) {
+  return professional == null || Boolean(item.professionalAd) === professional;
+}
+
+/** Property condition: name, operator, value. The name may contain spaces and accents. */
+const WHERE_RE = /^\s*([^=!<>]+?)\s*(>=|<=|!=|=|>|<)\s*(.+?)\s*$/;
+
+/**
+ * Validates the `where` option and parses each condition. Numbers are read
+ * with {@link parseNumber}, so `80.000` is eighty thousand and `1.6` is one
+ * point six.
+ *
+ * @param {string|string[]|null} where - Condition(s) such as `"Ano>=2018"`.
+ * @returns {{expr: string, name: string, op: string, value: string, number: number|null}[]} Parsed conditions with normalised name and value.
+ * @throws {Error} If a condition is malformed, or compares order against a non-number.
+ */
+function parseWhere(where) {
+  if (where == null) return [];
+  const exprs = Array.isArray(where) ? where : [where];
+  return exprs.map((expr) => {
+    const match = typeof expr === "string" ? expr.match(WHERE_RE) : null;
+    if (!match) {
+      throw new Error(`Invalid where "${expr}". Expected <property><operator><value>, e.g. "Ano>=2018" (operators: =, !=, >, >=, <, <=).`);
     }
-  }
+    const [, name, op, value] = match;
+    const number = parseNumber(value);
+    if (op !== "=" && op !== "!=" && number == null) {
+      throw new Error(`Invalid where "${expr}": "${value}" is not a number.`);
+    }
+    return { expr: expr.trim(), name: normalize(name), op, value: normalize(value), number };
+  });
+}
 
-  return tokens.every((token) => corpus.includes(token));
+/**
+ * Tests an item against property conditions. With `pending`, conditions on
+ * properties the item does not have yet are skipped, so listing-page items are
+ * only dropped when they already fail; the full check runs after enrichment.
+ *
+ * @param {object} item - A normalised item.
+ * @param {object[]} conditions - Conditions from {@link parseWhere}.
+ * @param {boolean} [pending=false] - Whether detail enrichment is still to come.
+ * @returns {boolean} `true` if every (checkable) condition holds.
+ */
+function matchesWhere(item, conditions, pending = false) {
+  for (const cond of conditions) {
+    const prop = item.properties?.find((p) => normalize(String(p.name ?? "")) === cond.name);
+    if (!prop || prop.value == null) {
+      if (pending) continue;
+      return false;
+    }
+    const actual = parseNumber(String(prop.value));
+    let ok;
+    if (cond.op === "=" || cond.op === "!=") {
+      const equal = cond.number != null && actual != null ? actual === cond.number : normalize(String(prop.value)) === cond.value;
+      ok = cond.op === "=" ? equal : !equal;
+    } else if (actual == null) {
+      ok = false;
+    } else {
+      ok = cond.op === ">" ? actual > cond.number : cond.op === ">=" ? actual >= cond.number : cond.op === "<" ? actual < cond.number : actual <= cond.number;
+    }
+    if (!ok) return false;
+  }
+  return true;
 }
 
 /**
- * Convenience wrapper: tests whether an item matches all significant terms
- * in the search query string.
+ * Applies property conditions after detail enrichment and logs how many items were dropped.
  *
- * @param {object} item - Normalised item object.
- * @param {string} query - Raw query string.
- * @returns {boolean} `true` if the item matches all query terms.
+ * @param {object[]} items - Enriched items.
+ * @param {object[]} conditions - Conditions from {@link parseWhere}.
+ * @returns {object[]} Items satisfying every condition.
  */
-function matchesQuery(item, query) {
-  return matchesTokens(item, getQueryTokens(query));
+function filterWhere(items, conditions) {
+  const kept = items.filter((item) => matchesWhere(item, conditions));
+  if (kept.length < items.length) log("SEARCH", `where: dropped ${items.length - kept.length} items after details (${conditions.map((c) => c.expr).join(", ")})`);
+  return kept;
 }
 
 /**
@@ -694,6 +1504,22 @@ function parsePrice(priceStr) {
   return isNaN(num) ? null : num;
 }
 
+/**
+ * Parses a number from a property value or condition. Numbers follow the
+ * Brazilian format like prices (`80.000`, `1.234,5`), except that a single dot
+ * followed by one or two digits is a decimal point, as in engine sizes
+ * (`1.6`) and screen sizes (`6.1"`).
+ *
+ * @param {string|null} str - Text containing the number.
+ * @returns {number|null} Numeric value, or null if not parseable.
+ */
+function parseNumber(str) {
+  if (!str || typeof str !== "string") return null;
+  const digits = str.replace(/[^\d.,]/g, "");
+  if (/^\d+\.\d{1,2}$/.test(digits)) return parseFloat(digits);
+  return parsePrice(str);
+}
+
 /**
  * Normalises a single raw OLX ad into a structured item object.
  *
@@ -778,5 +1604,88 @@ function parseAd(ad) {
     priceReduction: ad.priceReductionBadge || false,
     description: null,
     sellerName: null,
+    sellerId: null,
   };
 }
+
+/**
+ * Typed schemas for the categories whose useful data lives in `properties`.
+ * A schema applies when the searched category is (or is below) one of its
+ * `slugs`, or when the item's own category name matches. Property names are
+ * matched after {@link normalize} against the display labels (`Quilometragem`,
+ * `Área útil`); items do not keep OLX's internal property names.
+ */
+const CATEGORY_SCHEMAS = [
+  {
+    key: "vehicle",
+    slugs: ["autos-e-pecas/carros-vans-e-utilitarios"],
+    build: (prop) => ({
+      brand: prop("marca"),
+      model: prop("modelo"),
+      year: Number(prop("ano")?.match(/\d{4}/)?.[0]) || null,
+      mileageKm: parsePrice(prop("quilometragem")),
+      fuel: prop("combustivel"),
+      gearbox: prop("cambio"),
+    }),
+    derive: () => ({}),
+  },
+  {
+    key: "property",
+    slugs: ["imoveis/venda", "imoveis/aluguel"],
+    build: (prop) => ({
+      areaM2: parsePrice(prop("area util", "area construida")),
+      bedrooms: parsePrice(prop("quartos")),
+      bathrooms: parsePrice(prop("banheiros")),
+      parkingSpots: parsePrice(prop("vagas na garagem", "vagas")),
+      condoFee: parsePrice(prop("condominio", "condominio mensal")),
+      iptu: parsePrice(prop("iptu")),
+    }),
+    derive: (item, property) => ({ pricePerM2: item.price != null && property.areaM2 ? Math.round((item.price / property.areaM2) * 100) / 100 : null }),
+  },
+];
+
+/**
+ * Finds the typed schema for an item, preferring the searched category.
+ *
+ * @param {object} item - A normalised item.
+ * @param {string|null|undefined} category - Category slug the search was restricted to.
+ * @returns {object|null} Matching entry of {@link CATEGORY_SCHEMAS}, or `null`.
+ */
+function findCategorySchema(item, category) {
+  const inSlugs = (slug) => (schema) => schema.slugs.some((s) => slug === s || slug.startsWith(`${s}/`));
+  if (category) {
+    const schema = CATEGORY_SCHEMAS.find(inSlugs(category));
+    if (schema) return schema;
+  }
+  if (item.category) {
+    const name = normalize(item.category);
+    for (const { slug, name: label } of listCategories()) {
+      if (normalize(label) === name) return CATEGORY_SCHEMAS.find(inSlugs(slug)) ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds the typed fields of the item's category schema (`vehicle` or
+ * `property`) and its derived metrics (e.g. `pricePerM2`). Safe to call again
+ * after detail enrichment, which usually brings more properties.
+ *
+ * @param {object[]} items - Normalised items, updated in place.
+ * @param {string|null|undefined} category - Category slug the search was restricted to.
+ * @returns {object[]} The same array.
+ */
+function applyCategorySchemas(items, category) {
+  for (const item of items) {
+    const schema = findCategorySchema(item, category);
+    if (!schema) continue;
+    const byName = new Map();
+    for (const p of item.properties || []) {
+      if (p.value != null && p.value !== "") byName.set(normalize(String(p.name ?? "")), String(p.value));
+    }
+    const prop = (...names) => names.map((n) => byName.get(n)).find((v) => v != null) ?? null;
+    item[schema.key] = schema.build(prop);
+    Object.assign(item, schema.derive(item, item[schema.key]));
+  }
+  return items;
+}
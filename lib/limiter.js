@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Shared request limiter.
+ * Queues tasks so that at most `concurrency` run at once and consecutive
+ * starts are at least `interval` ms apart. Used to keep several searches
+ * running side by side (server mode, batches) under one global request
+ * budget, on top of the per-search delays.
+ * @module limiter
+ */
+
+import { log } from "./logger.js";
+
+const DEFAULT_INTERVAL = 250;
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * @typedef {object} LimiterStats
+ * @property {number} active - Tasks running now.
+ * @property {number} queued - Tasks waiting for a slot.
+ * @property {number} started - Tasks started so far.
+ * @property {number} completed - Tasks that resolved.
+ * @property {number} failed - Tasks that rejected.
+ * @property {number} interval - Minimum delay between starts in milliseconds.
+ * @property {number} concurrency - Maximum tasks running at once.
+ */
+
+/**
+ * @typedef {object} RateLimiter
+ * @property {<T>(task: () => Promise<T>) => Promise<T>} schedule - Runs a task once a slot is free and the interval has passed, and settles like it.
+ * @property {(fetcher: import("./index.js").Fetcher) => import("./index.js").Fetcher} wrap - Returns a fetcher whose requests are scheduled through this limiter.
+ * @property {() => LimiterStats} stats - Returns the current counters.
+ */
+
+/**
+ * Creates a first-in, first-out task limiter.
+ *
+ * @param {object} [options={}] - Limiter options.
+ * @param {number} [options.interval=250] - Minimum delay between task starts in milliseconds (`0` for none).
+ * @param {number} [options.concurrency=3] - Maximum tasks running at once.
+ * @returns {RateLimiter} The limiter.
+ * @throws {Error} If an option is out of range.
+ */
+export function createRateLimiter({ interval = DEFAULT_INTERVAL, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  if (!Number.isFinite(interval) || interval < 0) {
+    throw new Error(`Invalid interval "${interval}". It must be a non-negative number of milliseconds.`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${concurrency}". It must be a positive integer.`);
+  }
+
+  const waiting = [];
+  const counts = { started: 0, completed: 0, failed: 0 };
+  let active = 0;
+  let lastStart = -Infinity;
+  let timer = null;
+
+  const pump = () => {
+    while (!timer && waiting.length > 0 && active < concurrency) {
+      const wait = lastStart + interval - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+        return;
+      }
+      const { task, resolve, reject } = waiting.shift();
+      if (waiting.length > 0) log("LIMITER", `starting task, ${waiting.length} still queued`);
+      active++;
+      counts.started++;
+      lastStart = Date.now();
+      Promise.resolve()
+        .then(task)
+        .then(
+          (value) => {
+            counts.completed++;
+            resolve(value);
+          },
+          (err) => {
+            counts.failed++;
+            reject(err);
+          },
+        )
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  };
+
+  const schedule = (task) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      pump();
+    });
+
+  return {
+    schedule,
+    wrap: (fetcher) => (url, options) => schedule(() => fetcher(url, options)),
+    stats: () => ({ active, queued: waiting.length, ...counts, interval, concurrency }),
+  };
+}
+
+/**
+ * Creates the limiters for searches running side by side: `searches` lets
+ * `parallel` of them run at once, and `fetcher` sends every OLX request they
+ * make through the shared `requests` limiter.
+ *
+ * @param {import("./index.js").Fetcher} fetcher - Transport to share.
+ * @param {object} options - Limiter options.
+ * @param {number} options.parallel - Searches run at once.
+ * @param {number} [options.requestInterval=250] - Minimum delay between any two requests in milliseconds.
+ * @param {number} [options.requestConcurrency=3] - Maximum requests in flight across all searches.
+ * @param {boolean} [options.noRateLimit=false] - Drop the delay between requests (the concurrency cap stays).
+ * @returns {{requests: RateLimiter, searches: RateLimiter, fetcher: import("./index.js").Fetcher}} The limiters and the shared fetcher.
+ * @throws {Error} If an option is out of range.
+ */
+export function createSearchLimiters(fetcher, { parallel, requestInterval = DEFAULT_INTERVAL, requestConcurrency = DEFAULT_CONCURRENCY, noRateLimit = false }) {
+  const requests = createRateLimiter({ interval: noRateLimit ? 0 : requestInterval, concurrency: requestConcurrency });
+  const searches = createRateLimiter({ interval: 0, concurrency: parallel });
+  return { requests, searches, fetcher: requests.wrap(fetcher) };
+}
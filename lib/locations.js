@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Location table and resolution.
+ * Bundles the Brazilian states (UFs) and the OLX regions (one per DDD area
+ * code) and municipalities used in listing URLs such as
+ * `/estado-sp/grande-campinas/campinas`, and resolves `state` / `region` /
+ * `city` options into the locations a search is split into.
+ * @module locations
+ */
+
+import { normalize } from "./query.js";
+
+export const VALID_STATES = new Set(["ac", "al", "ap", "am", "ba", "ce", "df", "es", "go", "ma", "mt", "ms", "mg", "pa", "pb", "pr", "pe", "pi", "rj", "rn", "rs", "ro", "rr", "sc", "sp", "se", "to"]);
+
+/**
+ * OLX regions per UF: `[slug, name, DDD, cities]`. City slugs are derived from
+ * their names with {@link slugify}, the way OLX builds them. The table is
+ * partial: it covers the main regions and cities of the states below only,
+ * and the other states can only be searched whole.
+ */
+const REGIONS = {
+  sp: [
+    ["sao-paulo-e-regiao", "São Paulo e região", "11", ["São Paulo", "Guarulhos", "Osasco", "Santo André", "São Bernardo do Campo", "São Caetano do Sul", "Diadema", "Mauá", "Mogi das Cruzes", "Barueri", "Carapicuíba", "Cotia", "Jundiaí", "Itaquaquecetuba", "Suzano", "Taboão da Serra"]],
+    ["vale-do-paraiba-e-litoral-norte", "Vale do Paraíba e Litoral Norte", "12", ["São José dos Campos", "Taubaté", "Jacareí", "Pindamonhangaba", "Guaratinguetá", "Caraguatatuba", "Ubatuba", "São Sebastião"]],
+    ["baixada-santista-e-litoral-sul", "Baixada Santista e Litoral Sul", "13", ["Santos", "São Vicente", "Guarujá", "Praia Grande", "Cubatão", "Bertioga", "Itanhaém", "Mongaguá", "Peruíbe"]],
+    ["regiao-de-bauru-e-marilia", "Região de Bauru e Marília", "14", ["Bauru", "Marília", "Jaú", "Botucatu", "Lins", "Ourinhos"]],
+    ["regiao-de-sorocaba", "Região de Sorocaba", "15", ["Sorocaba", "Votorantim", "Itapetininga", "Tatuí", "Itapeva", "Boituva"]],
+    ["regiao-de-ribeirao-preto", "Região de Ribeirão Preto", "16", ["Ribeirão Preto", "Franca", "São Carlos", "Araraquara", "Sertãozinho", "Jaboticabal"]],
+    ["regiao-de-sao-jose-do-rio-preto", "Região de São José do Rio Preto", "17", ["São José do Rio Preto", "Catanduva", "Barretos", "Votuporanga", "Fernandópolis", "Mirassol"]],
+    ["regiao-de-presidente-prudente", "Região de Presidente Prudente", "18", ["Presidente Prudente", "Araçatuba", "Assis", "Birigui", "Penápolis"]],
+    ["grande-campinas", "Grande Campinas", "19", ["Campinas", "Piracicaba", "Limeira", "Americana", "Sumaré", "Hortolândia", "Indaiatuba", "Valinhos", "Vinhedo", "Paulínia", "Rio Claro", "Santa Bárbara d'Oeste"]],
+  ],
+  rj: [
+    ["rio-de-janeiro-e-regiao", "Rio de Janeiro e região", "21", ["Rio de Janeiro", "Niterói", "São Gonçalo", "Duque de Caxias", "Nova Iguaçu", "Belford Roxo", "São João de Meriti", "Itaboraí", "Maricá", "Teresópolis"]],
+    ["norte-do-estado-do-rio", "Norte do Estado do Rio", "22", ["Campos dos Goytacazes", "Macaé", "Cabo Frio", "Rio das Ostras", "Armação dos Búzios", "Nova Friburgo"]],
+    ["serra-angra-dos-reis-e-regiao", "Serra, Angra dos Reis e região", "24", ["Petrópolis", "Volta Redonda", "Barra Mansa", "Resende", "Angra dos Reis", "Paraty"]],
+  ],
+  mg: [
+    ["belo-horizonte-e-regiao", "Belo Horizonte e região", "31", ["Belo Horizonte", "Contagem", "Betim", "Ribeirão das Neves", "Santa Luzia", "Nova Lima", "Sete Lagoas", "Ipatinga"]],
+    ["regiao-de-juiz-de-fora", "Região de Juiz de Fora", "32", ["Juiz de Fora", "Barbacena", "Muriaé", "Ubá"]],
+    ["regiao-de-uberlandia-e-uberaba", "Região de Uberlândia e Uberaba", "34", ["Uberlândia", "Uberaba", "Araguari", "Patos de Minas"]],
+  ],
+  es: [["norte-do-espirito-santo", "Norte do Espírito Santo", "27", ["Vitória", "Vila Velha", "Serra", "Cariacica", "Guarapari", "Linhares"]]],
+  pr: [
+    ["regiao-de-curitiba-e-paranagua", "Região de Curitiba e Paranaguá", "41", ["Curitiba", "São José dos Pinhais", "Colombo", "Araucária", "Pinhais", "Paranaguá"]],
+    ["regiao-de-ponta-grossa-e-guarapuava", "Região de Ponta Grossa e Guarapuava", "42", ["Ponta Grossa", "Guarapuava"]],
+    ["regiao-de-londrina", "Região de Londrina", "43", ["Londrina", "Apucarana", "Arapongas", "Cambé"]],
+    ["regiao-de-maringa", "Região de Maringá", "44", ["Maringá", "Umuarama", "Sarandi", "Campo Mourão"]],
+    ["regiao-de-foz-do-iguacu-e-cascavel", "Região de Foz do Iguaçu e Cascavel", "45", ["Foz do Iguaçu", "Cascavel", "Toledo"]],
+  ],
+  sc: [
+    ["norte-de-santa-catarina", "Norte de Santa Catarina", "47", ["Joinville", "Blumenau", "Itajaí", "Balneário Camboriú", "Jaraguá do Sul", "Brusque"]],
+    ["florianopolis-e-regiao", "Florianópolis e região", "48", ["Florianópolis", "São José", "Palhoça", "Biguaçu", "Criciúma", "Tubarão"]],
+    ["oeste-de-santa-catarina", "Oeste de Santa Catarina", "49", ["Chapecó", "Lages", "Concórdia"]],
+  ],
+  rs: [
+    ["regioes-de-porto-alegre-torres-e-santa-cruz-do-sul", "Regiões de Porto Alegre, Torres e Santa Cruz do Sul", "51", ["Porto Alegre", "Canoas", "Gravataí", "Viamão", "Novo Hamburgo", "São Leopoldo", "Santa Cruz do Sul", "Torres"]],
+    ["regiao-de-pelotas-rio-grande-e-bage", "Região de Pelotas, Rio Grande e Bagé", "53", ["Pelotas", "Rio Grande", "Bagé"]],
+    ["regiao-de-caxias-do-sul-e-passo-fundo", "Região de Caxias do Sul e Passo Fundo", "54", ["Caxias do Sul", "Passo Fundo", "Bento Gonçalves", "Erechim"]],
+    ["regiao-de-santa-maria-uruguaiana-e-cruz-alta", "Região de Santa Maria, Uruguaiana e Cruz Alta", "55", ["Santa Maria", "Uruguaiana", "Santo Ângelo", "Cruz Alta"]],
+  ],
+  df: [["distrito-federal-e-regiao", "Distrito Federal e região", "61", ["Brasília", "Taguatinga", "Ceilândia", "Águas Claras", "Samambaia", "Gama"]]],
+  go: [["grande-goiania-e-anapolis", "Grande Goiânia e Anápolis", "62", ["Goiânia", "Aparecida de Goiânia", "Anápolis", "Trindade"]]],
+  ba: [
+    ["grande-salvador", "Grande Salvador", "71", ["Salvador", "Lauro de Freitas", "Camaçari", "Simões Filho"]],
+    ["regiao-de-feira-de-santana-e-alagoinhas", "Região de Feira de Santana e Alagoinhas", "75", ["Feira de Santana", "Alagoinhas"]],
+  ],
+  pe: [["grande-recife", "Grande Recife", "81", ["Recife", "Jaboatão dos Guararapes", "Olinda", "Paulista", "Cabo de Santo Agostinho"]]],
+  ce: [["fortaleza-e-regiao", "Fortaleza e região", "85", ["Fortaleza", "Caucaia", "Maracanaú"]]],
+};
+
+/**
+ * @typedef {object} Location
+ * @property {string} key - Stable identifier: `"sp"`, `"sp/grande-campinas"` or `"sp/grande-campinas/campinas"`.
+ * @property {string} uf - Lowercased UF.
+ * @property {string|null} region - Region slug, set for region and city locations.
+ * @property {string|null} city - City slug, set for city locations.
+ * @property {string} name - Display name, e.g. `"Campinas, SP"`.
+ */
+
+/**
+ * Returns the bundled OLX regions, optionally for one state only. A state
+ * outside the bundled table has none.
+ *
+ * @param {string} [uf] - UF to list (all states when omitted).
+ * @returns {{uf: string, slug: string, name: string, ddd: string, cities: {slug: string, name: string}[]}[]} Regions.
+ * @throws {Error} If `uf` is not a Brazilian UF.
+ */
+export function getRegions(uf) {
+  if (uf && !VALID_STATES.has(uf.toLowerCase())) throw new Error(`Unknown state "${uf}". Use a valid Brazilian UF (e.g. sp, rj, mg).`);
+  const states = uf ? [uf.toLowerCase()] : Object.keys(REGIONS);
+  return states.flatMap((state) =>
+    (REGIONS[state] || []).map(([slug, name, ddd, cities]) => ({
+      uf: state,
+      slug,
+      name,
+      ddd,
+      cities: cities.map((city) => ({ slug: slugify(city), name: city })),
+    })),
+  );
+}
+
+/**
+ * Resolves the location options of a search into the locations it covers.
+ * Without `region` and `city` every UF in `state` is a location. Otherwise the
+ * result is every listed region plus every listed city, and `state` only
+ * narrows the lookup (e.g. to pick between homonymous cities).
+ *
+ * Regions are matched by slug, name or DDD (`"grande-campinas"`, `"Grande
+ * Campinas"`, `"19"`) and cities by slug or name, ignoring case and accents.
+ *
+ * @param {{state?: string, region?: string|string[], city?: string|string[]}} options - Comma-separated lists or arrays.
+ * @returns {Location[]} Locations, without duplicates (empty for the whole country).
+ * @throws {Error} If a UF, region or city is unknown, or a city name is ambiguous.
+ */
+export function resolveLocations({ state, region, city } = {}) {
+  const states = splitList(state).map((s) => s.toLowerCase());
+  for (const s of states) {
+    if (!VALID_STATES.has(s)) throw new Error(`Unknown state "${s}". Use a valid Brazilian UF (e.g. sp, rj, mg).`);
+  }
+  const regionNames = splitList(region);
+  const cityNames = splitList(city);
+  if (regionNames.length === 0 && cityNames.length === 0) {
+    return states.map((uf) => ({ key: uf, uf, region: null, city: null, name: uf.toUpperCase() }));
+  }
+
+  const regions = getRegions().filter((r) => states.length === 0 || states.includes(r.uf));
+  const within = states.length > 0 ? ` in ${states.map((s) => s.toUpperCase()).join(", ")}` : "";
+  const locations = new Map();
+
+  for (const input of regionNames) {
+    const wanted = slugify(input);
+    const matches = regions.filter((r) => r.slug === wanted || slugify(r.name) === wanted || r.ddd === wanted);
+    if (matches.length === 0) {
+      const known = regions.map((r) => `  ${r.uf.toUpperCase()}  ${r.ddd}  ${r.slug}`).join("\n");
+      throw new Error(`Unknown region "${input}"${within}. The bundled region table only covers ${bundledStates()}.\n\nKnown regions (UF, DDD, slug):\n${known}`);
+    }
+    const [r] = matches;
+    const key = `${r.uf}/${r.slug}`;
+    locations.set(key, { key, uf: r.uf, region: r.slug, city: null, name: `${r.name}, ${r.uf.toUpperCase()}` });
+  }
+
+  for (const input of cityNames) {
+    const wanted = slugify(input);
+    const matches = regions.flatMap((r) => r.cities.filter((c) => c.slug === wanted).map((c) => ({ ...c, region: r })));
+    if (matches.length === 0) {
+      throw new Error(`Unknown city "${input}"${within}. The bundled city table is partial (main cities of ${bundledStates()}); use --region for the surrounding area, or --state for the whole state.`);
+    }
+    if (matches.length > 1) {
+      const ufs = matches.map((m) => m.region.uf.toUpperCase()).join(", ");
+      throw new Error(`City "${input}" exists in several states (${ufs}). Add --state to pick one.`);
+    }
+    const [{ slug, name, region: r }] = matches;
+    const key = `${r.uf}/${r.slug}/${slug}`;
+    locations.set(key, { key, uf: r.uf, region: r.slug, city: slug, name: `${name}, ${r.uf.toUpperCase()}` });
+  }
+
+  return [...locations.values()];
+}
+
+/**
+ * Lists the states of the bundled region table, for error messages.
+ *
+ * @returns {string} Upper-case UFs, comma-separated.
+ */
+function bundledStates() {
+  return Object.keys(REGIONS)
+    .map((uf) => uf.toUpperCase())
+    .join(", ");
+}
+
+/**
+ * Returns the search options that select exactly one resolved location, for
+ * the per-location sub-searches of a multi-location search.
+ *
+ * @param {Location} location - Resolved location.
+ * @returns {{state: string, region: string|null, city: string|null}} Options for {@link resolveLocations}.
+ */
+export function locationOptions(location) {
+  return { state: location.uf, region: location.city ? null : location.region, city: location.city };
+}
+
+/**
+ * Builds the URL path segments of a location, e.g. `/estado-sp/grande-campinas`.
+ *
+ * @param {{state?: string|null, region?: string|null, city?: string|null}} location - UF and optional region / city slugs.
+ * @returns {string} Path, or `""` when no state is set.
+ */
+export function locationPath({ state, region, city }) {
+  if (!state) return "";
+  let path = `/estado-${state.toLowerCase()}`;
+  if (region) path += `/${region}`;
+  if (region && city) path += `/${city}`;
+  return path;
+}
+
+/**
+ * Splits a neighbourhood filter into normalised names.
+ *
+ * @param {string|string[]|null|undefined} neighbourhood - Comma-separated list or array.
+ * @returns {string[]} Normalised names (empty when unset).
+ */
+export function parseNeighbourhoods(neighbourhood) {
+  return splitList(neighbourhood).map(normalize).filter(Boolean);
+}
+
+/**
+ * Tests whether an item's `locationDetails.neighbourhood` is one of the given
+ * names, ignoring case and accents.
+ *
+ * @param {object} item - Normalised item object.
+ * @param {string[]} neighbourhoods - Names from {@link parseNeighbourhoods}.
+ * @returns {boolean} `true` if it matches or no names are given.
+ */
+export function matchesNeighbourhood(item, neighbourhoods) {
+  if (neighbourhoods.length === 0) return true;
+  const value = item.locationDetails?.neighbourhood;
+  return Boolean(value) && neighbourhoods.includes(normalize(value));
+}
+
+/**
+ * Turns a name into an OLX path slug: `"Santa Bárbara d'Oeste"` → `"santa-barbara-d-oeste"`.
+ *
+ * @param {string} name - Display name or slug.
+ * @returns {string} Slug.
+ */
+function slugify(name) {
+  return normalize(String(name)).replace(/_/g, " ").trim().replace(/\s+/g, "-");
+}
+
+/**
+ * Splits a comma-separated list (or an array of them) into trimmed entries.
+ *
+ * @param {string|string[]|null|undefined} value - List option.
+ * @returns {string[]} Non-empty entries.
+ */
+function splitList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
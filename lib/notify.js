@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Notification sinks for watch events.
+ * Delivers change events (new ads, price drops) to a webhook (HTTP POST), a
+ * shell command's stdin, or a file, each with its own message template, and
+ * retries failed deliveries with exponential backoff.
+ * @module notify
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { log } from "./logger.js";
+
+const SINK_TYPES = ["webhook", "command", "file"];
+const WATCH_EVENTS = ["new", "price_drop", "price_increase"];
+const DEFAULT_EVENTS = ["new", "price_drop"];
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_TIMEOUT = 10000;
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+/** @param {number} ms @returns {Promise<void>} */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * @typedef {object} NotifySink
+ * @property {'webhook'|'command'|'file'} type - Delivery method.
+ * @property {string} target - Webhook URL, shell command, or file path.
+ * @property {string|null} [template=null] - Message template (see {@link renderTemplate}); `null` sends the event as one line of JSON.
+ * @property {Object<string, string>} [headers] - Extra HTTP headers (webhook only).
+ */
+
+/**
+ * @typedef {object} Delivery
+ * @property {NotifySink} sink - The sink.
+ * @property {boolean} ok - Whether the message was delivered.
+ * @property {number} attempts - Attempts made.
+ * @property {string|null} error - Last error message when not delivered.
+ */
+
+/**
+ * Parses a sink given as `<type>:<target>`, e.g.
+ * `webhook:https://example.com/hook`, `command:notify-send OLX` or
+ * `file:alerts.log`.
+ *
+ * @param {string} spec - Sink specification.
+ * @param {string|null} [template=null] - Message template for this sink.
+ * @returns {NotifySink} The sink.
+ * @throws {Error} On an unknown type, a missing target, or an invalid webhook URL.
+ */
+export function parseSink(spec, template = null) {
+  const match = /^(\w+):(.+)$/s.exec(String(spec).trim());
+  const type = match?.[1].toLowerCase();
+  if (!match || !SINK_TYPES.includes(type)) {
+    throw new Error(`Invalid notify sink "${spec}". Use ${SINK_TYPES.map((t) => `${t}:<${t === "webhook" ? "url" : t === "command" ? "shell command" : "path"}>`).join(", ")}.`);
+  }
+  const target = match[2].trim();
+  if (type === "webhook" && !/^https?:\/\/[^/]/i.test(target)) {
+    throw new Error(`Invalid webhook URL "${target}". It must start with http:// or https://.`);
+  }
+  return { type, target, template };
+}
+
+/**
+ * Fills a template with event and item fields. `{{name}}` looks the name up
+ * on the event first (`event`, `id`, `price`, `previousPrice`, `priceChange`,
+ * `timestamp`), then on the item (`title`, `discountPercent`, `permalink`,
+ * `thumbnail`, `locationDetails.uf`, ...). Missing values render empty.
+ *
+ * Filters: `{{price|brl}}` formats as `R$ 1.234,56`, and `{{title|json}}`
+ * inserts a JSON literal (quoted and escaped), for JSON webhook bodies.
+ *
+ * @param {string} template - Template text.
+ * @param {object} event - Change event from `watch()`.
+ * @returns {string} Rendered message.
+ * @throws {Error} On an unknown filter.
+ */
+export function renderTemplate(template, event) {
+  return template.replace(PLACEHOLDER_RE, (_, key, filter) => {
+    const value = lookup(event, key) ?? lookup(event.item, key) ?? null;
+    if (!filter) return value == null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (filter === "json") return JSON.stringify(value);
+    if (filter === "brl") return typeof value === "number" ? `R$ ${value.toLocaleString("pt-BR", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : "";
+    throw new Error(`Unknown template filter "${filter}". Supported: json, brl`);
+  });
+}
+
+/**
+ * Creates a notifier that delivers events to every sink. Network errors,
+ * timeouts, 429 and 5xx responses and failed commands are retried with
+ * exponential backoff; other 4xx responses are not. Failures are logged and
+ * reported in the returned deliveries, never thrown, so a broken sink cannot
+ * stop a watch.
+ *
+ * @param {NotifySink[]} sinks - Sinks to deliver to.
+ * @param {object} [options={}] - Notifier options.
+ * @param {string[]} [options.events=["new","price_drop"]] - Event types to deliver; others are skipped.
+ * @param {number} [options.retries=2] - Extra attempts after a failed delivery.
+ * @param {number} [options.retryDelay=1000] - Base backoff delay in milliseconds, doubled on each attempt.
+ * @param {number} [options.timeout=10000] - Webhook and command timeout in milliseconds.
+ * @returns {{notify: (event: object) => Promise<Delivery[]>}} The notifier.
+ * @throws {Error} If an option or a template is invalid.
+ */
+export function createNotifier(sinks, { events = DEFAULT_EVENTS, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, timeout = DEFAULT_TIMEOUT } = {}) {
+  if (!Number.isInteger(retries) || retries < 0) throw new Error(`Invalid retries "${retries}". It must be a non-negative integer.`);
+  if (!Number.isInteger(retryDelay) || retryDelay < 0) throw new Error(`Invalid retryDelay "${retryDelay}". It must be a non-negative integer.`);
+  for (const event of events) {
+    if (!WATCH_EVENTS.includes(event)) throw new Error(`Invalid notify event "${event}". Supported: ${WATCH_EVENTS.join(", ")}`);
+  }
+  for (const sink of sinks) {
+    if (!SINK_TYPES.includes(sink.type)) throw new Error(`Invalid notify sink type "${sink.type}". Supported: ${SINK_TYPES.join(", ")}`);
+    // Render once against an empty event so template mistakes fail up front.
+    if (sink.template) renderTemplate(sink.template, { item: {} });
+  }
+
+  const deliver = async (sink, event) => {
+    const body = sink.template ? renderTemplate(sink.template, event) : JSON.stringify(eventSummary(event));
+    for (let attempt = 1; ; attempt++) {
+      if (attempt > 1) await sleep(retryDelay * 2 ** (attempt - 2));
+      try {
+        await SENDERS[sink.type](sink, body, timeout);
+        log("NOTIFY", `${sink.type} ${sink.target}: delivered ${event.event} ${event.id} (attempt ${attempt})`);
+        return { sink, ok: true, attempts: attempt, error: null };
+      } catch (err) {
+        log("NOTIFY", `${sink.type} ${sink.target}: attempt ${attempt} failed: ${err.message}`);
+        // A rejected request (4xx) fails the same way every time.
+        if (attempt > retries || err.retryable === false) return { sink, ok: false, attempts: attempt, error: err.message };
+      }
+    }
+  };
+
+  return {
+    async notify(event) {
+      if (!events.includes(event.event)) return [];
+      return Promise.all(sinks.map((sink) => deliver(sink, event)));
+    },
+  };
+}
+
+/**
+ * Delivery functions per sink type. Each resolves once the message was
+ * accepted and rejects otherwise.
+ *
+ * @type {Object<string, (sink: NotifySink, body: string, timeout: number) => Promise<void>>}
+ */
+const SENDERS = {
+  async webhook(sink, body, timeout) {
+    const res = await fetch(sink.target, {
+      method: "POST",
+      headers: { "content-type": isJson(body) ? "application/json" : "text/plain; charset=utf-8", ...sink.headers },
+      body,
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`);
+      err.retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+      throw err;
+    }
+  },
+
+  command(sink, body, timeout) {
+    return new Promise((resolve, reject) => {
+      // The command runs in its own process group, so a timeout kills the
+      // shell together with everything it started.
+      const group = process.platform !== "win32";
+      const child = spawn(sink.target, { shell: true, detached: group, stdio: ["pipe", "ignore", "pipe"] });
+      let stderr = "";
+      const timer = setTimeout(() => {
+        try {
+          if (group) process.kill(-child.pid, "SIGKILL");
+          else child.kill("SIGKILL");
+        } catch {
+          // Already exited.
+        }
+        reject(new Error(`Command timed out after ${timeout}ms`));
+      }, timeout);
+      child.stderr.on("data", (chunk) => (stderr += chunk));
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (code === 0) resolve();
+        else reject(new Error(`Command exited with code ${code}${stderr.trim() ? `: ${stderr.trim().slice(-200)}` : ""}`));
+      });
+      // A command that does not read its input closes stdin early; its exit code decides.
+      child.stdin.on("error", () => {});
+      child.stdin.end(body.endsWith("\n") ? body : `${body}\n`);
+    });
+  },
+
+  async file(sink, body) {
+    await fs.promises.mkdir(path.dirname(path.resolve(sink.target)), { recursive: true });
+    await fs.promises.appendFile(sink.target, body.endsWith("\n") ? body : `${body}\n`, "utf-8");
+  },
+};
+
+/**
+ * Returns the default JSON payload of an event: the change plus the item
+ * fields most useful in a notification.
+ *
+ * @param {object} event - Change event from `watch()`.
+ * @returns {object} Payload.
+ */
+function eventSummary(event) {
+  const { item = {} } = event;
+  return {
+    event: event.event,
+    timestamp: event.timestamp,
+    id: event.id,
+    title: item.title ?? null,
+    price: event.price ?? null,
+    previousPrice: event.previousPrice ?? null,
+    priceChange: event.priceChange ?? null,
+    discountPercent: item.discountPercent ?? null,
+    permalink: item.permalink || null,
+    thumbnail: item.thumbnail || null,
+  };
+}
+
+/**
+ * Reads a dotted path from an object.
+ *
+ * @param {object|null|undefined} obj - Source object.
+ * @param {string} key - Dotted path, e.g. `locationDetails.uf`.
+ * @returns {*} The value, or `undefined`.
+ */
+function lookup(obj, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
+/**
+ * Tests whether a message body is a JSON document.
+ *
+ * @param {string} body - Message body.
+ * @returns {boolean} `true` if it parses as JSON.
+ */
+function isJson(body) {
+  try {
+    JSON.parse(body);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Client-side query matching.
+ * Normalises text, splits queries into significant tokens, and parses the
+ * `--strict` query language (phrases, `OR`, negation, parentheses and field
+ * scopes) into an expression evaluated against each item.
+ * @module query
+ */
+
+const FIELDS = new Set(["title", "desc", "prop"]);
+
+/** @param {string} s @returns {string} */
+const unquote = (s) => s.replace(/^"(.*)"$/, "$1");
+
+/**
+ * Normalises a string for fuzzy matching: lowercases, strips accents and
+ * collapses whitespace.
+ *
+ * @param {string} str - Input string.
+ * @returns {string} Normalised string.
+ */
+export function normalize(str) {
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Words too common to be meaningful query filters. */
+const STOP_WORDS = new Set(["de", "da", "do", "das", "dos", "e", "ou", "em", "com", "para", "por", "um", "uma", "o", "a", "os", "as", "no", "na", "nos", "nas", "the", "and", "or", "for", "in", "of", "to", "with"]);
+
+/**
+ * Splits and normalises a search query into significant tokens, filtering out
+ * stop-words and single-character terms.
+ *
+ * @param {string} query - Raw query string.
+ * @returns {string[]} Array of normalised, meaningful tokens.
+ */
+export function getQueryTokens(query) {
+  return normalize(query)
+    .split(" ")
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+/**
+ * Tests whether an item's text corpus (title, description, properties) contains
+ * every token in the list.
+ *
+ * @param {object} item - Normalised item object.
+ * @param {string[]} tokens - Significant query tokens.
+ * @returns {boolean} `true` if all tokens are found.
+ */
+export function matchesTokens(item, tokens) {
+  if (tokens.length === 0) return true;
+  const corpus = itemCorpus(item);
+  return tokens.every((token) => corpus.includes(token));
+}
+
+/**
+ * Tests whether an item's text corpus contains every token as a whole word, so
+ * `capa` matches "capa de silicone" but not "capacidade".
+ *
+ * @param {object} item - Normalised item object.
+ * @param {string[]} tokens - Significant query tokens.
+ * @returns {boolean} `true` if all tokens are found as words.
+ */
+export function matchesWords(item, tokens) {
+  if (tokens.length === 0) return true;
+  const corpus = ` ${itemCorpus(item)} `;
+  return tokens.every((token) => corpus.includes(` ${token} `));
+}
+
+/**
+ * Joins an item's normalised title, description and property values.
+ *
+ * @param {object} item - Normalised item object.
+ * @returns {string} Normalised corpus.
+ */
+function itemCorpus(item) {
+  let corpus = normalize(item.title || "");
+  if (item.description) corpus += " " + normalize(item.description);
+  if (item.properties) {
+    for (const prop of item.properties) {
+      corpus += " " + normalize(prop.value || "");
+    }
+  }
+  return corpus;
+}
+
+/**
+ * @typedef {object} QueryNode
+ * @property {'and'|'or'|'not'|'term'|'phrase'|'prop'} type - Node type.
+ * @property {QueryNode[]} [children] - Operands of `and` / `or`.
+ * @property {QueryNode} [child] - Operand of `not`.
+ * @property {string[]} [tokens] - Normalised tokens of a `term` (all must appear).
+ * @property {string} [phrase] - Normalised words of a `phrase` (must appear in sequence).
+ * @property {'title'|'desc'|null} [field] - Field a `term` or `phrase` is scoped to; `null` searches title, description and property values.
+ * @property {string} [name] - Normalised property name of a `prop` node.
+ * @property {string|null} [value] - Normalised property value of a `prop` node (`null` only requires the property).
+ * @property {string} [raw] - Original text of a `term` or `phrase`.
+ */
+
+/**
+ * Parses a query in the `--strict` query language:
+ *
+ * - `samsung s20` — every word must appear (title, description or property values)
+ * - `"s20 fe"` — the words must appear together, in this order
+ * - `s20 OR s21` — either side must match (`AND` binds tighter than `OR`)
+ * - `-capinha` — must not match; also works on phrases and groups
+ * - `(s20 OR s21) -"tela quebrada"` — parentheses group expressions
+ * - `title:s20`, `desc:"nota fiscal"` — only search the title or the description
+ * - `prop:Ano=2020`, `prop:"Tipo de combustível"=Flex`, `prop:Blindado` — property equals value, or exists
+ *
+ * Words are matched like {@link matchesTokens}: accent- and case-insensitive,
+ * stop-words and single characters ignored.
+ *
+ * @param {string} query - Query string.
+ * @returns {QueryNode|null} Expression tree, or `null` if the query has no conditions.
+ * @throws {Error} On unbalanced parentheses or quotes, or a misplaced `OR`.
+ */
+export function parseQuery(query) {
+  const tokens = lex(query);
+  let pos = 0;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (tokens[pos]?.type === "or") {
+      pos++;
+      children.push(parseAnd());
+    }
+    return combine("or", children);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    const start = pos;
+    while (pos < tokens.length && tokens[pos].type !== "or" && tokens[pos].type !== "rparen") {
+      children.push(parseUnary());
+    }
+    if (pos === start) {
+      const at = tokens[pos] ? `"${tokens[pos].text}"` : "end of query";
+      throw new Error(`Invalid query "${query}": expected a term before ${at}.`);
+    }
+    return combine("and", children);
+  };
+
+  const parseUnary = () => {
+    if (tokens[pos].type === "not") {
+      pos++;
+      if (pos >= tokens.length || tokens[pos].type === "or" || tokens[pos].type === "rparen") {
+        throw new Error(`Invalid query "${query}": "-" must be followed by a term.`);
+      }
+      const child = parseUnary();
+      return child && { type: "not", child };
+    }
+    const token = tokens[pos++];
+    if (token.type === "lparen") {
+      const inner = parseOr();
+      if (tokens[pos]?.type !== "rparen") throw new Error(`Invalid query "${query}": missing ")".`);
+      pos++;
+      return inner;
+    }
+    return token.node;
+  };
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Invalid query "${query}": unexpected ")".`);
+  return tree;
+}
+
+/**
+ * Tests whether an item matches a query expression. A string is parsed with
+ * {@link parseQuery} first.
+ *
+ * @param {object} item - Normalised item object.
+ * @param {QueryNode|string|null} query - Expression tree or query string.
+ * @returns {boolean} `true` if the item matches (always `true` for an empty query).
+ */
+export function matchesQuery(item, query) {
+  const tree = typeof query === "string" ? parseQuery(query) : query;
+  if (!tree) return true;
+  const fields = {
+    title: normalize(item.title || ""),
+    desc: normalize(item.description || ""),
+    props: (item.properties || []).map((p) => ({ name: normalize(String(p.name ?? "")), value: normalize(String(p.value ?? "")) })),
+  };
+  return evaluate(tree, fields);
+}
+
+/**
+ * Returns the plain text to send to OLX as `q` for a query expression: every
+ * non-negated word and phrase, including those of each `OR` alternative, so
+ * OLX is not narrowed to the words outside the alternatives (`galaxy (s20 OR
+ * s21)` sends `galaxy s20 s21`). Negations, property conditions and
+ * description-only terms are never sent.
+ *
+ * @param {QueryNode|null} tree - Expression from {@link parseQuery}.
+ * @returns {string} Search text.
+ */
+export function querySearchText(tree) {
+  const positive = [];
+  const collect = (node) => {
+    if (!node || node.type === "not") return;
+    if (node.children) node.children.forEach(collect);
+    else if ((node.type === "term" || node.type === "phrase") && node.field !== "desc") positive.push(node.raw);
+  };
+  collect(tree);
+  return positive.join(" ");
+}
+
+/**
+ * Evaluates an expression against pre-normalised item fields.
+ *
+ * @param {QueryNode} node - Expression node.
+ * @param {{title: string, desc: string, props: {name: string, value: string}[]}} fields - Normalised item fields.
+ * @returns {boolean} Whether the node matches.
+ */
+function evaluate(node, fields) {
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) => evaluate(child, fields));
+    case "or":
+      return node.children.some((child) => evaluate(child, fields));
+    case "not":
+      return !evaluate(node.child, fields);
+    case "prop":
+      return fields.props.some((p) => p.name === node.name && (node.value === null || p.value === node.value));
+    default: {
+      const texts = node.field === "title" ? [fields.title] : node.field === "desc" ? [fields.desc] : [fields.title, fields.desc, ...fields.props.map((p) => p.value)];
+      if (node.type === "phrase") return texts.some((text) => ` ${text} `.includes(` ${node.phrase} `));
+      return node.tokens.every((token) => texts.some((text) => text.includes(token)));
+    }
+  }
+}
+
+/**
+ * Builds an `and` / `or` node, dropping empty operands and unwrapping single ones.
+ *
+ * @param {'and'|'or'} type - Node type.
+ * @param {(QueryNode|null)[]} children - Operands.
+ * @returns {QueryNode|null} Combined node.
+ */
+function combine(type, children) {
+  const kept = children.filter(Boolean);
+  if (kept.length === 0) return null;
+  return kept.length === 1 ? kept[0] : { type, children: kept };
+}
+
+/**
+ * Splits a query into tokens: parentheses, `OR`, leading `-`, and terms.
+ * Quoted text (a phrase, or a quoted part of a field scope) is kept whole.
+ *
+ * @param {string} query - Query string.
+ * @returns {{type: 'lparen'|'rparen'|'or'|'not'|'term', text: string, node?: QueryNode|null}[]} Tokens.
+ * @throws {Error} On an unterminated quote.
+ */
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch === "(" ? "lparen" : "rparen", text: ch });
+      i++;
+    } else if (ch === "-" && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: "not", text: ch });
+      i++;
+    } else {
+      let text = "";
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          if (end === -1) throw new Error(`Invalid query "${query}": unterminated quote.`);
+          text += query.slice(i, end + 1);
+          i = end + 1;
+        } else {
+          text += query[i++];
+        }
+      }
+      if (text === "OR" || text === "|") tokens.push({ type: "or", text });
+      else tokens.push({ type: "term", text, node: termNode(text) });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Turns one lexed term (plain word, quoted phrase or field scope) into a node.
+ *
+ * @param {string} text - Term text as written.
+ * @returns {QueryNode|null} Node, or `null` if the term has no significant words.
+ */
+function termNode(text) {
+  const scoped = text.match(/^([a-z]+):(.+)$/i);
+  if (scoped && FIELDS.has(scoped[1].toLowerCase())) {
+    const field = scoped[1].toLowerCase();
+    if (field === "prop") {
+      const [, name, value] = scoped[2].match(/^("[^"]*"|[^=]*)(?:=(.*))?$/);
+      return { type: "prop", name: normalize(unquote(name)), value: value === undefined ? null : normalize(unquote(value)) };
+    }
+    return wordsNode(scoped[2], field);
+  }
+  return wordsNode(text, null);
+}
+
+/**
+ * Builds a `phrase` node for quoted text or a `term` node otherwise.
+ *
+ * @param {string} text - Word or quoted phrase.
+ * @param {'title'|'desc'|null} field - Field scope.
+ * @returns {QueryNode|null} Node, or `null` if nothing significant remains.
+ */
+function wordsNode(text, field) {
+  const raw = unquote(text);
+  if (/^".*"$/.test(text)) {
+    const phrase = normalize(raw);
+    return phrase ? { type: "phrase", phrase, field, raw } : null;
+  }
+  const tokens = getQueryTokens(raw);
+  return tokens.length > 0 ? { type: "term", tokens, field, raw } : null;
+}
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Local HTTP/JSON API around the search functions.
+ * Maps query-string parameters to `search()`, `searchRaw()` and
+ * `getCategories()` options and returns the same result shapes as JSON. All
+ * clients share one request limiter and one search queue, so several
+ * dashboards polling at once cannot multiply the load on OLX.
+ * @module server
+ */
+
+import http from "node:http";
+import { search, searchRaw, getCategories, findCategories, defaultFetcher } from "./index.js";
+import { createSearchLimiters } from "./limiter.js";
+import { log } from "./logger.js";
+
+const DEFAULT_MAX_SEARCHES = 2;
+const DEFAULT_MAX_QUEUED = 20;
+const DEFAULT_MAX_LIMIT = 1000;
+
+/**
+ * Query-string parameters accepted by `/search`, with their types. `list`
+ * parameters may be repeated (`?where=Ano>=2018&where=Condição=Novo`).
+ * Transport, cache, checkpoint and rate-limit options are set by the server.
+ */
+const SEARCH_PARAMS = {
+  limit: "count",
+  sort: "string",
+  state: "string",
+  region: "string",
+  city: "string",
+  neighbourhood: "string",
+  near: "string",
+  radius: "number",
+  category: "string",
+  strict: "bool",
+  exclude: "list",
+  where: "list",
+  seller: "list",
+  professional: "bool",
+  minPrice: "number",
+  maxPrice: "number",
+  noDetails: "bool",
+  exhaustive: "bool",
+  concurrency: "count",
+  timeout: "count",
+  retries: "uint",
+  retryDelay: "uint",
+  maxRetryAfter: "uint",
+};
+
+/** Query-string parameters accepted by `/raw`. */
+const RAW_PARAMS = {
+  sort: "string",
+  state: "string",
+  region: "string",
+  city: "string",
+  category: "string",
+  minPrice: "number",
+  maxPrice: "number",
+  timeout: "count",
+  retries: "uint",
+  retryDelay: "uint",
+  maxRetryAfter: "uint",
+};
+
+/** Query-string parameters accepted by `/categories`. */
+const CATEGORY_PARAMS = { term: "string" };
+
+/**
+ * Creates the API server (not yet listening; call `listen(port, host)`).
+ *
+ * - `GET /search?q=<query>&...` — {@link search} result
+ * - `GET /raw?q=<query>&...` — {@link searchRaw} page data
+ * - `GET /categories[?term=<name>]` — {@link getCategories} list, optionally filtered like `--list-categories <term>`
+ * - `GET /health` — liveness check
+ * - `GET /stats` — request counters, search queue and limiter state
+ *
+ * Parameters use the option names of the library (`minPrice`, `noDetails`).
+ * Every endpoint accepts `pretty=1`. Invalid parameters and options answer
+ * 400, a full search queue 503, and failures after OLX was contacted 502,
+ * always as `{ error }`.
+ *
+ * @param {object} [options={}] - Server options.
+ * @param {import("./index.js").Fetcher} [options.fetcher=defaultFetcher] - Transport shared by every request.
+ * @param {import("./cache.js").ResponseCache|null} [options.cache=null] - Response cache shared by every request.
+ * @param {boolean} [options.noRateLimit=false] - Disable the per-search delays and the spacing between requests (the request concurrency cap stays).
+ * @param {number} [options.maxSearches=2] - Searches run at once; the rest wait in the queue.
+ * @param {number} [options.maxQueued=20] - Searches allowed to wait before new ones are refused with 503.
+ * @param {number} [options.maxLimit=1000] - Largest `limit` a search may ask for; exhaustive searches without a `limit` get this one.
+ * @param {number} [options.requestInterval=250] - Minimum delay between any two OLX requests in milliseconds.
+ * @param {number} [options.requestConcurrency=3] - Maximum OLX requests in flight across all searches.
+ * @returns {http.Server} The server.
+ */
+export function createServer(options = {}) {
+  const { fetcher = defaultFetcher, cache = null, noRateLimit = false, maxSearches = DEFAULT_MAX_SEARCHES, maxQueued = DEFAULT_MAX_QUEUED, maxLimit = DEFAULT_MAX_LIMIT, requestInterval, requestConcurrency } = options;
+  const { requests, searches, fetcher: sharedFetcher } = createSearchLimiters(fetcher, { parallel: maxSearches, requestInterval, requestConcurrency, noRateLimit });
+  const startedAt = Date.now();
+  const counters = { total: 0, errors: 0, rejected: 0, byEndpoint: {} };
+  const totals = { pageRequests: 0, detailRequests: 0, cacheHits: 0, cacheMisses: 0 };
+
+  /**
+   * Runs one search-like task in the queue, through a fetcher that counts the
+   * requests it makes so failures can be told apart from invalid options.
+   *
+   * @param {(fetcher: import("./index.js").Fetcher) => Promise<object>} task - Task to run.
+   * @returns {Promise<{status: number, body: object, headers?: object}>} Response.
+   */
+  const queued = async (task) => {
+    if (searches.stats().queued >= maxQueued) {
+      counters.rejected++;
+      return { status: 503, body: { error: `Too many queued searches (${maxQueued}). Try again later.` }, headers: { "retry-after": "30" } };
+    }
+    let contacted = 0;
+    const counting = (url, opts) => {
+      contacted++;
+      return sharedFetcher(url, opts);
+    };
+    try {
+      return { status: 200, body: await searches.schedule(() => task(counting)) };
+    } catch (err) {
+      return { status: contacted > 0 ? 502 : 400, body: { error: err.message } };
+    }
+  };
+
+  const routes = {
+    "/search": async (params) => {
+      const { q, options: searchOptions } = readParams(params, SEARCH_PARAMS, true);
+      // Exhaustive searches collect every ad by default; a client must not hold a slot that long.
+      if (searchOptions.exhaustive) searchOptions.limit ??= maxLimit;
+      if (searchOptions.limit > maxLimit) throw new Error(`Invalid limit "${searchOptions.limit}". This server allows at most ${maxLimit}.`);
+      return queued(async (counting) => {
+        const result = await search(q, { ...searchOptions, fetcher: counting, cache, noRateLimit });
+        for (const key of Object.keys(totals)) totals[key] += result.stats?.[key] || 0;
+        return result;
+      });
+    },
+    "/raw": async (params) => {
+      const { q, options: rawOptions } = readParams(params, RAW_PARAMS, true);
+      return queued((counting) => searchRaw(q, { ...rawOptions, fetcher: counting, cache }));
+    },
+    "/categories": async (params) => {
+      const { options: categoryOptions } = readParams(params, CATEGORY_PARAMS, false);
+      const categories = categoryOptions.term ? findCategories(categoryOptions.term).map(({ slug, name, parent }) => ({ slug, name, parent })) : getCategories();
+      return { status: 200, body: categories };
+    },
+    "/health": async (params) => {
+      readParams(params, {}, false);
+      return { status: 200, body: { status: "ok", uptime: Math.round((Date.now() - startedAt) / 1000) } };
+    },
+    "/stats": async (params) => {
+      readParams(params, {}, false);
+      return {
+        status: 200,
+        body: {
+          uptime: Math.round((Date.now() - startedAt) / 1000),
+          requests: counters,
+          searches: { ...searches.stats(), maxQueued },
+          olx: { ...requests.stats(), ...totals },
+        },
+      };
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const pretty = ["1", "true"].includes(url.searchParams.get("pretty"));
+    url.searchParams.delete("pretty");
+    const endpoint = url.pathname.replace(/\/+$/, "") || "/";
+    const route = routes[endpoint];
+    counters.total++;
+    if (route) counters.byEndpoint[endpoint] = (counters.byEndpoint[endpoint] || 0) + 1;
+
+    let response;
+    if (!route) {
+      response = { status: 404, body: { error: `Unknown endpoint "${url.pathname}". Available: ${Object.keys(routes).join(", ")}` } };
+    } else if (req.method !== "GET" && req.method !== "HEAD") {
+      response = { status: 405, body: { error: `Method ${req.method} not allowed. Use GET.` }, headers: { allow: "GET, HEAD" } };
+    } else {
+      try {
+        response = await route(url.searchParams);
+      } catch (err) {
+        response = { status: 400, body: { error: err.message } };
+      }
+    }
+    if (response.status >= 400) counters.errors++;
+    log("SERVER", `${req.method} ${req.url} -> ${response.status}`);
+
+    const body = JSON.stringify(response.body, null, pretty ? 2 : 0);
+    res.writeHead(response.status, { "content-type": "application/json; charset=utf-8", "content-length": Buffer.byteLength(body), ...response.headers });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+}
+
+/**
+ * Converts query-string parameters to library options.
+ *
+ * @param {URLSearchParams} params - Query-string parameters.
+ * @param {Object<string, 'string'|'count'|'uint'|'number'|'bool'|'list'>} spec - Accepted parameters and their types (`count`: positive integer, `uint`: non-negative integer).
+ * @param {boolean} needsQuery - Whether `q` is required.
+ * @returns {{q: string|null, options: object}} Query text and options.
+ * @throws {Error} On a missing `q`, an unknown or repeated parameter, or a value of the wrong type.
+ */
+function readParams(params, spec, needsQuery) {
+  const options = {};
+  let q = null;
+  for (const name of new Set(params.keys())) {
+    const values = params.getAll(name);
+    if (name === "q" && needsQuery) {
+      q = values.join(" ").trim();
+      continue;
+    }
+    const type = spec[name];
+    if (!type) {
+      const accepted = [...(needsQuery ? ["q"] : []), ...Object.keys(spec), "pretty"];
+      throw new Error(`Unknown parameter "${name}". Accepted: ${accepted.join(", ")}`);
+    }
+    if (type === "list") {
+      options[name] = values;
+      continue;
+    }
+    if (values.length > 1) throw new Error(`Parameter "${name}" can only be given once.`);
+    const value = values[0];
+    if (type === "string") {
+      options[name] = value;
+    } else if (type === "bool") {
+      if (!["", "1", "true", "0", "false"].includes(value)) throw new Error(`Invalid ${name} "${value}". It must be true or false.`);
+      options[name] = value === "" || value === "1" || value === "true";
+    } else {
+      const number = Number(value);
+      const expected = { count: "a positive integer", uint: "a non-negative integer", number: "a number" }[type];
+      if (value.trim() === "" || !Number.isFinite(number) || (type !== "number" && (!Number.isInteger(number) || number < (type === "count" ? 1 : 0)))) {
+        throw new Error(`Invalid ${name} "${value}". It must be ${expected}.`);
+      }
+      options[name] = number;
+    }
+  }
+  if (needsQuery && !q) throw new Error('Missing search query: pass it as "q".');
+  return { q, options };
+}
@@ -0,0 +1,465 @@
+/**
+ * @fileoverview XLSX and ODS export.
+ * Lays search results out as typed spreadsheet tables (BRL currency cells for
+ * prices, date cells, hyperlinks, one column per ad property) and writes them
+ * as Office Open XML or OpenDocument workbooks. Both formats are ZIP archives
+ * of XML parts, built here with `node:zlib` only.
+ * @module spreadsheet
+ */
+
+import { deflateRawSync } from "node:zlib";
+
+/** Keys whose numbers are amounts in BRL. */
+const CURRENCY_KEYS = ["price", "oldPrice", "pricePerM2", "condoFee", "iptu", "minPrice", "maxPrice"];
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+const URL_RE = /^https?:\/\/\S+$/;
+// Brazilian notation (`80.000`, `1.234,5`, `12`), or a single dot before one or two decimals (`1.6`).
+const PROPERTY_NUMBER_RE = /^(?:0|[1-9]\d{0,2}(?:\.\d{3})+|[1-9]\d{0,14})(?:,\d+)?$|^(?:0|[1-9]\d{0,14})\.\d{1,2}$/;
+const MAX_CELL_TEXT = 32767;
+const XLSX_CURRENCY_FORMAT = '"R$" #,##0.00';
+const XLSX_DATE_FORMAT = "yyyy-mm-dd hh:mm";
+
+/**
+ * @typedef {object} Cell
+ * @property {'string'|'number'|'currency'|'date'|'boolean'|'link'} type - Cell type.
+ * @property {string|number|boolean} value - Value; an ISO timestamp for dates (written in local time), the URL for links.
+ */
+
+/**
+ * @typedef {object} Sheet
+ * @property {string} name - Sheet name.
+ * @property {string[]} headers - Column headers.
+ * @property {(Cell|null)[][]} rows - Rows of cells; `null` is an empty cell.
+ */
+
+/**
+ * Lays a search result out as two sheets: "Ads", one row per item, and
+ * "Query", one row per query with its options, `pagination` and request
+ * stats (a batch result from `searchBatch()` has one row per query).
+ *
+ * Nested objects become dotted columns (`locationDetails.uf`), every distinct
+ * property name (`Ano`, `Quilometragem`) gets its own column, `images` lists
+ * the image URLs one per line, and other lists are joined with commas.
+ *
+ * @param {object} result - Result of `search()` or `searchBatch()`.
+ * @param {object[]} [items=result.items] - Items to export (e.g. after picking fields).
+ * @returns {Sheet[]} The sheets.
+ */
+export function resultSheets(result, items = result.items) {
+  const queries = result.queries ?? [{ query: result.query, pagination: result.pagination, stats: result.stats, ...(result.coverage && { coverage: result.coverage }) }];
+  return [tableSheet("Ads", items), tableSheet("Query", queries)];
+}
+
+/**
+ * Writes sheets as an XLSX (Office Open XML) workbook. Header rows are bold
+ * and frozen, and links use real hyperlinks.
+ *
+ * @param {Sheet[]} sheets - Sheets from {@link resultSheets}.
+ * @returns {Buffer} The `.xlsx` file.
+ */
+export function writeXlsx(sheets) {
+  const files = [
+    ["[Content_Types].xml", xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") + "</Types>")],
+    ["_rels/.rels", xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>')],
+    ["xl/workbook.xml", xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' + sheets.map((sheet, i) => `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") + "</sheets></workbook>")],
+    ["xl/_rels/workbook.xml.rels", xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`)],
+    // Cell styles: 0 default, 1 header, 2 currency, 3 date, 4 hyperlink, 5 wrapped text.
+    [
+      "xl/styles.xml",
+      xml(
+        `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="2"><numFmt numFmtId="164" formatCode="${escapeXml(XLSX_CURRENCY_FORMAT)}"/><numFmt numFmtId="165" formatCode="${XLSX_DATE_FORMAT}"/></numFmts><fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="6"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf></cellXfs></styleSheet>`,
+      ),
+    ],
+  ];
+  sheets.forEach((sheet, i) => {
+    const { body, links } = xlsxSheet(sheet);
+    files.push([`xl/worksheets/sheet${i + 1}.xml`, body]);
+    if (links.length > 0) {
+      files.push([`xl/worksheets/_rels/sheet${i + 1}.xml.rels`, xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' + links.map((url, j) => `<Relationship Id="rId${j + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`).join("") + "</Relationships>")]);
+    }
+  });
+  return zip(files.map(([name, content]) => ({ name, data: Buffer.from(content, "utf-8") })));
+}
+
+/**
+ * Writes sheets as an ODS (OpenDocument spreadsheet) workbook.
+ *
+ * @param {Sheet[]} sheets - Sheets from {@link resultSheets}.
+ * @returns {Buffer} The `.ods` file.
+ */
+export function writeOds(sheets) {
+  const ns = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" xmlns:xlink="http://www.w3.org/1999/xlink"';
+  const styles =
+    "<office:automatic-styles>" +
+    '<number:currency-style style:name="N-BRL"><number:currency-symbol number:language="pt" number:country="BR">R$</number:currency-symbol><number:text> </number:text><number:number number:decimal-places="2" number:min-decimal-places="2" number:min-integer-digits="1" number:grouping="true"/></number:currency-style>' +
+    '<number:date-style style:name="N-DATE"><number:year number:style="long"/><number:text>-</number:text><number:month number:style="long"/><number:text>-</number:text><number:day number:style="long"/><number:text> </number:text><number:hours number:style="long"/><number:text>:</number:text><number:minutes number:style="long"/></number:date-style>' +
+    '<style:style style:name="ce-header" style:family="table-cell"><style:text-properties fo:font-weight="bold"/></style:style>' +
+    '<style:style style:name="ce-currency" style:family="table-cell" style:data-style-name="N-BRL"/>' +
+    '<style:style style:name="ce-date" style:family="table-cell" style:data-style-name="N-DATE"/>' +
+    "</office:automatic-styles>";
+  const tables = sheets.map((sheet) => {
+    const header = `<table:table-row>${sheet.headers.map((h) => `<table:table-cell table:style-name="ce-header" office:value-type="string">${odsText(h)}</table:table-cell>`).join("")}</table:table-row>`;
+    const rows = sheet.rows.map((row) => `<table:table-row>${row.map(odsCell).join("")}</table:table-row>`).join("");
+    return `<table:table table:name="${escapeXml(sheetName(sheet.name))}"><table:table-column table:number-columns-repeated="${Math.max(sheet.headers.length, 1)}"/>${header}${rows}</table:table>`;
+  });
+  const content = xml(`<office:document-content ${ns} office:version="1.2">${styles}<office:body><office:spreadsheet>${tables.join("")}</office:spreadsheet></office:body></office:document-content>`);
+  const manifest = xml('<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2"><manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="application/vnd.oasis.opendocument.spreadsheet"/><manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/></manifest:manifest>');
+  // The mimetype entry must come first and be stored uncompressed.
+  return zip([
+    { name: "mimetype", data: Buffer.from("application/vnd.oasis.opendocument.spreadsheet"), store: true },
+    { name: "content.xml", data: Buffer.from(content, "utf-8") },
+    { name: "META-INF/manifest.xml", data: Buffer.from(manifest, "utf-8") },
+  ]);
+}
+
+/**
+ * Builds a sheet from records, one column per leaf value (see
+ * {@link resultSheets}). Columns keep the order in which they first appear.
+ *
+ * @param {string} name - Sheet name.
+ * @param {object[]} records - Records, one per row.
+ * @returns {Sheet} The sheet.
+ */
+function tableSheet(name, records) {
+  const kinds = new Map();
+  const visit = (obj, prefix) => {
+    for (const [key, value] of Object.entries(obj)) {
+      const path = prefix + key;
+      if (key === "properties" && Array.isArray(value)) {
+        if (!kinds.has(path)) kinds.set(path, { kind: "properties", names: new Set() });
+        for (const prop of value) if (prop?.name != null) kinds.get(path).names.add(String(prop.name));
+      } else if (value && typeof value === "object" && !Array.isArray(value)) {
+        kinds.set(path, { kind: "object" });
+        visit(value, `${path}.`);
+      } else if (!kinds.has(path) || (kinds.get(path).kind === "empty" && value != null)) {
+        kinds.set(path, { kind: value == null ? "empty" : "value" });
+      }
+    }
+  };
+  for (const record of records) visit(record, "");
+
+  const columns = [];
+  for (const [path, { kind, names }] of kinds) {
+    if (kind === "object") continue;
+    if (kind === "properties") {
+      for (const prop of names) columns.push({ header: kinds.has(prop) ? `${prop} (property)` : prop, get: (record) => propertyValue(lookup(record, path), prop), key: prop, property: true });
+    } else {
+      columns.push({ header: path, get: (record) => lookup(record, path), key: path.slice(path.lastIndexOf(".") + 1) });
+    }
+  }
+  return {
+    name,
+    headers: columns.map((column) => column.header),
+    rows: records.map((record) => columns.map((column) => toCell(column.key, column.get(record), column.property))),
+  };
+}
+
+/**
+ * Types one value for a spreadsheet cell.
+ *
+ * @param {string} key - Last segment of the value's key (`price`, `uf`).
+ * @param {*} value - Value.
+ * @param {boolean} [property=false] - Whether it is an ad property value (text; values that are a number, in Brazilian notation, become numbers).
+ * @returns {Cell|null} The cell, or `null` when empty.
+ */
+function toCell(key, value, property = false) {
+  if (value == null || value === "" || (Array.isArray(value) && value.length === 0)) return null;
+  if (property) {
+    const number = propertyNumber(String(value));
+    return number == null ? { type: "string", value: String(value) } : { type: "number", value: number };
+  }
+  if (typeof value === "boolean") return { type: "boolean", value };
+  if (typeof value === "number") return Number.isFinite(value) ? { type: CURRENCY_KEYS.includes(key) ? "currency" : "number", value } : null;
+  if (Array.isArray(value)) {
+    if (key === "images") return { type: "string", value: value.map((img) => img?.url ?? img).join("\n") };
+    return { type: "string", value: value.map((v) => (v && typeof v === "object" ? JSON.stringify(v) : String(v))).join(", ") };
+  }
+  const text = String(value);
+  if (ISO_DATE_RE.test(text)) return { type: "date", value: text };
+  if (URL_RE.test(text)) return { type: "link", value: text };
+  return { type: "string", value: text };
+}
+
+/**
+ * Renders one XLSX worksheet.
+ *
+ * @param {Sheet} sheet - Sheet.
+ * @returns {{body: string, links: string[]}} Worksheet XML and its hyperlink targets, in relationship order.
+ */
+function xlsxSheet(sheet) {
+  const links = [];
+  const hyperlinks = [];
+  const inline = (text, style) => `<c r="${style.ref}" t="inlineStr"${style.s ? ` s="${style.s}"` : ""}><is><t xml:space="preserve">${escapeXml(cellText(text))}</t></is></c>`;
+  const row = (cells, r) =>
+    `<row r="${r}">` +
+    cells
+      .map((cell, c) => {
+        const ref = `${columnName(c)}${r}`;
+        if (cell == null) return "";
+        if (r === 1) return inline(cell, { ref, s: 1 });
+        switch (cell.type) {
+          case "number":
+            return `<c r="${ref}"><v>${cell.value}</v></c>`;
+          case "currency":
+            return `<c r="${ref}" s="2"><v>${cell.value}</v></c>`;
+          case "date":
+            return `<c r="${ref}" s="3"><v>${Date.parse(`${localDateTime(cell.value)}Z`) / 86400000 + 25569}</v></c>`;
+          case "boolean":
+            return `<c r="${ref}" t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+          case "link":
+            links.push(cell.value);
+            hyperlinks.push(`<hyperlink ref="${ref}" r:id="rId${links.length}"/>`);
+            return inline(cell.value, { ref, s: 4 });
+          default:
+            return inline(cell.value, { ref, s: cell.value.includes("\n") ? 5 : 0 });
+        }
+      })
+      .join("") +
+    "</row>";
+
+  const widths = sheet.headers.map((header, c) => Math.min(60, Math.max(8, header.length + 2, ...sheet.rows.map((cells) => columnWidth(cells[c])))));
+  const cols = widths.length > 0 ? `<cols>${widths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>` : "";
+  const rows = [row(sheet.headers, 1), ...sheet.rows.map((cells, i) => row(cells, i + 2))].join("");
+  const body = xml('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' + `${cols}<sheetData>${rows}</sheetData>${hyperlinks.length > 0 ? `<hyperlinks>${hyperlinks.join("")}</hyperlinks>` : ""}</worksheet>`);
+  return { body, links };
+}
+
+/**
+ * Renders one ODS table cell.
+ *
+ * @param {Cell|null} cell - Cell.
+ * @returns {string} `table:table-cell` XML.
+ */
+function odsCell(cell) {
+  if (cell == null) return "<table:table-cell/>";
+  switch (cell.type) {
+    case "number":
+      return `<table:table-cell office:value-type="float" office:value="${cell.value}"><text:p>${cell.value}</text:p></table:table-cell>`;
+    case "currency":
+      return `<table:table-cell table:style-name="ce-currency" office:value-type="currency" office:currency="BRL" office:value="${cell.value}"><text:p>R$ ${cell.value.toFixed(2)}</text:p></table:table-cell>`;
+    case "date":
+      return `<table:table-cell table:style-name="ce-date" office:value-type="date" office:date-value="${localDateTime(cell.value)}"><text:p>${localDateTime(cell.value).replace("T", " ").slice(0, 16)}</text:p></table:table-cell>`;
+    case "boolean":
+      return `<table:table-cell office:value-type="boolean" office:boolean-value="${cell.value}"><text:p>${cell.value ? "TRUE" : "FALSE"}</text:p></table:table-cell>`;
+    case "link":
+      return `<table:table-cell office:value-type="string"><text:p><text:a xlink:type="simple" xlink:href="${escapeXml(cell.value)}">${escapeXml(cell.value)}</text:a></text:p></table:table-cell>`;
+    default:
+      return `<table:table-cell office:value-type="string">${odsText(cell.value)}</table:table-cell>`;
+  }
+}
+
+/**
+ * Renders text as ODS paragraphs, one per line.
+ *
+ * @param {string} text - Cell text.
+ * @returns {string} `text:p` elements.
+ */
+function odsText(text) {
+  return cellText(text)
+    .split("\n")
+    .map((line) => `<text:p>${escapeXml(line)}</text:p>`)
+    .join("");
+}
+
+/**
+ * Packs files into a ZIP archive (deflated unless `store` is set).
+ *
+ * @param {{name: string, data: Buffer, store?: boolean}[]} files - Archive entries, in order.
+ * @returns {Buffer} The archive.
+ */
+function zip(files) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data, store = false } of files) {
+    const nameBytes = Buffer.from(name, "utf-8");
+    const body = store ? data : deflateRawSync(data);
+    const crc = crc32(data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(store ? 0 : 8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(body.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    locals.push(header, nameBytes, body);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(store ? 0 : 8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(body.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+    offset += header.length + nameBytes.length + body.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of a buffer, as stored in ZIP headers.
+ *
+ * @param {Buffer} data - Data.
+ * @returns {number} Unsigned CRC-32.
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of data) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Reads an ad property value that is a number as a whole, in Brazilian
+ * notation: dots group thousands (`80.000`) and a comma marks decimals,
+ * except that a single dot before one or two digits is a decimal point, as in
+ * engine sizes (`1.6`). Values with units or leading zeros are not numbers.
+ *
+ * @param {string} text - Property value.
+ * @returns {number|null} The number, or `null`.
+ */
+function propertyNumber(text) {
+  if (!PROPERTY_NUMBER_RE.test(text)) return null;
+  if (/^\d+\.\d{1,2}$/.test(text)) return Number(text);
+  return Number(text.replace(/\./g, "").replace(",", "."));
+}
+
+/**
+ * Converts an ISO timestamp to the local date and time without a zone
+ * (`2025-10-18T12:06:40`), as spreadsheet date cells hold them.
+ *
+ * @param {string} iso - ISO timestamp.
+ * @returns {string} Local date and time.
+ */
+function localDateTime(iso) {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Reads the value of one property from a `properties` list.
+ *
+ * @param {{name: string, value: *}[]|null|undefined} properties - Ad properties.
+ * @param {string} name - Property name.
+ * @returns {*} The value, or `null`.
+ */
+function propertyValue(properties, name) {
+  return Array.isArray(properties) ? (properties.find((prop) => String(prop?.name) === name)?.value ?? null) : null;
+}
+
+/**
+ * Reads a dotted path from an object. A flat key containing the dots (as left
+ * by picking fields like `vehicle.year`) is read as is.
+ *
+ * @param {object} obj - Source object.
+ * @param {string} path - Dotted path.
+ * @returns {*} The value, or `undefined`.
+ */
+function lookup(obj, path) {
+  if (Object.hasOwn(obj, path)) return obj[path];
+  return path.split(".").reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
+/**
+ * Returns the spreadsheet column letters of a zero-based index (`0` → `A`, `26` → `AA`).
+ *
+ * @param {number} index - Column index.
+ * @returns {string} Column name.
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+/**
+ * Estimates the display width of a cell in characters.
+ *
+ * @param {Cell|null} cell - Cell.
+ * @returns {number} Width.
+ */
+function columnWidth(cell) {
+  if (cell == null) return 0;
+  if (cell.type === "date") return 17;
+  if (cell.type === "currency") return String(Math.round(cell.value)).length + 8;
+  return (
+    Math.max(
+      ...String(cell.value)
+        .split("\n")
+        .map((line) => line.length),
+    ) + 2
+  );
+}
+
+/**
+ * Drops characters XML cannot hold and truncates text to the cell limit.
+ *
+ * @param {string} text - Text.
+ * @returns {string} Clean text.
+ */
+function cellText(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "")
+    .slice(0, MAX_CELL_TEXT);
+}
+
+/**
+ * Limits a sheet name to the 31 characters and the character set both formats accept.
+ *
+ * @param {string} name - Sheet name.
+ * @returns {string} Safe name.
+ */
+function sheetName(name) {
+  return name.replace(/[\\/?*[\]:]/g, " ").slice(0, 31) || "Sheet";
+}
+
+/**
+ * Escapes text for XML content and attributes.
+ *
+ * @param {string} text - Text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+}
+
+/**
+ * Prepends the XML declaration to a document.
+ *
+ * @param {string} body - Root element.
+ * @returns {string} XML document.
+ */
+function xml(body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
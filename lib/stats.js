@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Market price statistics over search results.
+ * Summarises the parsed `price` of a set of items (quartiles, histogram,
+ * outliers), optionally split into groups by state, seller or an ad property.
+ * @module stats
+ */
+
+import { normalize } from "./query.js";
+
+const DEFAULT_BINS = 10;
+const OUTLIER_FENCE = 1.5;
+
+/** @param {number} n @returns {number} */
+const cents = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @typedef {object} PriceSummary
+ * @property {number} count - Number of items summarised.
+ * @property {number} priced - Number of items with a price (the statistics use only these).
+ * @property {number|null} min - Lowest price.
+ * @property {number|null} max - Highest price.
+ * @property {number|null} mean - Arithmetic mean, rounded to cents.
+ * @property {number|null} median - Median price.
+ * @property {number|null} p10 - 10th percentile.
+ * @property {number|null} p25 - 25th percentile (first quartile).
+ * @property {number|null} p75 - 75th percentile (third quartile).
+ * @property {number|null} p90 - 90th percentile.
+ * @property {{from: number, to: number, count: number}[]} histogram - Equal-width price bins from `min` to `max`.
+ * @property {{id: string|null, title: string, price: number, permalink: string|null, type: 'low'|'high'}[]} outliers - Items outside the outlier fences, cheapest first.
+ * @property {({key: string|null} & PriceSummary & Partial<SellerGroup>)[]} [groups] - Per-group summaries, largest group first (only when `groupBy` is set).
+ */
+
+/**
+ * Extra fields of a `groupBy: "seller"` group.
+ *
+ * @typedef {object} SellerGroup
+ * @property {{id: string|null, name: string|null, professional: boolean}} seller - The seller.
+ * @property {{id: string|null, title: string, price: number|null, permalink: string|null}[]} ads - The seller's ads, cheapest first (unpriced last).
+ */
+
+/**
+ * Computes price statistics for a list of items. Items without a price count
+ * towards `count` but are otherwise ignored.
+ *
+ * Outliers use Tukey fences (1.5 × IQR) on the logarithm of the price, since
+ * asking prices are right-skewed: on a linear scale the lower fence is usually
+ * negative and suspiciously cheap listings would never be flagged. A price of
+ * zero is always a low outlier.
+ *
+ * @param {object[]} items - Normalised items from `search()`.
+ * @param {object} [options={}] - Summary options.
+ * @param {string|((item: object) => string|null)} [options.groupBy] - `"uf"` for the state, `"seller"` for the seller (by `sellerId`, falling back to `sellerName`; groups also list the seller and their ads), any other string for the ad property with that name, ignoring case and accents (e.g. `"Ano"`, `"condicao"`), or a function returning the group key.
+ * @param {number} [options.bins=10] - Number of histogram bins.
+ * @returns {PriceSummary} The summary.
+ * @throws {Error} If `bins` is not a positive integer.
+ */
+export function summarize(items, { groupBy = null, bins = DEFAULT_BINS } = {}) {
+  if (!Number.isInteger(bins) || bins < 1) {
+    throw new Error(`Invalid bins "${bins}". It must be a positive integer.`);
+  }
+  const summary = summarizePrices(items, bins);
+  if (!groupBy) return summary;
+
+  const keyOf = groupKeyFn(groupBy);
+  const grouped = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(item);
+  }
+  const bySeller = typeof groupBy === "string" && groupBy.toLowerCase() === "seller";
+  summary.groups = [...grouped].map(([key, groupItems]) => ({ key, ...(bySeller ? sellerGroup(groupItems) : {}), ...summarizePrices(groupItems, bins) })).sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key), "pt-BR", { numeric: true }));
+  return summary;
+}
+
+/**
+ * Computes the ungrouped statistics of one set of items.
+ *
+ * @param {object[]} items - Items to summarise.
+ * @param {number} bins - Number of histogram bins.
+ * @returns {PriceSummary} Summary without `groups`.
+ */
+function summarizePrices(items, bins) {
+  const priced = items.filter((item) => typeof item.price === "number" && Number.isFinite(item.price));
+  const prices = priced.map((item) => item.price).sort((a, b) => a - b);
+  if (prices.length === 0) {
+    return { count: items.length, priced: 0, min: null, max: null, mean: null, median: null, p10: null, p25: null, p75: null, p90: null, histogram: [], outliers: [] };
+  }
+
+  const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+  return {
+    count: items.length,
+    priced: prices.length,
+    min: prices[0],
+    max: prices[prices.length - 1],
+    mean: cents(mean),
+    median: cents(percentile(prices, 0.5)),
+    p10: cents(percentile(prices, 0.1)),
+    p25: cents(percentile(prices, 0.25)),
+    p75: cents(percentile(prices, 0.75)),
+    p90: cents(percentile(prices, 0.9)),
+    histogram: histogram(prices, bins),
+    outliers: findOutliers(priced),
+  };
+}
+
+/**
+ * Returns a percentile of sorted values, interpolating linearly between ranks.
+ *
+ * @param {number[]} sorted - Values in ascending order (non-empty).
+ * @param {number} q - Quantile between 0 and 1.
+ * @returns {number} The percentile.
+ */
+function percentile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  return sorted[lo] + (sorted[Math.ceil(pos)] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Splits sorted prices into equal-width bins. A single bin is returned when
+ * every price is the same.
+ *
+ * @param {number[]} sorted - Prices in ascending order (non-empty).
+ * @param {number} bins - Number of bins.
+ * @returns {{from: number, to: number, count: number}[]} Histogram bins.
+ */
+function histogram(sorted, bins) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ from: min, to: max, count: sorted.length }];
+
+  const width = (max - min) / bins;
+  const result = Array.from({ length: bins }, (_, i) => ({ from: cents(min + width * i), to: cents(min + width * (i + 1)), count: 0 }));
+  for (const price of sorted) {
+    result[Math.min(Math.floor((price - min) / width), bins - 1)].count++;
+  }
+  return result;
+}
+
+/**
+ * Flags items whose price falls outside the Tukey fences of the log prices.
+ *
+ * @param {object[]} priced - Items with a numeric price.
+ * @returns {{id: string|null, title: string, price: number, permalink: string|null, type: 'low'|'high'}[]} Outliers, cheapest first.
+ */
+function findOutliers(priced) {
+  const logs = priced
+    .filter((item) => item.price > 0)
+    .map((item) => Math.log(item.price))
+    .sort((a, b) => a - b);
+  if (logs.length < 4) return [];
+
+  const q1 = percentile(logs, 0.25);
+  const q3 = percentile(logs, 0.75);
+  const low = q1 - OUTLIER_FENCE * (q3 - q1);
+  const high = q3 + OUTLIER_FENCE * (q3 - q1);
+
+  const outliers = [];
+  for (const item of priced) {
+    const type = item.price <= 0 || Math.log(item.price) < low ? "low" : Math.log(item.price) > high ? "high" : null;
+    if (type) outliers.push({ id: item.id ?? null, title: item.title, price: item.price, permalink: item.permalink || null, type });
+  }
+  return outliers.sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Describes the seller of a `groupBy: "seller"` group and lists their ads.
+ *
+ * @param {object[]} items - Items of one seller.
+ * @returns {SellerGroup} Seller and ads.
+ */
+function sellerGroup(items) {
+  const named = items.find((item) => item.sellerName) ?? items[0];
+  const ads = items.map((item) => ({ id: item.id ?? null, title: item.title, price: typeof item.price === "number" ? item.price : null, permalink: item.permalink || null })).sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || 0);
+  return {
+    seller: { id: named.sellerId ?? null, name: named.sellerName ?? null, professional: items.some((item) => item.professionalAd) },
+    ads,
+  };
+}
+
+/**
+ * Builds the group-key function for a `groupBy` option.
+ *
+ * @param {string|Function} groupBy - Group spec.
+ * @returns {(item: object) => string|null} Key function.
+ */
+function groupKeyFn(groupBy) {
+  if (typeof groupBy === "function") return (item) => groupBy(item) ?? null;
+  if (groupBy.toLowerCase() === "uf") return (item) => item.locationDetails?.uf || null;
+  if (groupBy.toLowerCase() === "seller") return (item) => item.sellerId || item.sellerName || null;
+  const name = normalize(groupBy);
+  return (item) => item.properties?.find((p) => normalize(String(p.name)) === name)?.value ?? null;
+}
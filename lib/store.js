@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Local listing history store.
+ * Keeps every ad seen across runs in a JSON file, with a price observation per
+ * run, `firstSeen` / `lastSeen` timestamps, and a `gone` flag for ads that stop
+ * appearing in a search that used to return them.
+ * @module store
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+
+const STORE_VERSION = 1;
+
+/**
+ * Loads a history store. A missing file yields an empty store.
+ *
+ * @param {string} file - Path to the store file.
+ * @returns {{version: number, updatedAt: string|null, ads: Object<string, object>, searches: Object<string, object>}} The store.
+ * @throws {Error} If the file exists but is not a valid store.
+ */
+export function loadStore(file) {
+  if (!fs.existsSync(file)) {
+    return { version: STORE_VERSION, updatedAt: null, ads: {}, searches: {} };
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read store "${file}": ${err.message}`);
+  }
+  if (data?.version !== STORE_VERSION || typeof data.ads !== "object" || data.ads === null) {
+    throw new Error(`Invalid store "${file}".`);
+  }
+  return { version: STORE_VERSION, updatedAt: data.updatedAt ?? null, ads: data.ads, searches: data.searches || {} };
+}
+
+/**
+ * Writes a history store atomically (temp file + rename).
+ *
+ * @param {string} file - Path to the store file.
+ * @param {object} store - Store as returned by {@link loadStore}.
+ */
+export function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Records one search run: upserts every item by `id`, appends a price
+ * observation, and updates `firstSeen` / `lastSeen`. Ads previously returned by
+ * the same search (same query and filters) that are missing from this run are
+ * marked `gone`, but only when the run was complete (`pagination.complete`):
+ * every listing OLX had for the search was read and returned, so a missing ad
+ * was not merely left unvisited or cut by the limit. Ads that reappear are
+ * un-marked.
+ *
+ * @param {object} store - Store as returned by {@link loadStore}.
+ * @param {{items: object[], query: object, pagination: object}} result - Result returned by `search()`.
+ * @param {string} [timestamp] - ISO timestamp of the run.
+ * @returns {{seen: number, added: number, gone: number, complete: boolean}} Counts for this run, and whether it was complete enough to mark ads gone.
+ */
+export function recordRun(store, result, timestamp = new Date().toISOString()) {
+  const key = searchKey(result.query);
+  const entry = store.searches[key] || (store.searches[key] = { query: result.query.text, firstRun: timestamp, lastRun: null, runs: 0 });
+  const seenNow = new Set();
+  let added = 0;
+
+  for (const item of result.items) {
+    if (!item.id) continue;
+    const id = String(item.id);
+    seenNow.add(id);
+    let ad = store.ads[id];
+    if (!ad) {
+      ad = store.ads[id] = { id, title: item.title, permalink: item.permalink || null, location: item.location || null, firstSeen: timestamp, lastSeen: timestamp, gone: false, goneAt: null, searches: [], observations: [] };
+      added++;
+    }
+    ad.title = item.title;
+    ad.lastSeen = timestamp;
+    ad.gone = false;
+    ad.goneAt = null;
+    if (!ad.searches.includes(key)) ad.searches.push(key);
+    ad.observations.push({ at: timestamp, price: item.price, oldPrice: item.oldPrice ?? null });
+  }
+
+  let gone = 0;
+  const complete = result.pagination?.complete === true;
+  if (complete) {
+    for (const ad of Object.values(store.ads)) {
+      if (ad.gone || seenNow.has(ad.id) || !ad.searches.includes(key)) continue;
+      ad.gone = true;
+      ad.goneAt = timestamp;
+      gone++;
+    }
+  }
+
+  entry.lastRun = timestamp;
+  entry.runs++;
+  store.updatedAt = timestamp;
+  log("STORE", `run recorded for "${result.query.text}": ${seenNow.size} seen, ${added} new, ${complete ? `${gone} gone` : "gone check skipped (incomplete run)"}`);
+  return { seen: seenNow.size, added, gone, complete };
+}
+
+/**
+ * Returns the stored history of one ad, with the price change between
+ * consecutive observations.
+ *
+ * @param {object} store - Store as returned by {@link loadStore}.
+ * @param {string|number} id - Ad id (`listId`).
+ * @returns {object|null} The ad entry with `timeline`, or `null` if unknown.
+ */
+export function getAdHistory(store, id) {
+  const ad = store.ads[String(id)];
+  if (!ad) return null;
+  let previous = null;
+  const timeline = ad.observations.map((obs) => {
+    const change = previous != null && obs.price != null ? obs.price - previous : null;
+    if (obs.price != null) previous = obs.price;
+    return { ...obs, change };
+  });
+  const { observations, ...rest } = ad;
+  return { ...rest, timeline };
+}
+
+/**
+ * Builds the identity of a search from its result `query` block, so runs of
+ * the same search can be compared for disappeared ads. The key covers the
+ * query text, locations, neighbourhoods, `near` origin, category and price
+ * range, followed by the result filters that are set (`strict`, `exclude`,
+ * `where`, `seller`, `professional`).
+ *
+ * @param {object} query - The `query` block of a search result.
+ * @returns {string} Search key.
+ */
+function searchKey(query) {
+  let where = query.locations?.map((loc) => loc.key).join(",") || query.states?.join(",") || query.state || "";
+  if (query.neighbourhood?.length > 0) where += `|${query.neighbourhood.join(",")}`;
+  if (query.near) where += `@${query.near.lat},${query.near.lon},${query.near.radiusKm}`;
+  const key = [query.text, where || null, query.category ?? null, query.minPrice ?? null, query.maxPrice ?? null];
+  const filters = {};
+  if (query.strict) filters.strict = true;
+  for (const name of ["exclude", "where", "seller"]) {
+    if (query[name]?.length > 0) filters[name] = query[name];
+  }
+  if (query.professional != null) filters.professional = query.professional;
+  if (Object.keys(filters).length > 0) key.push(filters);
+  return JSON.stringify(key);
+}
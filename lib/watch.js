@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Saved-search watch mode.
+ * Re-runs a search on an interval and compares each cycle against a local
+ * state file of previously seen listings, reporting only new ads and price changes.
+ * @module watch
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { search } from "./index.js";
+import { log } from "./logger.js";
+
+const DEFAULT_INTERVAL = 300000;
+const MIN_INTERVAL = 60000;
+const STATE_VERSION = 1;
+
+/** @param {number} ms @returns {Promise<void>} */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Loads a watch state file. A missing file yields an empty state so the first
+ * cycle reports every listing as new.
+ *
+ * @param {string} file - Path to the state file.
+ * @returns {{version: number, query: string|null, updatedAt: string|null, items: Object<string, object>}} Watch state.
+ * @throws {Error} If the file exists but is not a valid watch state.
+ */
+export function loadWatchState(file) {
+  if (!fs.existsSync(file)) {
+    return { version: STATE_VERSION, query: null, updatedAt: null, items: {} };
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read watch state "${file}": ${err.message}`);
+  }
+  if (!data || typeof data.items !== "object" || data.items === null) {
+    throw new Error(`Invalid watch state "${file}": missing "items" map.`);
+  }
+  return { version: STATE_VERSION, query: data.query ?? null, updatedAt: data.updatedAt ?? null, items: data.items };
+}
+
+/**
+ * Writes a watch state file atomically (temp file + rename), so an interrupted
+ * run never leaves a truncated state behind.
+ *
+ * @param {string} file - Path to the state file.
+ * @param {object} state - Watch state as returned by {@link loadWatchState}.
+ */
+export function saveWatchState(file, state) {
+  const dir = path.dirname(path.resolve(file));
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Compares freshly fetched items against the watch state and returns change
+ * events. The state is updated in place with the latest price and `lastSeen`.
+ * Items without an `id` cannot be tracked and are ignored.
+ *
+ * @param {object} state - Watch state as returned by {@link loadWatchState}.
+ * @param {object[]} items - Normalised items from {@link search}.
+ * @param {string} [timestamp] - ISO timestamp recorded on events and state entries.
+ * @returns {{event: 'new'|'price_drop'|'price_increase', timestamp: string, id: string, previousPrice: number|null, price: number|null, priceChange: number|null, item: object}[]} Change events.
+ */
+export function diffWatchState(state, items, timestamp = new Date().toISOString()) {
+  const events = [];
+  for (const item of items) {
+    if (!item.id) continue;
+    const id = String(item.id);
+    const seen = state.items[id];
+
+    if (!seen) {
+      events.push({ event: "new", timestamp, id, previousPrice: null, price: item.price, priceChange: null, item });
+      state.items[id] = { title: item.title, price: item.price, permalink: item.permalink || null, firstSeen: timestamp, lastSeen: timestamp };
+      continue;
+    }
+
+    if (seen.price != null && item.price != null && item.price !== seen.price) {
+      events.push({
+        event: item.price < seen.price ? "price_drop" : "price_increase",
+        timestamp,
+        id,
+        previousPrice: seen.price,
+        price: item.price,
+        priceChange: item.price - seen.price,
+        item,
+      });
+    }
+    if (item.price != null) seen.price = item.price;
+    seen.title = item.title;
+    seen.lastSeen = timestamp;
+  }
+  state.updatedAt = timestamp;
+  return events;
+}
+
+/**
+ * Polls {@link search} on an interval and yields only new listings and price
+ * changes. State is persisted after every cycle, so a restarted watch picks up
+ * where the previous one stopped. A failed cycle is reported through `onError`
+ * and the watch continues with the next one.
+ *
+ * @param {string} query - The search query string.
+ * @param {object} options - Watch options. All other keys are passed to {@link search}.
+ * @param {string} options.stateFile - Path of the JSON state file.
+ * @param {number} [options.interval=300000] - Delay between cycles in milliseconds (at least 60000 unless `noRateLimit`).
+ * @param {number} [options.cycles=Infinity] - Number of cycles to run before returning.
+ * @param {(err: Error, cycle: number) => void} [options.onError] - Called when a cycle fails.
+ * @param {(info: {cycle: number, items: number, events: number}) => void} [options.onCycle] - Called after each successful cycle.
+ * @returns {AsyncGenerator<object>} Change events as produced by {@link diffWatchState}.
+ * @throws {Error} If `stateFile` is missing or the state file is unreadable.
+ */
+export async function* watch(query, options = {}) {
+  const { stateFile, interval: rawInterval = DEFAULT_INTERVAL, cycles = Infinity, onError = null, onCycle = null, ...searchOptions } = options;
+  if (!stateFile) throw new Error("watch() requires a stateFile option.");
+  const interval = searchOptions.noRateLimit ? rawInterval : Math.max(rawInterval, MIN_INTERVAL);
+
+  const state = loadWatchState(stateFile);
+  state.query = query;
+  log("WATCH", `watch("${query}") started`, { stateFile, interval, cycles, known: Object.keys(state.items).length });
+
+  for (let cycle = 1; cycle <= cycles; cycle++) {
+    if (cycle > 1) await sleep(interval);
+    let result;
+    try {
+      result = await search(query, searchOptions);
+    } catch (err) {
+      log("WATCH", `cycle ${cycle} failed: ${err.message}`);
+      if (onError) onError(err, cycle);
+      continue;
+    }
+    const events = diffWatchState(state, result.items);
+    saveWatchState(stateFile, state);
+    log("WATCH", `cycle ${cycle}: ${result.items.length} items, ${events.length} events`);
+    if (onCycle) onCycle({ cycle, items: result.items.length, events: events.length });
+    for (const event of events) yield event;
+  }
+}
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadQueries, searchBatch } from "../lib/index.js";
+import { listingPage, ok } from "./helpers.js";
+
+/** A minimal listing-page ad. */
+const ad = (id, price) => ({ listId: id, subject: `Ad ${id}`, priceValue: `R$ ${price}`, url: `https://sp.olx.com.br/celulares/ad-${id}`, locationDetails: { municipality: "Centro", uf: "SP" } });
+
+/** Listing pages per query text: ids 1-2 for "iphone", 3 for "ps5". */
+const PAGES = { iphone: [ad(1, 100), ad(2, 200)], ps5: [ad(3, 300)] };
+
+/**
+ * Creates a fetcher that answers {@link PAGES} a little later and records the
+ * most requests it saw in flight at once.
+ *
+ * @returns {{fetcher: import("../lib/index.js").Fetcher, calls: string[], peak: () => number}} The fetcher.
+ */
+function slowFetcher() {
+  const calls = [];
+  let active = 0;
+  let peak = 0;
+  const fetcher = async (url) => {
+    calls.push(url);
+    peak = Math.max(peak, ++active);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    active--;
+    const ads = PAGES[new URL(url).searchParams.get("q")];
+    return ads ? ok(listingPage({ ads, totalOfAds: ads.length, pageSize: 50 })) : { status: 404, statusText: "Not Found", headers: {}, body: "" };
+  };
+  return { fetcher, calls, peak: () => peak };
+}
+
+/**
+ * Writes a queries file into a fresh temporary directory and loads it.
+ *
+ * @param {string} name - File name.
+ * @param {string} text - File contents.
+ * @returns {import("../lib/batch.js").BatchQuery[]} The queries.
+ */
+function load(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx-batch-"));
+  try {
+    fs.writeFileSync(path.join(dir, name), text);
+    return loadQueries(path.join(dir, name));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("loadQueries() reads one query per line, skipping blank lines and comments", () => {
+  assert.deepEqual(load("list.txt", "# shopping\n\n  iphone 15  \r\n#ps5\nair fryer\n"), [
+    { query: "iphone 15", options: {} },
+    { query: "air fryer", options: {} },
+  ]);
+  assert.throws(() => load("empty.txt", "# nothing\n\n"), /holds no queries/);
+});
+
+test("loadQueries() reads a JSON array of strings and objects with options", () => {
+  assert.deepEqual(load("list.json", '  [" ps5 ", { "query": "iphone", "maxPrice": 5000, "options": { "state": "sp" } }]'), [
+    { query: "ps5", options: {} },
+    { query: "iphone", options: { state: "sp", maxPrice: 5000 } },
+  ]);
+  assert.throws(() => load("bad.json", "[1"), /Invalid queries file/);
+});
+
+test("loadQueries() rejects unknown options and a limit or concurrency below 1", () => {
+  for (const [entry, error] of [
+    [{ query: "ps5", color: "white" }, /entry 2: Unknown option "color" for query "ps5". Supported: limit, /],
+    [{ query: "ps5", concurrency: 0 }, /entry 2: Invalid concurrency 0 for query "ps5". It must be a positive integer/],
+    [{ query: "ps5", limit: -1 }, /Invalid limit -1/],
+    [{ query: "ps5", limit: 2.5 }, /Invalid limit 2.5/],
+    [{ query: "ps5", limit: "10" }, /Invalid limit "10"/],
+    [{ maxPrice: 10 }, /entry 2: Missing "query"/],
+  ]) {
+    assert.throws(() => load("list.json", JSON.stringify(["iphone", entry])), error);
+  }
+});
+
+test("searchBatch() keeps going past a failed query and combines the results", async () => {
+  const { fetcher } = slowFetcher();
+  const seen = [];
+  const result = await searchBatch(["iphone", { query: "ps5", limit: 1 }, "tv", { query: "iphone", category: "nope-x" }], { fetcher, noRateLimit: true, noDetails: true, retries: 0, onResult: (entry) => seen.push(entry.index) });
+
+  assert.deepEqual(
+    result.items.map((item) => [item.query.text, item.id]),
+    [
+      ["iphone", 1],
+      ["iphone", 2],
+      ["ps5", 3],
+    ],
+  );
+  assert.deepEqual(
+    result.queries.map((q) => q.error?.split("\n")[0] ?? null),
+    [null, null, "HTTP 404 Not Found", 'Unknown category "nope-x".'],
+  );
+  assert.deepEqual(result.stats, { queries: 4, succeeded: 2, failed: 2, items: 3, requests: 2, pageRequests: 2, detailRequests: 0, cacheHits: 0, cacheMisses: 0 });
+  assert.deepEqual(
+    seen.sort((a, b) => a - b),
+    [0, 1, 2, 3],
+  );
+});
+
+test("searchBatch() sends every request of the batch through one limiter", async () => {
+  const { fetcher, calls, peak } = slowFetcher();
+  await searchBatch(["iphone", "ps5", "iphone 15", "ps5 slim"], { fetcher, parallel: 4, requestConcurrency: 1, requestInterval: 0, noRateLimit: true, noDetails: true, retries: 0 });
+
+  assert.equal(calls.length, 4);
+  assert.equal(peak(), 1);
+
+  const unlimited = slowFetcher();
+  await searchBatch(["iphone", "ps5", "iphone 15", "ps5 slim"], { fetcher: unlimited.fetcher, parallel: 4, requestConcurrency: 4, noRateLimit: true, noDetails: true, retries: 0 });
+  assert.ok(unlimited.peak() > 1);
+  await assert.rejects(searchBatch([{ query: "ps5", concurrency: 0 }], { fetcher }), /Invalid concurrency 0/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCategories, refreshCategories, mergeCategories, suggestCategories } from "../lib/index.js";
+import { fixture } from "./helpers.js";
+
+test("refreshCategories() reads nested facets, by friendlyPath or URL", async () => {
+  const entries = await refreshCategories({ page: fixture("category-facets.json") });
+
+  assert.deepEqual(entries, [
+    { slug: "eletronicos-e-celulares", name: "Eletrônicos e celulares", parent: null },
+    { slug: "celulares", name: "Celulares e telefonia", parent: "eletronicos-e-celulares" },
+    { slug: "eletronicos-e-celulares/videogames", name: "Videogames", parent: "eletronicos-e-celulares" },
+    { slug: "autos-e-pecas", name: "Autos e peças", parent: null },
+    { slug: "autos-e-pecas/carros-vans-e-utilitarios", name: "Carros, vans e utilitários", parent: "autos-e-pecas" },
+    { slug: "colecionaveis-raros", name: "Colecionáveis raros", parent: null },
+  ]);
+});
+
+test("mergeCategories() keeps the categories a refresh did not list", async () => {
+  const current = getCategories();
+  const merged = mergeCategories(current, await refreshCategories({ page: fixture("category-facets.json") }));
+  const bySlug = new Map(merged.map((cat) => [cat.slug, cat]));
+
+  assert.ok(current.every((cat) => bySlug.has(cat.slug)));
+  assert.equal(merged.length, current.length + 2);
+  assert.equal(bySlug.get("celulares").name, "Celulares e telefonia");
+  assert.ok(bySlug.has("colecionaveis-raros"));
+});
+
+test("suggestCategories() ranks the closest whole name first", () => {
+  assert.equal(suggestCategories("celuar")[0].slug, "celulares");
+  assert.equal(suggestCategories("informatca")[0].slug, "informatica");
+  assert.equal(suggestCategories("placa de vidio")[0].slug, "informatica/placas-de-video");
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { search } from "../lib/index.js";
+import { openCheckpoint } from "../lib/checkpoint.js";
+import { listingPage, ok, routeFetcher } from "./helpers.js";
+
+const PAGE_2 = /olx\.com\.br\/brasil\?.*&o=2$/;
+const PAGE_1 = /olx\.com\.br\/brasil\?q=iphone$/;
+
+/** A minimal listing-page ad. */
+const ad = (id) => ({ listId: id, subject: `iPhone ${id}`, priceValue: `R$ ${1000 + id}`, url: `https://sp.olx.com.br/celulares/iphone-${id}`, locationDetails: { municipality: "Centro", uf: "SP" } });
+
+/** Listing page `page` of a 100-ad search, 50 ads per page. */
+const page = (n) => ok(listingPage({ ads: Array.from({ length: 50 }, (_, i) => ad((n - 1) * 50 + i + 1)), totalOfAds: 100, pageSize: 50 }));
+
+/**
+ * Runs `fn` with a path in a fresh temporary directory, removed afterwards.
+ *
+ * @param {(dir: string) => Promise<void>|void} fn - Test body.
+ */
+async function inTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx-checkpoint-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("openCheckpoint() refuses a file created for a different search", () =>
+  inTempDir((dir) => {
+    const file = path.join(dir, "crawl.json");
+    const checkpoint = openCheckpoint(file, "a");
+    checkpoint.section("sp").pages["1"] = [];
+    checkpoint.save();
+
+    assert.throws(() => openCheckpoint(file, "b"), /created for a different search/);
+    assert.deepEqual(openCheckpoint(file, "a").section("sp").pages, { 1: [] });
+  }));
+
+test("save() replaces the file through a temporary file", () =>
+  inTempDir((dir) => {
+    const file = path.join(dir, "nested", "crawl.json");
+    const checkpoint = openCheckpoint(file, "a");
+    checkpoint.section("sp").done = true;
+    checkpoint.save();
+    checkpoint.section("rj");
+    checkpoint.save();
+
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ["crawl.json"]);
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    assert.deepEqual(Object.keys(data.sections), ["sp", "rj"]);
+    assert.equal(checkpoint.isComplete(), false);
+  }));
+
+test("an interrupted search resumes from the pages already saved", () =>
+  inTempDir(async (dir) => {
+    const checkpoint = path.join(dir, "crawl.json");
+    const failing = routeFetcher([
+      [PAGE_2, () => ({ status: 500, statusText: "Internal Server Error", headers: {}, body: "" })],
+      [PAGE_1, () => page(1)],
+    ]);
+    await assert.rejects(search("iphone", { fetcher: failing.fetcher, checkpoint, limit: 100, noRateLimit: true, noDetails: true, retries: 0 }), /HTTP 500/);
+    assert.equal(fs.existsSync(checkpoint), true);
+
+    const { fetcher, calls } = routeFetcher([
+      [PAGE_2, () => page(2)],
+      [PAGE_1, () => page(1)],
+    ]);
+    const result = await search("iphone", { fetcher, checkpoint, limit: 100, noRateLimit: true, noDetails: true });
+
+    assert.deepEqual(calls, ["https://www.olx.com.br/brasil?q=iphone&o=2"]);
+    assert.equal(result.items.length, 100);
+    assert.equal(fs.existsSync(checkpoint), false);
+  }));
+
+test("a checkpoint is not reused by a search with other filters", () =>
+  inTempDir(async (dir) => {
+    const checkpoint = path.join(dir, "crawl.json");
+    const { fetcher } = routeFetcher([[PAGE_1, () => page(1)]]);
+    await assert.rejects(search("iphone", { fetcher, checkpoint, limit: 100, noRateLimit: true, noDetails: true, retries: 0 }), /HTTP 404/);
+
+    for (const filters of [{ exclude: "capa" }, { where: "Memória interna>=128GB" }, { near: "13025-000", radius: 20 }, { professional: false }, { strict: true }]) {
+      await assert.rejects(search("iphone", { fetcher, checkpoint, noRateLimit: true, noDetails: true, ...filters }), /created for a different search/, JSON.stringify(filters));
+    }
+  }));
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { CONFIG_FILE, findConfigFile, getProfile, loadConfig } from "../lib/config.js";
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "bin", "olx-search.js");
+
+/**
+ * Creates a temporary tree with a home directory and a project holding a
+ * nested working directory, removed afterwards.
+ *
+ * @param {(dirs: {home: string, project: string, cwd: string}) => void} fn - Test body.
+ */
+function withDirs(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "olx-config-"));
+  const dirs = { home: path.join(root, "home"), project: path.join(root, "project"), cwd: path.join(root, "project", "sub") };
+  fs.mkdirSync(dirs.home);
+  fs.mkdirSync(dirs.cwd, { recursive: true });
+  try {
+    fn(dirs);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Writes a configuration file into a directory.
+ *
+ * @param {string} dir - Directory.
+ * @param {object} config - File contents.
+ */
+function writeConfig(dir, config) {
+  fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify(config));
+}
+
+/**
+ * Runs the CLI. Every run here stops at option validation, before any request.
+ *
+ * @param {string[]} args - Arguments.
+ * @param {{home: string, cwd: string}} dirs - Home and working directories.
+ * @returns {{status: number, stderr: string}} Exit code and stderr.
+ */
+function cli(args, { home, cwd }) {
+  const { status, stderr } = spawnSync(process.execPath, [CLI, ...args], { cwd, env: { ...process.env, HOME: home, USERPROFILE: home }, encoding: "utf-8", timeout: 30000 });
+  return { status, stderr };
+}
+
+test("findConfigFile() prefers the nearest project file, then the home one", () =>
+  withDirs(({ home, project, cwd }) => {
+    assert.equal(findConfigFile(cwd, home), null);
+    writeConfig(home, {});
+    assert.equal(findConfigFile(cwd, home), path.join(home, CONFIG_FILE));
+    writeConfig(project, {});
+    assert.equal(findConfigFile(cwd, home), path.join(project, CONFIG_FILE));
+    writeConfig(cwd, {});
+    assert.equal(findConfigFile(cwd, home), path.join(cwd, CONFIG_FILE));
+  }));
+
+test("loadConfig() and getProfile() read and check the file", () =>
+  withDirs(({ cwd }) => {
+    const file = path.join(cwd, CONFIG_FILE);
+    assert.deepEqual(loadConfig(file), { defaults: {}, profiles: {} });
+
+    writeConfig(cwd, { profiles: { ps5: { query: "ps5" } } });
+    const config = loadConfig(file);
+    assert.deepEqual(getProfile(config, "ps5"), { query: "ps5" });
+    assert.throws(() => getProfile(config, "xbox"), /Unknown profile "xbox". Available: ps5/);
+
+    for (const [data, error] of [
+      [[], /expected a JSON object/],
+      [{ default: {} }, /unknown key "default"/],
+      [{ profiles: { ps5: "ps5" } }, /profile "ps5" must be an object/],
+    ]) {
+      writeConfig(cwd, data);
+      assert.throws(() => loadConfig(file), error);
+    }
+  }));
+
+test("the command line wins over the profile, which wins over the defaults", () =>
+  withDirs((dirs) => {
+    writeConfig(dirs.project, { defaults: { interval: "from-defaults", limit: "from-defaults", port: "ignored" }, profiles: { p: { query: "ps5", interval: "from-profile" } } });
+
+    assert.match(cli(["iphone"], dirs).stderr, /Invalid --limit "from-defaults"/);
+    assert.match(cli(["watch", "--profile", "p", "-l", "5"], dirs).stderr, /Invalid --interval "from-profile"/);
+    assert.match(cli(["watch", "--profile", "p", "-l", "5", "--interval", "from-cli"], dirs).stderr, /Invalid --interval "from-cli"/);
+    assert.match(cli(["watch", "iphone", "-l", "5"], dirs).stderr, /Invalid --interval "from-defaults"/);
+  }));
+
+test("command notify sinks are refused in defaults but allowed in profiles", () =>
+  withDirs((dirs) => {
+    writeConfig(dirs.project, { defaults: { notify: "command:touch pwned" } });
+    const refused = cli(["watch", "iphone"], dirs);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /Invalid notify sink "command:touch pwned" in "defaults" of .+: command sinks can only be set in a profile/);
+
+    writeConfig(dirs.project, { defaults: { notify: "file:alerts.log" }, profiles: { p: { notify: [{ sink: "command:cat", template: "{{title}}" }] } } });
+    assert.match(cli(["watch", "iphone", "--profile", "p", "--interval", "0"], dirs).stderr, /Invalid --interval "0"/);
+    assert.equal(fs.existsSync(path.join(dirs.cwd, "pwned")), false);
+  }));
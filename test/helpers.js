@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Shared test helpers: saved OLX pages and an offline fetcher.
+ * @module test/helpers
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+/**
+ * Reads a saved page from `test/fixtures`.
+ *
+ * @param {string} name - File name, e.g. `"listing.html"`.
+ * @returns {string} File contents.
+ */
+export function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), "utf-8");
+}
+
+/**
+ * Builds a listing page around a `pageProps` object, in the shape of the
+ * saved `listing.html`.
+ *
+ * @param {object} pageProps - Page props (`ads`, `totalOfAds`, `pageSize`, ...).
+ * @returns {string} Page HTML.
+ */
+export function listingPage(pageProps) {
+  return `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify({ props: { pageProps } })}</script></body></html>`;
+}
+
+/**
+ * Creates a fetcher that answers from a route table instead of the network
+ * and records every requested URL.
+ *
+ * @param {[RegExp, (url: string) => object|Promise<object>][]} routes - URL patterns and response factories; the first match answers. Unmatched URLs get a 404.
+ * @returns {{fetcher: import("../lib/index.js").Fetcher, calls: string[]}} The fetcher and its request log.
+ */
+export function routeFetcher(routes) {
+  const calls = [];
+  const fetcher = async (url) => {
+    calls.push(url);
+    const route = routes.find(([pattern]) => pattern.test(url));
+    if (!route) return { status: 404, statusText: "Not Found", headers: {}, body: "" };
+    return route[1](url);
+  };
+  return { fetcher, calls };
+}
+
+/**
+ * Returns a 200 response with the given body.
+ *
+ * @param {string} body - Response body.
+ * @returns {{status: number, headers: object, body: string}} Response.
+ */
+export function ok(body) {
+  return { status: 200, statusText: "OK", headers: {}, body };
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getRegions, resolveLocations } from "../lib/index.js";
+
+test("getRegions() rejects unknown states and has none for states outside the bundled table", () => {
+  assert.throws(() => getRegions("xx"), /Unknown state "xx"/);
+  assert.deepEqual(getRegions("am"), []);
+  assert.ok(getRegions("sp").some((region) => region.slug === "grande-campinas"));
+});
+
+test("resolveLocations() says the city table is partial", () => {
+  assert.throws(() => resolveLocations({ city: "Manaus" }), /bundled city table is partial/);
+  assert.deepEqual(resolveLocations({ city: "campinas" }), [{ key: "sp/grande-campinas/campinas", uf: "sp", region: "grande-campinas", city: "campinas", name: "Campinas, SP" }]);
+});
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { createNotifier, parseSink, renderTemplate } from "../lib/index.js";
+
+const event = {
+  event: "price_drop",
+  timestamp: "2026-01-01T10:00:00.000Z",
+  id: "1234567001",
+  previousPrice: 4299,
+  price: 3899,
+  priceChange: -400,
+  item: { title: 'iPhone 13 "azul"', permalink: "https://sp.olx.com.br/ad/1234567001", locationDetails: { uf: "SP" } },
+};
+
+/**
+ * Starts a local HTTP server standing in for a webhook. Each request is
+ * answered with the next status of `statuses` (the last one repeats).
+ *
+ * @param {number[]} statuses - Response statuses, in order.
+ * @returns {Promise<{url: string, requests: {headers: object, body: string}[], close: () => Promise<void>}>} The server.
+ */
+async function webhookServer(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test("parseSink() reads <type>:<target> and rejects bad sinks", () => {
+  assert.deepEqual(parseSink("webhook:https://example.com/hook"), { type: "webhook", target: "https://example.com/hook", template: null });
+  assert.deepEqual(parseSink("file: alerts.log", "{{title}}"), { type: "file", target: "alerts.log", template: "{{title}}" });
+  assert.throws(() => parseSink("email:me@example.com"), /Invalid notify sink/);
+  assert.throws(() => parseSink("webhook:example.com"), /Invalid webhook URL/);
+});
+
+test("renderTemplate() fills event and item fields with filters", () => {
+  assert.equal(renderTemplate("{{event}} {{locationDetails.uf}}: {{price|brl}} ({{priceChange}}) {{missing}}", event), "price_drop SP: R$ 3.899,00 (-400) ");
+  assert.equal(renderTemplate('{"text": {{title|json}}}', event), '{"text": "iPhone 13 \\"azul\\""}');
+  assert.throws(() => renderTemplate("{{price|usd}}", event), /Unknown template filter "usd"/);
+});
+
+test("webhook sinks POST the event summary as JSON", async () => {
+  const server = await webhookServer([204]);
+  try {
+    const notifier = createNotifier([parseSink(`webhook:${server.url}`)]);
+    const [delivery] = await notifier.notify(event);
+
+    assert.equal(delivery.ok, true);
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].headers["content-type"], "application/json");
+    const body = JSON.parse(server.requests[0].body);
+    assert.equal(body.event, "price_drop");
+    assert.equal(body.previousPrice, 4299);
+    assert.equal(body.permalink, event.item.permalink);
+  } finally {
+    await server.close();
+  }
+});
+
+test("webhook deliveries are retried after a server error", async () => {
+  const server = await webhookServer([500, 200]);
+  try {
+    const notifier = createNotifier([parseSink(`webhook:${server.url}`, "{{title}}")], { retries: 2, retryDelay: 0 });
+    const [delivery] = await notifier.notify(event);
+
+    assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts }, { ok: true, attempts: 2 });
+    assert.equal(server.requests[1].body, 'iPhone 13 "azul"');
+    assert.match(server.requests[1].headers["content-type"], /^text\/plain/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("failed deliveries are reported, not thrown, and other event types are skipped", async () => {
+  const server = await webhookServer([503]);
+  try {
+    const notifier = createNotifier([parseSink(`webhook:${server.url}`)], { retries: 1, retryDelay: 0 });
+    const [delivery] = await notifier.notify(event);
+
+    assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts, error: delivery.error }, { ok: false, attempts: 2, error: "HTTP 503 Service Unavailable" });
+    assert.deepEqual(await notifier.notify({ ...event, event: "price_increase" }), []);
+    assert.equal(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("file sinks append one rendered line per event", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx-notify-"));
+  try {
+    const file = path.join(dir, "alerts", "drops.log");
+    const notifier = createNotifier([parseSink(`file:${file}`, "{{id}} {{price}}")]);
+    await notifier.notify(event);
+    await notifier.notify({ ...event, price: 3700 });
+    assert.equal(fs.readFileSync(file, "utf-8"), "1234567001 3899\n1234567001 3700\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("webhook deliveries are not retried after a client error", async () => {
+  const server = await webhookServer([404, 200]);
+  try {
+    const notifier = createNotifier([parseSink(`webhook:${server.url}`)], { retries: 2, retryDelay: 0 });
+    const [delivery] = await notifier.notify(event);
+
+    assert.deepEqual({ ok: delivery.ok, attempts: delivery.attempts, error: delivery.error }, { ok: false, attempts: 1, error: "HTTP 404 Not Found" });
+    assert.equal(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test("command sinks that time out are killed with everything they started", { skip: process.platform === "win32" }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx-notify-"));
+  try {
+    const file = path.join(dir, "late.log");
+    const notifier = createNotifier([parseSink(`command:sh -c 'sleep 0.5; echo late > "${file}"'`)], { retries: 0, timeout: 100 });
+    const [delivery] = await notifier.notify(event);
+    await new Promise((resolve) => setTimeout(resolve, 800));
+
+    assert.deepEqual({ ok: delivery.ok, error: delivery.error }, { ok: false, error: "Command timed out after 100ms" });
+    assert.equal(fs.existsSync(file), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuery, matchesQuery, querySearchText } from "../lib/index.js";
+
+const phone = {
+  title: "Samsung Galaxy S20 FE 128GB",
+  description: "Com nota fiscal, tela perfeita.",
+  properties: [
+    { name: "Marca", value: "Samsung" },
+    { name: "Ano", value: "2020" },
+  ],
+};
+
+const matches = (query) => matchesQuery(phone, query);
+
+test("plain words must all appear, ignoring case, accents and stop words", () => {
+  assert.equal(matches("samsung s20"), true);
+  assert.equal(matches("SAMSUNG com s20"), true);
+  assert.equal(matches("samsung s21"), false);
+});
+
+test("phrases must appear in order", () => {
+  assert.equal(matches('"s20 fe"'), true);
+  assert.equal(matches('"fe s20"'), false);
+});
+
+test("OR, negation and parentheses", () => {
+  assert.equal(matches("s21 OR s20"), true);
+  assert.equal(matches("s21 | s22"), false);
+  assert.equal(matches("samsung -quebrada"), true);
+  assert.equal(matches('samsung -"nota fiscal"'), false);
+  assert.equal(matches("(s21 OR s20) -(tela quebrada)"), true);
+  assert.equal(matches("s21 OR s22 samsung"), false);
+});
+
+test("field scopes and property conditions", () => {
+  assert.equal(matches("title:galaxy"), true);
+  assert.equal(matches("title:fiscal"), false);
+  assert.equal(matches('desc:"nota fiscal"'), true);
+  assert.equal(matches("prop:Ano=2020"), true);
+  assert.equal(matches("prop:Ano=2021"), false);
+  assert.equal(matches("prop:Marca"), true);
+  assert.equal(matches("prop:Cor"), false);
+});
+
+test("parseQuery() rejects malformed queries", () => {
+  assert.throws(() => parseQuery("(s20 OR s21"), /missing "\)"/);
+  assert.throws(() => parseQuery("s20)"), /unexpected "\)"/);
+  assert.throws(() => parseQuery('"s20 fe'), /unterminated quote/);
+  assert.throws(() => parseQuery("OR s20"), /expected a term before "OR"/);
+  assert.equal(parseQuery("   "), null);
+});
+
+test("querySearchText() sends the positive words, including every OR alternative", () => {
+  assert.equal(querySearchText(parseQuery('samsung "s20 fe" -capinha prop:Ano=2020 desc:fiscal')), "samsung s20 fe");
+  assert.equal(querySearchText(parseQuery("galaxy (s20 OR s21) -capinha")), "galaxy s20 s21");
+});
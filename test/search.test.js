@@ -0,0 +1,303 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { search, searchIter, searchRaw } from "../lib/index.js";
+import { fixture, listingPage, ok, routeFetcher } from "./helpers.js";
+
+const LISTING = /olx\.com\.br\/brasil\?/;
+const DETAIL = /\/celulares\/.+-\d+$/;
+
+/** A minimal listing-page ad. */
+const ad = (id, price, uf = "SP") => ({ listId: id, subject: `iPhone ${id}`, priceValue: `R$ ${price}`, url: `https://${uf.toLowerCase()}.olx.com.br/celulares/iphone-${id}`, locationDetails: { municipality: "Centro", uf } });
+
+test("search() sends every listing and detail request through the injected fetcher", async () => {
+  const { fetcher, calls } = routeFetcher([
+    [LISTING, () => ok(fixture("listing.html"))],
+    [DETAIL, () => ok(fixture("detail.html"))],
+  ]);
+  const result = await search("iphone 13", { fetcher, noRateLimit: true });
+
+  assert.equal(calls[0], "https://www.olx.com.br/brasil?q=iphone+13");
+  assert.equal(calls.length, 4);
+  assert.deepEqual(
+    result.items.map((item) => item.id),
+    [1234567001, 1234567002, 1234567003],
+  );
+  assert.deepEqual(result.stats, { requests: 4, pageRequests: 1, detailRequests: 3, cacheHits: 0, cacheMisses: 0 });
+});
+
+test("search() parses listing fields from a saved page", async () => {
+  const { fetcher } = routeFetcher([[LISTING, () => ok(fixture("listing.html"))]]);
+  const { items, pagination } = await search("iphone 13", { fetcher, noRateLimit: true, noDetails: true });
+  const [first, second, third] = items;
+
+  assert.equal(pagination.total, 3);
+  assert.equal(first.title, "iPhone 13 128GB Azul");
+  assert.equal(first.price, 3899);
+  assert.equal(first.oldPrice, 4299);
+  assert.equal(first.discountPercent, 9);
+  assert.equal(first.date, "2025-10-18T15:06:40.000Z");
+  assert.deepEqual(first.locationDetails, { municipality: "São Paulo", uf: "SP", neighbourhood: "Pinheiros" });
+  assert.deepEqual(first.properties[0], { name: "Marca", value: "Apple" });
+  assert.equal(first.olxPay, true);
+  assert.equal(second.professionalAd, true);
+  assert.equal(third.price, null);
+});
+
+test("search() merges detail page fields into items", async () => {
+  const { fetcher } = routeFetcher([
+    [LISTING, () => ok(fixture("listing.html"))],
+    [DETAIL, () => ok(fixture("detail.html"))],
+  ]);
+  const [item] = (await search("iphone 13", { fetcher, noRateLimit: true, limit: 1 })).items;
+
+  assert.equal(item.description, "Aparelho em ótimo estado.\nBateria 89%.\nAcompanha capa.");
+  assert.equal(item.images.length, 2);
+  assert.equal(item.sellerName, "Marina Souza");
+  assert.equal(item.sellerId, "98765432");
+  assert.deepEqual(
+    item.properties.map((p) => p.name),
+    ["Marca", "Modelo", "Memória interna", "Condição"],
+  );
+});
+
+test("search() keeps an item when its detail page fails", async () => {
+  const { fetcher } = routeFetcher([
+    [LISTING, () => ok(fixture("listing.html"))],
+    [DETAIL, () => ({ status: 410, statusText: "Gone", headers: {}, body: "" })],
+  ]);
+  const result = await search("iphone 13", { fetcher, noRateLimit: true, retries: 0 });
+
+  assert.equal(result.items.length, 3);
+  assert.equal(result.items[0].description, null);
+  assert.equal(result.stats.detailRequests, 3);
+});
+
+test("requests are retried on 503 and 429, honouring Retry-After", async () => {
+  let attempts = 0;
+  const { fetcher, calls } = routeFetcher([
+    [
+      LISTING,
+      () => {
+        attempts++;
+        if (attempts === 1) return { status: 503, statusText: "Service Unavailable", headers: {}, body: "" };
+        if (attempts === 2) return { status: 429, statusText: "Too Many Requests", headers: { "retry-after": "0" }, body: "" };
+        return ok(fixture("listing.html"));
+      },
+    ],
+  ]);
+  const raw = await searchRaw("iphone 13", { fetcher, retries: 2, retryDelay: 0 });
+
+  assert.equal(calls.length, 3);
+  assert.equal(raw.totalOfAds, 3);
+});
+
+test("requests are not retried on other 4xx responses or once retries run out", async () => {
+  const notFound = routeFetcher([]);
+  await assert.rejects(searchRaw("iphone 13", { fetcher: notFound.fetcher, retries: 2, retryDelay: 0 }), /HTTP 404 Not Found/);
+  assert.equal(notFound.calls.length, 1);
+
+  const down = routeFetcher([[LISTING, () => ({ status: 502, statusText: "Bad Gateway", headers: {}, body: "" })]]);
+  await assert.rejects(searchRaw("iphone 13", { fetcher: down.fetcher, retries: 1, retryDelay: 0 }), /HTTP 502/);
+  assert.equal(down.calls.length, 2);
+});
+
+test("timeouts thrown by the fetcher are retried", async () => {
+  let attempts = 0;
+  const fetcher = async () => {
+    if (++attempts === 1) throw Object.assign(new Error("Request timed out"), { name: "TimeoutError" });
+    return ok(fixture("listing.html"));
+  };
+  await searchRaw("iphone 13", { fetcher, retries: 1, retryDelay: 0 });
+  assert.equal(attempts, 2);
+});
+
+test("cached pages are not counted as requests", async () => {
+  const store = new Map();
+  const cache = {
+    get: async (url) => store.get(url) ?? null,
+    set: async (url, kind, body) => void store.set(url, body),
+  };
+  const { fetcher, calls } = routeFetcher([
+    [LISTING, () => ok(fixture("listing.html"))],
+    [DETAIL, () => ok(fixture("detail.html"))],
+  ]);
+  const first = await search("iphone 13", { fetcher, cache });
+  const second = await search("iphone 13", { fetcher, cache });
+
+  assert.equal(calls.length, 4);
+  assert.deepEqual(first.stats, { requests: 4, pageRequests: 1, detailRequests: 3, cacheHits: 0, cacheMisses: 4 });
+  assert.deepEqual(second.stats, { requests: 0, pageRequests: 0, detailRequests: 0, cacheHits: 4, cacheMisses: 0 });
+});
+
+test("Retry-After is honoured up to maxRetryAfter, and a longer one fails with the requested delay", async () => {
+  const tooMany = () => ({ status: 429, statusText: "Too Many Requests", headers: { "retry-after": "600" }, body: "" });
+  const limited = routeFetcher([[LISTING, tooMany]]);
+  await assert.rejects(searchRaw("iphone 13", { fetcher: limited.fetcher, retries: 2 }), { message: "HTTP 429 Too Many Requests — retry after 600s (longer than the 120s limit)" });
+  assert.equal(limited.calls.length, 1);
+
+  let attempts = 0;
+  const { fetcher } = routeFetcher([[LISTING, () => (++attempts === 1 ? { ...tooMany(), headers: { "retry-after": "0.05" } } : ok(fixture("listing.html")))]]);
+  await searchRaw("iphone 13", { fetcher, retries: 1, maxRetryAfter: 1000 });
+  assert.equal(attempts, 2);
+  await assert.rejects(searchRaw("iphone 13", { fetcher, maxRetryAfter: -1 }), /Invalid maxRetryAfter/);
+});
+
+test("where conditions on detail properties keep crawling until the limit is met", async () => {
+  const { fetcher, calls } = routeFetcher([
+    [/[?&]o=2/, () => ok(listingPage({ ads: [ad(3, 300), ad(4, 400)], totalOfAds: 4, pageSize: 2 }))],
+    [LISTING, () => ok(listingPage({ ads: [ad(1, 100), ad(2, 200)], totalOfAds: 4, pageSize: 2 }))],
+    [DETAIL, (url) => ok(url.endsWith("-4") ? fixture("detail.html") : fixture("detail.html").replaceAll("128GB", "64GB"))],
+  ]);
+  const result = await search("iphone", { fetcher, noRateLimit: true, limit: 1, where: "Memória interna=128" });
+
+  assert.deepEqual(
+    result.items.map((item) => item.id),
+    [4],
+  );
+  assert.equal(calls.filter((url) => DETAIL.test(url)).length, 4);
+});
+
+test("seller filters keep crawling until the limit is met", async () => {
+  const { fetcher } = routeFetcher([
+    [/[?&]o=2/, () => ok(listingPage({ ads: [ad(3, 300), ad(4, 400)], totalOfAds: 4, pageSize: 2 }))],
+    [LISTING, () => ok(listingPage({ ads: [ad(1, 100), ad(2, 200)], totalOfAds: 4, pageSize: 2 }))],
+    [DETAIL, (url) => ok(url.endsWith("-4") ? fixture("detail.html") : fixture("detail.html").replaceAll("Marina Souza", "Outro Vendedor").replaceAll("98765432", "11111111"))],
+  ]);
+  const byName = await search("iphone", { fetcher, noRateLimit: true, limit: 1, seller: "marina" });
+  const byId = await search("iphone", { fetcher, noRateLimit: true, limit: 1, seller: "98765432" });
+
+  assert.deepEqual(
+    byName.items.map((item) => item.id),
+    [4],
+  );
+  assert.deepEqual(
+    byId.items.map((item) => item.id),
+    [4],
+  );
+});
+
+test("where conditions read a single dot with one or two digits as a decimal point", async () => {
+  const withEngine = (id, value) => ({ ...ad(id, 100), properties: [{ name: "Motor", value }] });
+  const { fetcher } = routeFetcher([[LISTING, () => ok(listingPage({ ads: [withEngine(1, "1.0"), withEngine(2, "1.6"), withEngine(3, "2.0")], totalOfAds: 3, pageSize: 50 }))]]);
+  const { items } = await search("civic", { fetcher, noRateLimit: true, noDetails: true, where: "Motor>=1.6" });
+
+  assert.deepEqual(
+    items.map((item) => item.id),
+    [2, 3],
+  );
+});
+
+test("vehicle fields are read from the property labels", async () => {
+  const car = {
+    ...ad(1, 52000),
+    properties: [
+      { name: "Marca", value: "HONDA" },
+      { name: "Ano", value: "2019" },
+      { name: "Quilometragem", value: "45.000" },
+      { name: "Câmbio", value: "Automático" },
+    ],
+  };
+  const { fetcher } = routeFetcher([[/\/autos-e-pecas\/carros-vans-e-utilitarios\?/, () => ok(listingPage({ ads: [car], totalOfAds: 1, pageSize: 50 }))]]);
+  const [item] = (await search("civic", { fetcher, noRateLimit: true, noDetails: true, category: "autos-e-pecas/carros-vans-e-utilitarios" })).items;
+
+  assert.deepEqual(item.vehicle, { brand: "HONDA", model: null, year: 2019, mileageKm: 45000, fuel: null, gearbox: "Automático" });
+});
+
+test("exclude terms match whole words only", async () => {
+  const titled = (id, subject) => ({ ...ad(id, 100), subject });
+  const { fetcher } = routeFetcher([[LISTING, () => ok(listingPage({ ads: [titled(1, "iPhone 13 com capa"), titled(2, "iPhone 13 capacidade 256GB"), titled(3, "iPhone 13 Capa e película")], totalOfAds: 3, pageSize: 50 }))]]);
+  const { items } = await search("iphone", { fetcher, noRateLimit: true, noDetails: true, exclude: "capa" });
+
+  assert.deepEqual(
+    items.map((item) => item.id),
+    [2],
+  );
+});
+
+test("searchIter() merges several locations in sort order", async () => {
+  const { fetcher } = routeFetcher([
+    [/\/estado-sp\?/, () => ok(listingPage({ ads: [ad(1, 900, "SP"), ad(2, 100, "SP")], totalOfAds: 2, pageSize: 50 }))],
+    [/\/estado-rj\?/, () => ok(listingPage({ ads: [ad(3, 500, "RJ"), ad(4, 50, "RJ")], totalOfAds: 2, pageSize: 50 }))],
+  ]);
+  const ids = async (options) => {
+    const seen = [];
+    for await (const item of searchIter("iphone", { fetcher, noRateLimit: true, noDetails: true, state: "sp,rj", ...options })) seen.push(item.id);
+    return seen;
+  };
+
+  assert.deepEqual(await ids({}), [1, 3, 2, 4]);
+  assert.deepEqual(await ids({ sort: "price_asc" }), [4, 2, 3, 1]);
+});
+
+test("searchIter() applies client-side sorts", async () => {
+  const { fetcher } = routeFetcher([[LISTING, () => ok(listingPage({ ads: [ad(1, 900, "SP"), ad(2, 100, "RJ"), ad(3, 500, "AM")], totalOfAds: 3, pageSize: 50 }))]]);
+  const ids = async (sort) => {
+    const seen = [];
+    for await (const item of searchIter("iphone", { fetcher, noRateLimit: true, noDetails: true, sort })) seen.push(item.id);
+    return seen;
+  };
+
+  assert.deepEqual(await ids("price_asc"), [1, 2, 3]);
+  assert.deepEqual(await ids("uf"), [3, 2, 1]);
+  assert.deepEqual(await ids("price_desc,date"), [1, 3, 2]);
+});
+
+test("exhaustive search collects every band, the ads without a price, and survives a failed sub-query", async () => {
+  const unpriced = [1, 2, 3].map((id) => ({ ...ad(id, 0), priceValue: null }));
+  const { fetcher } = routeFetcher([
+    [/[?&]ps=0&pe=1000/, () => ok(listingPage({ ads: Array.from({ length: 30 }, (_, i) => ad(100 + i, 100 + i)), totalOfAds: 30, pageSize: 50 }))],
+    [/[?&]ps=1001/, () => ({ status: 500, statusText: "Internal Server Error", headers: {}, body: "" })],
+    [/\/estado-sp\?q=iphone$|&o=\d+$/, () => ok(listingPage({ ads: [...unpriced, ad(100, 100)], totalOfAds: 1500, pageSize: 50 }))],
+  ]);
+  const result = await search("iphone", { fetcher, state: "sp", exhaustive: true, noRateLimit: true, noDetails: true, retries: 0 });
+
+  assert.equal(result.items.length, 33);
+  assert.deepEqual(
+    result.items.filter((item) => item.price == null).map((item) => item.id),
+    [1, 2, 3],
+  );
+  assert.equal(result.pagination.limit, null);
+  assert.equal(result.pagination.capped, true);
+  assert.deepEqual({ subQueries: result.coverage.subQueries, failed: result.coverage.failedSubQueries, capped: result.coverage.cappedSubQueries }, { subQueries: 4, failed: 1, capped: 1 });
+  assert.deepEqual(result.coverage.failures, [{ url: "https://www.olx.com.br/estado-sp?q=iphone&ps=1001", error: "HTTP 500 Internal Server Error" }]);
+});
+
+test("exhaustive search fails when every sub-query fails, and rejects checkpoints", async () => {
+  const { fetcher } = routeFetcher([]);
+  await assert.rejects(search("iphone", { fetcher, state: "sp", exhaustive: true, retries: 0 }), /HTTP 404/);
+  await assert.rejects(search("iphone", { fetcher, exhaustive: true, checkpoint: "crawl.json" }), /cannot be combined with exhaustive/);
+});
+
+test("near searches every state the radius reaches and keeps ads it cannot place", async () => {
+  const inTown = (id, municipality, uf) => ({ ...ad(id, 100, uf), locationDetails: { municipality, uf } });
+  const { fetcher, calls } = routeFetcher([
+    [/\/estado-rj\?/, () => ok(listingPage({ ads: [inTown(1, "Paraty", "RJ"), inTown(2, "Cidade Pequena", "RJ"), inTown(3, "Niterói", "RJ")], totalOfAds: 3, pageSize: 50 }))],
+    [/\/estado-sp\?/, () => ok(listingPage({ ads: [inTown(4, "Ubatuba", "SP")], totalOfAds: 1, pageSize: 50 }))],
+  ]);
+  const { items } = await search("geladeira", { fetcher, noRateLimit: true, noDetails: true, near: "-23.22,-44.71", radius: 50, sort: "distance" });
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(
+    items.map((item) => [item.id, item.distanceKm]),
+    [
+      [1, 0],
+      [4, 43.5],
+      [2, null],
+    ],
+  );
+});
+
+test("search() and searchIter() reject a concurrency, limit or timeout below 1", async () => {
+  const { fetcher, calls } = routeFetcher([[LISTING, () => ok(listingPage({ ads: [ad(1, 100)], totalOfAds: 1, pageSize: 50 }))]]);
+  for (const [options, error] of [
+    [{ concurrency: 0 }, /Invalid concurrency "0"/],
+    [{ concurrency: -1 }, /Invalid concurrency "-1"/],
+    [{ limit: 0 }, /Invalid limit "0"/],
+    [{ limit: 2.5 }, /Invalid limit "2.5"/],
+    [{ timeout: -5 }, /Invalid timeout "-5"/],
+  ]) {
+    await assert.rejects(search("iphone", { fetcher, noRateLimit: true, ...options }), error);
+    await assert.rejects(searchIter("iphone", { fetcher, noRateLimit: true, ...options }).next(), error);
+  }
+  assert.equal(calls.length, 0);
+});
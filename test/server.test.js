@@ -0,0 +1,170 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "../lib/index.js";
+import { listingPage, ok, routeFetcher } from "./helpers.js";
+
+const LISTING = /olx\.com\.br\/brasil\?/;
+
+/** A minimal listing-page ad. */
+const ad = (id, price) => ({ listId: id, subject: `iPhone ${id}`, priceValue: `R$ ${price}`, url: `https://sp.olx.com.br/celulares/iphone-${id}`, locationDetails: { municipality: "Centro", uf: "SP" } });
+
+const PAGE = listingPage({ ads: [ad(1, 100), ad(2, 200), ad(3, 300)], totalOfAds: 3, pageSize: 50 });
+
+/**
+ * Starts the API on a free local port.
+ *
+ * @param {object} options - `createServer()` options.
+ * @returns {Promise<{get: (path: string, init?: object) => Promise<{status: number, headers: Headers, body: *}>, close: () => Promise<void>}>} Client and shutdown.
+ */
+async function startServer(options) {
+  const server = createServer({ noRateLimit: true, ...options });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    async get(path, init) {
+      const res = await fetch(base + path, init);
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Polls until `check` returns true.
+ *
+ * @param {() => Promise<boolean>} check - Condition.
+ */
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !(await check()); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test("serves search results, categories and health", async () => {
+  const { fetcher, calls } = routeFetcher([[LISTING, () => ok(PAGE)]]);
+  const api = await startServer({ fetcher });
+  try {
+    const search = await api.get("/search?q=iphone&q=13&noDetails=1&exclude=capa&exclude=pelicula&maxPrice=250");
+    assert.equal(search.status, 200);
+    assert.deepEqual(
+      search.body.items.map((item) => item.id),
+      [1, 2],
+    );
+    assert.deepEqual(search.body.query.exclude, ["capa", "pelicula"]);
+    assert.equal(calls[0], "https://www.olx.com.br/brasil?q=iphone+13&pe=250");
+
+    const categories = await api.get("/categories?term=celulares");
+    assert.equal(categories.status, 200);
+    assert.ok(categories.body.some((cat) => cat.slug === "celulares"));
+    assert.equal((await api.get("/health/")).body.status, "ok");
+  } finally {
+    await api.close();
+  }
+});
+
+test("answers 404 for unknown endpoints and 405 for other methods", async () => {
+  const api = await startServer({ fetcher: routeFetcher([]).fetcher });
+  try {
+    const missing = await api.get("/nope");
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.error, /Unknown endpoint "\/nope"/);
+
+    const post = await api.get("/search?q=iphone", { method: "POST" });
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.get("allow"), "GET, HEAD");
+  } finally {
+    await api.close();
+  }
+});
+
+test("answers 400 for invalid parameters and options, before contacting OLX", async () => {
+  const { fetcher, calls } = routeFetcher([[LISTING, () => ok(PAGE)]]);
+  const api = await startServer({ fetcher, maxLimit: 50 });
+  try {
+    const cases = [
+      ["/search", /Missing search query/],
+      ["/search?q=iphone&color=blue", /Unknown parameter "color"/],
+      ["/search?q=iphone&sort=date&sort=uf", /"sort" can only be given once/],
+      ["/search?q=iphone&strict=maybe", /Invalid strict "maybe". It must be true or false/],
+      ["/search?q=iphone&maxPrice=abc", /Invalid maxPrice "abc". It must be a number/],
+      ["/search?q=iphone&concurrency=0", /Invalid concurrency "0". It must be a positive integer/],
+      ["/search?q=iphone&concurrency=-1", /Invalid concurrency "-1". It must be a positive integer/],
+      ["/search?q=iphone&limit=0", /Invalid limit "0". It must be a positive integer/],
+      ["/search?q=iphone&limit=2.5", /Invalid limit "2.5". It must be a positive integer/],
+      ["/search?q=iphone&limit=51", /This server allows at most 50/],
+      ["/search?q=iphone&timeout=-5", /Invalid timeout "-5". It must be a positive integer/],
+      ["/search?q=iphone&retries=-1", /Invalid retries "-1". It must be a non-negative integer/],
+      ["/search?q=iphone&retryDelay=-1", /Invalid retryDelay "-1". It must be a non-negative integer/],
+      ["/raw?q=iphone&maxRetryAfter=-1", /Invalid maxRetryAfter "-1". It must be a non-negative integer/],
+      ["/search?q=iphone&category=nope-x", /Unknown category "nope-x"/],
+      ["/health?verbose=1", /Unknown parameter "verbose"/],
+    ];
+    for (const [path, error] of cases) {
+      const res = await api.get(path);
+      assert.equal(res.status, 400, path);
+      assert.match(res.body.error, error, path);
+    }
+    assert.equal(calls.length, 0);
+    assert.equal((await api.get("/search?q=iphone&retries=0&noDetails=true")).status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test("answers 502 when OLX cannot be fetched", async () => {
+  const api = await startServer({ fetcher: routeFetcher([[LISTING, () => ({ status: 500, statusText: "Internal Server Error", headers: {}, body: "" })]]).fetcher });
+  try {
+    const res = await api.get("/search?q=iphone&retries=0");
+    assert.equal(res.status, 502);
+    assert.equal(res.body.error, "HTTP 500 Internal Server Error");
+  } finally {
+    await api.close();
+  }
+});
+
+test("caps exhaustive searches without a limit at maxLimit", async () => {
+  const { fetcher } = routeFetcher([[LISTING, () => ok(listingPage({ ads: Array.from({ length: 10 }, (_, i) => ad(i + 1, 100 + i)), totalOfAds: 10, pageSize: 50 }))]]);
+  const api = await startServer({ fetcher, maxLimit: 4 });
+  try {
+    const res = await api.get("/search?q=iphone&exhaustive=1&noDetails=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items.length, 4);
+    assert.equal(res.body.pagination.limit, 4);
+  } finally {
+    await api.close();
+  }
+});
+
+test("clients share one search queue and refuse searches beyond it with 503", async () => {
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const { fetcher, calls } = routeFetcher([
+    [
+      LISTING,
+      async () => {
+        await gate;
+        return ok(PAGE);
+      },
+    ],
+  ]);
+  const api = await startServer({ fetcher, maxSearches: 1, maxQueued: 1 });
+  const searches = () => api.get("/stats").then((res) => res.body.searches);
+  try {
+    const first = api.get("/search?q=iphone&noDetails=1");
+    await waitFor(async () => (await searches()).active === 1);
+    const second = api.get("/search?q=galaxy&noDetails=1");
+    await waitFor(async () => (await searches()).queued === 1);
+
+    const refused = await api.get("/search?q=moto&noDetails=1");
+    assert.equal(refused.status, 503);
+    assert.equal(refused.headers.get("retry-after"), "30");
+    assert.deepEqual(calls, ["https://www.olx.com.br/brasil?q=iphone"]);
+
+    release();
+    assert.deepEqual([(await first).status, (await second).status], [200, 200]);
+    assert.deepEqual(calls, ["https://www.olx.com.br/brasil?q=iphone", "https://www.olx.com.br/brasil?q=galaxy"]);
+    const stats = (await api.get("/stats")).body;
+    assert.deepEqual({ started: stats.searches.started, rejected: stats.requests.rejected, olx: stats.olx.started }, { started: 2, rejected: 1, olx: 2 });
+  } finally {
+    release();
+    await api.close();
+  }
+});
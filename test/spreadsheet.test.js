@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { resultSheets, writeOds, writeXlsx } from "../lib/index.js";
+
+// Dates are written in local time; pin the zone so the serials are known.
+process.env.TZ = "America/Sao_Paulo";
+
+/** A search result item. */
+const item = (id, fields = {}) => ({ id, title: `Ad ${id}`, price: 1000 + id, permalink: `https://sp.olx.com.br/ad/${id}`, date: "2025-10-18T15:06:40.000Z", ...fields });
+
+/** A `search()` result holding `items`. */
+const result = (items) => ({ query: "iphone", items, pagination: { limit: items.length }, stats: { requests: 1 } });
+
+/**
+ * Bitwise CRC-32, independent of the table-driven one under test.
+ *
+ * @param {Buffer} data - Data.
+ * @returns {number} Unsigned CRC-32.
+ */
+function crc32(data) {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Reads a ZIP archive through its central directory, checking each entry's
+ * CRC and sizes against its data.
+ *
+ * @param {Buffer} buf - Archive.
+ * @returns {{name: string, method: number, text: string}[]} Entries, in order.
+ */
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, "end of central directory");
+  const entries = [];
+  let pos = buf.readUInt32LE(end + 16);
+  for (let i = 0; i < buf.readUInt16LE(end + 10); i++) {
+    assert.equal(buf.readUInt32LE(pos), 0x02014b50);
+    const method = buf.readUInt16LE(pos + 10);
+    const crc = buf.readUInt32LE(pos + 16);
+    const size = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const name = buf.toString("utf-8", pos + 46, pos + 46 + nameLength);
+    const local = buf.readUInt32LE(pos + 42);
+    assert.equal(buf.readUInt32LE(local), 0x04034b50, name);
+    assert.equal(buf.readUInt32LE(local + 14), crc, name);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + size);
+    const data = method === 0 ? raw : zlib.inflateRawSync(raw);
+    assert.equal(data.length, buf.readUInt32LE(pos + 24), name);
+    assert.equal(crc32(data), crc, name);
+    entries.push({ name, method, text: data.toString("utf-8") });
+    pos += 46 + nameLength + buf.readUInt16LE(pos + 30) + buf.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+/** The text of one archive entry. */
+const entry = (entries, name) => entries.find((e) => e.name === name).text;
+
+test("writeXlsx() and writeOds() write ZIP archives with valid CRCs", () => {
+  const sheets = resultSheets(result([item(1), item(2)]));
+
+  assert.deepEqual(
+    unzip(writeXlsx(sheets)).map((e) => e.name),
+    ["[Content_Types].xml", "_rels/.rels", "xl/workbook.xml", "xl/_rels/workbook.xml.rels", "xl/styles.xml", "xl/worksheets/sheet1.xml", "xl/worksheets/_rels/sheet1.xml.rels", "xl/worksheets/sheet2.xml"],
+  );
+  const ods = unzip(writeOds(sheets));
+  assert.deepEqual(
+    ods.map((e) => [e.name, e.method]),
+    [
+      ["mimetype", 0],
+      ["content.xml", 8],
+      ["META-INF/manifest.xml", 8],
+    ],
+  );
+  assert.equal(ods[0].text, "application/vnd.oasis.opendocument.spreadsheet");
+});
+
+test("prices are currency cells and dates are local date cells", () => {
+  const sheets = resultSheets(result([item(1)]));
+  const serial = Date.UTC(2025, 9, 18, 12, 6, 40) / 86400000 + 25569;
+
+  const xlsx = entry(unzip(writeXlsx(sheets)), "xl/worksheets/sheet1.xml");
+  assert.match(xlsx, /<c r="C2" s="2"><v>1001<\/v><\/c>/);
+  assert.ok(xlsx.includes(`<c r="E2" s="3"><v>${serial}</v></c>`), xlsx);
+  assert.match(xlsx, /<hyperlink ref="D2" r:id="rId1"\/>/);
+
+  const ods = entry(unzip(writeOds(sheets)), "content.xml");
+  assert.match(ods, /office:value-type="currency" office:currency="BRL" office:value="1001"><text:p>R\$ 1001.00<\/text:p>/);
+  assert.match(ods, /office:value-type="date" office:date-value="2025-10-18T12:06:40"><text:p>2025-10-18 12:06<\/text:p>/);
+});
+
+test("text is escaped in both formats", () => {
+  const sheets = resultSheets(result([item(1, { title: `Capa "M&M" <iPhone>` })]));
+
+  assert.match(entry(unzip(writeXlsx(sheets)), "xl/worksheets/sheet1.xml"), /<t xml:space="preserve">Capa &quot;M&amp;M&quot; &lt;iPhone&gt;<\/t>/);
+  assert.match(entry(unzip(writeOds(sheets)), "content.xml"), /<text:p>Capa &quot;M&amp;M&quot; &lt;iPhone&gt;<\/text:p>/);
+});
+
+test("resultSheets() gives every property its own column and reads Brazilian numbers", () => {
+  const [ads, query] = resultSheets(
+    result([
+      item(1, {
+        properties: [
+          { name: "Quilometragem", value: "80.000" },
+          { name: "Motor", value: "1.6" },
+          { name: "title", value: "clash" },
+        ],
+      }),
+      item(2, {
+        properties: [
+          { name: "Quilometragem", value: "2018" },
+          { name: "Potência", value: "2.0 16V" },
+          { name: "Cilindradas", value: "0800" },
+        ],
+      }),
+    ]),
+  );
+
+  assert.deepEqual(ads.headers, ["id", "title", "price", "permalink", "date", "Quilometragem", "Motor", "title (property)", "Potência", "Cilindradas"]);
+  assert.deepEqual(ads.rows[0].slice(5), [{ type: "number", value: 80000 }, { type: "number", value: 1.6 }, { type: "string", value: "clash" }, null, null]);
+  assert.deepEqual(ads.rows[1].slice(5), [{ type: "number", value: 2018 }, null, null, { type: "string", value: "2.0 16V" }, { type: "string", value: "0800" }]);
+  assert.deepEqual(query.headers, ["query", "pagination.limit", "stats.requests"]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarize } from "../lib/index.js";
+
+/** An item with a price, a state and optional properties. */
+const item = (id, price, uf = "SP", properties = []) => ({ id, title: `Ad ${id}`, price, permalink: `https://sp.olx.com.br/ad/${id}`, locationDetails: { uf }, properties });
+
+test("summarize() computes the mean, median and interpolated percentiles", () => {
+  const summary = summarize([item(1, 500), item(2, 100), item(3, 300), item(4, 200), item(5, 400), item(6, null)], { bins: 2 });
+
+  assert.deepEqual({ count: summary.count, priced: summary.priced, min: summary.min, max: summary.max, mean: summary.mean }, { count: 6, priced: 5, min: 100, max: 500, mean: 300 });
+  assert.deepEqual([summary.p10, summary.p25, summary.median, summary.p75, summary.p90], [140, 200, 300, 400, 460]);
+  assert.deepEqual(summary.histogram, [
+    { from: 100, to: 300, count: 2 },
+    { from: 300, to: 500, count: 3 },
+  ]);
+  assert.equal(summarize([item(1, 100), item(2, 150)]).median, 125);
+});
+
+test("summarize() flags outliers on the log scale, and zero prices as low", () => {
+  // On a linear scale the lower fence of these prices is negative, so 150 would pass.
+  const { outliers } = summarize([item(1, 150), item(2, 1000), item(3, 2000), item(4, 3000), item(5, 4000), item(6, 5000), item(7, 0), item(8, 90000)]);
+
+  assert.deepEqual(
+    outliers.map(({ id, type }) => [id, type]),
+    [
+      [7, "low"],
+      [1, "low"],
+      [8, "high"],
+    ],
+  );
+  assert.deepEqual(summarize([item(1, 1), item(2, 1000), item(3, 1000)]).outliers, []);
+});
+
+test("summarize() groups by state, by property ignoring case and accents, and by a function", () => {
+  const items = [item(1, 100, "SP", [{ name: "Condição", value: "Novo" }]), item(2, 200, "RJ", [{ name: "Condição", value: "Usado" }]), item(3, 300, "SP", [{ name: "Condição", value: "Usado" }]), item(4, 400, "SP")];
+
+  assert.deepEqual(
+    summarize(items, { groupBy: "uf" }).groups.map(({ key, count, median }) => [key, count, median]),
+    [
+      ["SP", 3, 300],
+      ["RJ", 1, 200],
+    ],
+  );
+  for (const groupBy of ["Condição", "condicao", "CONDICAO"]) {
+    assert.deepEqual(
+      summarize(items, { groupBy }).groups.map(({ key, count }) => [key, count]),
+      [
+        ["Usado", 2],
+        ["Novo", 1],
+        [null, 1],
+      ],
+      groupBy,
+    );
+  }
+  assert.deepEqual(
+    summarize(items, { groupBy: (i) => (i.price >= 300 ? "caro" : null) }).groups.map(({ key, count }) => [key, count]),
+    [
+      ["caro", 2],
+      [null, 2],
+    ],
+  );
+});
+
+test("summarize() groups by seller and lists their ads, cheapest first", () => {
+  const items = [
+    { ...item(1, 300), sellerId: "7", sellerName: "Loja X", professionalAd: true },
+    { ...item(2, null), sellerId: "7" },
+    { ...item(3, 100), sellerId: "7" },
+    { ...item(4, 200), sellerName: "Ana" },
+  ];
+  const [store, person] = summarize(items, { groupBy: "seller" }).groups;
+
+  assert.deepEqual(store.seller, { id: "7", name: "Loja X", professional: true });
+  assert.deepEqual(
+    store.ads.map((ad) => ad.id),
+    [3, 1, 2],
+  );
+  assert.deepEqual({ key: person.key, seller: person.seller, count: person.count }, { key: "Ana", seller: { id: null, name: "Ana", professional: false }, count: 1 });
+  assert.throws(() => summarize(items, { bins: 0 }), /Invalid bins "0"/);
+});
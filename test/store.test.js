@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { search, loadStore, recordRun } from "../lib/index.js";
+import { listingPage, ok, routeFetcher } from "./helpers.js";
+
+const T1 = "2026-01-01T10:00:00.000Z";
+const T2 = "2026-01-02T10:00:00.000Z";
+
+/** A minimal listing-page ad. */
+const ad = (id, price) => ({ listId: id, subject: `iPhone ${id}`, priceValue: `R$ ${price}`, url: `https://sp.olx.com.br/celulares/iphone-${id}`, locationDetails: { municipality: "Centro", uf: "SP" } });
+
+/** Runs a search against one listing page holding `ads`. */
+function run(ads, options = {}) {
+  const { fetcher } = routeFetcher([[/olx\.com\.br\/brasil\?/, () => ok(listingPage({ ads, totalOfAds: ads.length, pageSize: 50 }))]]);
+  return search("iphone", { fetcher, noRateLimit: true, noDetails: true, ...options });
+}
+
+test("recordRun() marks missing ads gone after a complete run", async () => {
+  const store = loadStore("/nonexistent/olx-history.json");
+  recordRun(store, await run([ad(1, 100), ad(2, 200), ad(3, 300)]), T1);
+  const second = await run([ad(1, 100), ad(2, 200)]);
+
+  assert.equal(second.pagination.complete, true);
+  assert.deepEqual(recordRun(store, second, T2), { seen: 2, added: 0, gone: 1, complete: true });
+  assert.equal(store.ads["3"].gone, true);
+  assert.equal(store.ads["3"].goneAt, T2);
+});
+
+test("recordRun() skips the gone check when the run stopped at the limit", async () => {
+  const store = loadStore("/nonexistent/olx-history.json");
+  recordRun(store, await run([ad(1, 100), ad(2, 200), ad(3, 300)]), T1);
+  const second = await run([ad(1, 100), ad(2, 200), ad(3, 300)], { limit: 2 });
+
+  assert.equal(second.pagination.complete, false);
+  assert.deepEqual(recordRun(store, second, T2), { seen: 2, added: 0, gone: 0, complete: false });
+  assert.equal(store.ads["3"].gone, false);
+});
+
+test("recordRun() keys searches by their result filters", async () => {
+  const store = loadStore("/nonexistent/olx-history.json");
+  recordRun(store, await run([ad(1, 100), ad(2, 200)]), T1);
+  recordRun(store, await run([ad(1, 100)], { exclude: "capa" }), T2);
+
+  assert.equal(Object.keys(store.searches).length, 2);
+  assert.equal(store.ads["2"].gone, false);
+});
+
+test("recordRun() keys country-wide searches without a null location", async () => {
+  const store = loadStore("/nonexistent/olx-history.json");
+  recordRun(store, await run([ad(1, 100)], { neighbourhood: "Centro" }), T1);
+
+  assert.deepEqual(JSON.parse(Object.keys(store.searches)[0]).slice(0, 2), ["iphone", "|centro"]);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { diffWatchState, loadWatchState, saveWatchState } from "../lib/index.js";
+
+const T1 = "2026-01-01T10:00:00.000Z";
+const T2 = "2026-01-01T10:05:00.000Z";
+
+const item = (id, price, title = `Item ${id}`) => ({ id, title, price, permalink: `https://sp.olx.com.br/ad/${id}` });
+
+test("diffWatchState() reports every ad of the first cycle as new", () => {
+  const state = { items: {} };
+  const events = diffWatchState(state, [item(1, 100), item(2, null)], T1);
+
+  assert.deepEqual(
+    events.map((e) => [e.event, e.id, e.price]),
+    [
+      ["new", "1", 100],
+      ["new", "2", null],
+    ],
+  );
+  assert.deepEqual(state.items["1"], { title: "Item 1", price: 100, permalink: "https://sp.olx.com.br/ad/1", firstSeen: T1, lastSeen: T1 });
+  assert.equal(state.updatedAt, T1);
+});
+
+test("diffWatchState() reports price changes and skips unchanged and untracked ads", () => {
+  const state = { items: {} };
+  diffWatchState(state, [item(1, 100), item(2, 200), item(3, 300)], T1);
+  const events = diffWatchState(state, [item(1, 80), item(2, 250), item(3, 300), { title: "no id", price: 5 }], T2);
+
+  assert.deepEqual(
+    events.map((e) => [e.event, e.id, e.previousPrice, e.price, e.priceChange]),
+    [
+      ["price_drop", "1", 100, 80, -20],
+      ["price_increase", "2", 200, 250, 50],
+    ],
+  );
+  assert.equal(state.items["1"].price, 80);
+  assert.equal(state.items["3"].firstSeen, T1);
+  assert.equal(state.items["3"].lastSeen, T2);
+});
+
+test("diffWatchState() keeps the last known price when an ad loses its price", () => {
+  const state = { items: {} };
+  diffWatchState(state, [item(1, 100)], T1);
+  assert.deepEqual(diffWatchState(state, [item(1, null)], T2), []);
+  assert.equal(state.items["1"].price, 100);
+});
+
+test("watch state files round-trip and a missing file starts empty", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx-watch-"));
+  try {
+    const file = path.join(dir, "state.json");
+    const state = loadWatchState(file);
+    assert.deepEqual(state.items, {});
+    diffWatchState(state, [item(1, 100)], T1);
+    saveWatchState(file, state);
+    assert.deepEqual(loadWatchState(file).items, state.items);
+    fs.writeFileSync(file, "{}");
+    assert.throws(() => loadWatchState(file), /missing "items"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});